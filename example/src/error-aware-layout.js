@@ -28,14 +28,19 @@ import { html, LitElement, css } from "lit";
  *        this.addEventListener("lit-router-error", handler);
  *      }
  *
+ *   3. errorRender on a route or in the Routes options
+ *      Catches: enter, load and render throws, RouteNotFoundError, at the
+ *      level that declares it or below. Renders in place of the outlet and
+ *      receives a retry() function. Caught errors do not reach this banner.
+ *
  * ERRORS YOU CANNOT CATCH:
  *
  *   - enter / leave returning false.
  *     This is a cancellation, not an error. No event, no exception.
  *
- *   - render() throwing.
+ *   - render() throwing without an errorRender boundary.
  *     render runs inside Lit after navigation completes. Lit handles it.
- *     Not a navigation error — not dispatched as @lit-router-error.
+ *     Not dispatched as @lit-router-error.
  *
  * INVALID NAVIGATION ERRORS:
  *
@@ -35,9 +35,21 @@ export class AbstractController {
     this.options = options;
   }
 
+  /**
+   * Whether this controller is the root of its own tree. Roots do not
+   * announce themselves to enclosing controllers.
+   *
+   * @returns {boolean}
+   */
+  get isRoot() {
+    return false;
+  }
+
   hostConnected() {
     const connectEvent = new RoutesConnectedEvent(this);
-    this._host.dispatchEvent(connectEvent);
+    if (!this.isRoot) {
+      this._host.dispatchEvent(connectEvent);
+    }
     this.__childRouteConnected(connectEvent);
   }
 
@@ -0,0 +1,220 @@
+import { RouterNavigationErrorEvent } from "./RoutesEvents.js";
+import { log } from "./util/log.js";
+
+/**
+ * @typedef {{ title?: string, [name: string]: string | undefined }} RouteMeta
+ * @typedef {{ titleTemplate?: string, defaults?: RouteMeta }} MetaOptions
+ */
+
+/**
+ * Reads the `meta` of a level's current route, calling it with the same
+ * context `render` gets when it is a function.
+ *
+ * @param {import("./Routes.js").Routes} level
+ * @param {import("./Router.js").Router} router
+ * @returns {RouteMeta}
+ */
+function routeMeta(level, router) {
+  const route = level.currentRoute;
+  if (typeof route.meta !== "function") {
+    return route.meta ?? {};
+  }
+
+  const { params, extraParams, searchParams, hash } = router;
+  try {
+    return (
+      route.meta.call(router, {
+        params,
+        extraParams,
+        searchParams,
+        hash,
+        data: level.data,
+        route,
+      }) ?? {}
+    );
+  } catch (error) {
+    const res = level._host.dispatchEvent(
+      new RouterNavigationErrorEvent({ url: router.url, error }),
+    );
+    // false means a listener called preventDefault()
+    if (res !== false) {
+      queueMicrotask(() => {
+        throw error;
+      });
+    }
+    return {};
+  }
+}
+
+/**
+ * Merges the `meta` of the active route chain, root to leaf: deeper routes
+ * override the keys they declare. Levels below an error boundary that is
+ * showing are not part of the chain.
+ *
+ * @param {import("./Router.js").Router} router
+ * @returns {RouteMeta}
+ */
+function resolveMeta(router) {
+  const meta = {};
+  let level = router;
+  while (level) {
+    if (level.currentRoute) {
+      Object.assign(meta, routeMeta(level, router));
+    }
+    if (level._error) {
+      break;
+    }
+    level = [...level._children].find((child) => child.currentRoute);
+  }
+  return meta;
+}
+
+/**
+ * Keeps `router.meta` in step with the active routes and, when the Router is
+ * given a `meta` option, writes it to `document.title` and `<meta>` tags.
+ *
+ * Keys other than `title` become `<meta name>` tags, or `<meta property>`
+ * for Open Graph keys (`og:*`). Tags already in the page are updated in
+ * place and restored when no route sets them any more; missing ones are
+ * added and removed again.
+ */
+export class MetaManager {
+  /** @type {RouteMeta} */
+  current = {};
+
+  /**
+   * Incremented on every scheduled update, so only the last commit of a
+   * navigation applies.
+   */
+  _token = 0;
+
+  /** `document.title` before the router first changed it. */
+  _originalTitle = null;
+
+  /**
+   * Tags written so far, by key.
+   *
+   * @type {Map<string, { element: HTMLMetaElement, created: boolean, original: string | null }>}
+   */
+  _tags = new Map();
+
+  /**
+   * @param {import("./Router.js").Router} router
+   * @param {MetaOptions | undefined} options - the Router's `meta` option; the document is left alone without it
+   */
+  constructor(router, options) {
+    this._router = router;
+    this._options = options;
+  }
+
+  /**
+   * Recomputes the meta once `level` has rendered its committed route, so
+   * levels it unmounted no longer contribute.
+   *
+   * @param {import("./Routes.js").Routes} level - the level that committed
+   * @returns {Promise<void>}
+   */
+  async schedule(level) {
+    const token = ++this._token;
+    try {
+      await level._host.updateComplete;
+    } catch (error) {
+      // The render threw: an error boundary or the host reports that, and the
+      // meta of the last good render stays.
+      log("router", null, "meta-skip", { error: String(error) });
+      return;
+    }
+    if (token !== this._token || this._router._isDestroyed) {
+      return;
+    }
+
+    const { titleTemplate, defaults } = this._options ?? {};
+    const resolved = resolveMeta(this._router);
+    const meta = { ...defaults, ...resolved };
+    // The template frames route titles; the default title stands alone.
+    if (titleTemplate && resolved.title != null) {
+      meta.title = titleTemplate.replace("%s", resolved.title);
+    }
+    this.current = meta;
+    log("router", null, "meta", { title: meta.title });
+
+    if (this._options) {
+      this._apply(meta);
+    }
+  }
+
+  disconnect() {
+    this._token++;
+    if (this._originalTitle !== null) {
+      document.title = this._originalTitle;
+      this._originalTitle = null;
+    }
+    for (const key of this._tags.keys()) {
+      this._removeTag(key);
+    }
+  }
+
+  /**
+   * @param {RouteMeta} meta
+   */
+  _apply(meta) {
+    if (meta.title != null) {
+      this._originalTitle ??= document.title;
+      document.title = String(meta.title);
+    } else if (this._originalTitle !== null) {
+      document.title = this._originalTitle;
+    }
+
+    for (const key of this._tags.keys()) {
+      if (meta[key] == null) {
+        this._removeTag(key);
+      }
+    }
+    for (const [key, value] of Object.entries(meta)) {
+      if (key !== "title" && value != null) {
+        this._setTag(key, String(value));
+      }
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} content
+   */
+  _setTag(key, content) {
+    let tag = this._tags.get(key);
+    if (!tag) {
+      const attribute = key.startsWith("og:") ? "property" : "name";
+      const existing = [...document.head.querySelectorAll("meta")].find(
+        (element) => element.getAttribute(attribute) === key,
+      );
+      const element = existing ?? document.createElement("meta");
+      if (!existing) {
+        element.setAttribute(attribute, key);
+        document.head.append(element);
+      }
+      tag = {
+        element,
+        created: !existing,
+        original: existing?.getAttribute("content") ?? null,
+      };
+      this._tags.set(key, tag);
+    }
+    tag.element.setAttribute("content", content);
+  }
+
+  /**
+   * @param {string} key
+   */
+  _removeTag(key) {
+    const { element, created, original } = this._tags.get(key);
+    if (created) {
+      element.remove();
+    } else if (original === null) {
+      element.removeAttribute("content");
+    } else {
+      element.setAttribute("content", original);
+    }
+    this._tags.delete(key);
+  }
+}
@@ -4,6 +4,7 @@ import {
   RoutesAcknowledgeEvent,
 } from "./RoutesEvents.js";
 import { InvalidNavigationError } from "./errors/index.js";
+import { NavigationResult } from "./NavigationResult.js";
 import { resolveUrl } from "./util/url.js";
 
 /**
@@ -26,6 +27,11 @@ export class Navigation {
    */
   __host;
 
+  /**
+   * @type {Set<() => void>}
+   */
+  __blockers = new Set();
+
   /**
    * @type {Routes | null}
    */
@@ -36,6 +42,20 @@ export class Navigation {
    */
   #parent = null;
 
+  /** @type {{ pendingDelay?: number, pendingMinDuration?: number }} */
+  #options;
+
+  /** @type {"idle" | "loading" | "submitting"} */
+  #state = "idle";
+
+  /** @type {string | null} */
+  #pendingLocation = null;
+
+  /** When the current non-idle state was first shown. */
+  #pendingShownAt = 0;
+
+  #pendingTimer = null;
+
   /** Name of the currently matched route in this scope. */
   get routeName() {
     return this.#current?.currentRoute?.name;
@@ -81,11 +101,46 @@ export class Navigation {
     return this.#router?.extraParams ?? {};
   }
 
+  /** Value resolved by the `load` function of the route that rendered this host. */
+  get data() {
+    return this.#current?.data;
+  }
+
   /** Current pathname from the router state. */
   get pathname() {
     return this.#router?.pathname ?? "";
   }
 
+  /**
+   * `"loading"` while a navigation runs its guards and loaders,
+   * `"submitting"` for navigations started with `submit: true`, otherwise
+   * `"idle"`. The host re-renders when it changes.
+   *
+   * @returns {"idle" | "loading" | "submitting"}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * In-app href of the navigation in flight, or null when `state` is idle.
+   *
+   * @returns {string | null}
+   */
+  get pendingLocation() {
+    return this.#pendingLocation;
+  }
+
+  /**
+   * How the latest navigation moved through history, for picking an
+   * animation: `"push"`, `"replace"`, `"back"` or `"forward"`.
+   *
+   * @returns {"push" | "replace" | "back" | "forward"}
+   */
+  get direction() {
+    return this.#router?.direction ?? "push";
+  }
+
   /**
    * The name of the DOM event fired on the host element when navigation state changes.
    * Components listen to this to decide when to re-render.
@@ -102,10 +157,15 @@ export class Navigation {
   /**
    * Create a new Navigation controller and register it on the host.
    * @param {import('lit').ReactiveControllerHost} host - Lit host (e.g., a LitElement)
+   * @param {{ pendingDelay?: number, pendingMinDuration?: number }} [options={}]
+   *   Both in milliseconds, for progress indicators that should not flicker:
+   *   `state` only leaves `"idle"` once a navigation has been pending for
+   *   `pendingDelay`, and then stays non-idle for at least `pendingMinDuration`.
    */
-  constructor(host) {
+  constructor(host, options = {}) {
     host.addController(this);
     this.__host = host;
+    this.#options = options;
   }
 
   /**
@@ -129,6 +189,10 @@ export class Navigation {
     this.#router = routerAck.router;
 
     this.__unsubscribe = this.#router.subscribe(({ eventName, prev, next }) => {
+      if (eventName === "pending-changed") {
+        this.#onPendingChanged(next);
+        return;
+      }
       if (eventName !== "location-changed") return;
 
       this.__host.dispatchEvent(
@@ -143,7 +207,13 @@ export class Navigation {
     const scopeAck = new RoutesAcknowledgeEvent();
     this.__host.dispatchEvent(scopeAck);
 
-    if (scopeAck.current && scopeAck.current instanceof Routes) {
+    // A scope of another router (e.g. the outlet an embedded router is
+    // rendered into) does not count.
+    if (
+      scopeAck.current instanceof Routes &&
+      (scopeAck.current === this.#router ||
+        scopeAck.current.router === this.#router)
+    ) {
       this.#current = scopeAck.current;
       this.#parent = scopeAck.parent;
     }
@@ -152,6 +222,14 @@ export class Navigation {
       this.#current = this.#router;
       this.#parent = null;
     }
+
+    // Connected mid-navigation: catch up with the router.
+    if (this.#router.navigationState !== "idle") {
+      this.#onPendingChanged({
+        state: this.#router.navigationState,
+        location: this.#router.pendingLocation,
+      });
+    }
   }
 
   hostDisconnected() {
@@ -159,6 +237,91 @@ export class Navigation {
       this.__unsubscribe();
       this.__unsubscribe = null;
     }
+
+    clearTimeout(this.#pendingTimer);
+    this.#state = "idle";
+    this.#pendingLocation = null;
+
+    for (const unblock of this.__blockers) {
+      unblock();
+    }
+    this.__blockers.clear();
+  }
+
+  /**
+   * Block navigations away from the current location while `predicate`
+   * returns `true` — e.g. a form with unsaved changes. Unlike `leave` guards,
+   * blockers also cover the browser Back/Forward buttons.
+   * The blocker is removed automatically when the host disconnects.
+   *
+   * @example
+   * this.navigator.block(() => this.dirty && !confirm("Discard changes?"), {
+   *   beforeUnload: true,
+   * });
+   *
+   * @param {(transition: { currentUrl: string, nextUrl: string | null, action: "push" | "pop" | "unload" }) => boolean | Promise<boolean>} predicate
+   * @param {{ beforeUnload?: boolean }} [options] - also prompt before the page unloads
+   * @returns {() => void} removes the blocker
+   */
+  block(predicate, options) {
+    const remove = this.#router.addBlocker(predicate, options);
+    const unblock = () => {
+      remove();
+      this.__blockers.delete(unblock);
+    };
+    this.__blockers.add(unblock);
+    return unblock;
+  }
+
+  /**
+   * Applies the router's pending state, honouring `pendingDelay` and
+   * `pendingMinDuration`.
+   *
+   * @param {{ state: "idle" | "loading" | "submitting", location: string | null }} next
+   */
+  #onPendingChanged(next) {
+    clearTimeout(this.#pendingTimer);
+    const { pendingDelay = 0, pendingMinDuration = 0 } = this.#options;
+
+    if (next.state !== "idle") {
+      if (this.#state === "idle" && pendingDelay > 0) {
+        this.#pendingTimer = setTimeout(
+          () => this.#showPending(next),
+          pendingDelay,
+        );
+      } else {
+        this.#showPending(next);
+      }
+      return;
+    }
+
+    // Still within the delay: the indicator was never shown.
+    if (this.#state === "idle") {
+      return;
+    }
+
+    const remaining =
+      this.#pendingShownAt + pendingMinDuration - performance.now();
+    if (remaining > 0) {
+      this.#pendingTimer = setTimeout(() => this.#showPending(next), remaining);
+    } else {
+      this.#showPending(next);
+    }
+  }
+
+  /**
+   * @param {{ state: "idle" | "loading" | "submitting", location: string | null }} next
+   */
+  #showPending({ state, location }) {
+    if (this.#state === state && this.#pendingLocation === location) {
+      return;
+    }
+    if (this.#state === "idle") {
+      this.#pendingShownAt = performance.now();
+    }
+    this.#state = state;
+    this.#pendingLocation = location;
+    this.__host.requestUpdate();
   }
 
   /**
@@ -166,16 +329,38 @@ export class Navigation {
    * @param {string} pathname - Absolute app path (may include `?` and `#`)
    * @param {{
    *   [extraParams: string]: any,
-   *   searchParams?: URLSearchParams | Record<string, string>,
+   *   searchParams?: URLSearchParams | Record<string, unknown>,
    *   hash?: string,
-   * }} [options] - Extra params forwarded to the router
+   *   replace?: boolean,
+   *   submit?: boolean,
+   * }} [options] - Extra params forwarded to the router. `submit: true`
+   *   reports the navigation as `"submitting"` in `state`.
    *
-   * @returns {Promise<void>}
+   * @returns {Promise<NavigationResult>}
    */
   navigate(pathname, options) {
     return this.#router.navigate(pathname, options);
   }
 
+  /**
+   * Navigate to the route registered under `name`.
+   * See {@link import('./Router.js').Router#urlFor} for how the URL is built.
+   *
+   * @param {string} name - Route name as declared in the route config
+   * @param {Record<string, unknown>} [params] - Values for the route params
+   * @param {{
+   *   [extraParams: string]: any,
+   *   searchParams?: URLSearchParams | Record<string, unknown>,
+   *   hash?: string,
+   * }} [options] - Extra params forwarded to the router
+   *
+   * @returns {Promise<NavigationResult>}
+   * @throws {import('./errors/index.js').UrlGenerationError} if the URL cannot be built
+   */
+  navigateTo(name, params, options) {
+    return this.#router.navigate(this.#router.urlFor(name, params), options);
+  }
+
   /**
    * Go back using the browser history (equivalent to `history.back()`).
    * @returns {void}
@@ -192,10 +377,11 @@ export class Navigation {
    * @param {string} pathname - Relative path starting with `./` or `../`
    * @param {{
    *   preserveSearchParams?: boolean,
-   *   searchParams?: URLSearchParams | Record<string, string>,
+   *   searchParams?: URLSearchParams | Record<string, unknown>,
    *   hash?: string,
    *   [key: string]: any
    * }} [options] - Configuration options. Any extra props are passed to history state.
+   * @returns {Promise<NavigationResult>}
    */
   async push(
     pathname,
@@ -237,9 +423,9 @@ export class Navigation {
       this.#current.state.extraParams,
       extraParams,
     );
-    const nextPathname = this.link(pathname);
+    const nextPathname = this.#resolveLink(pathname);
 
-    await this.#router.navigate(nextPathname, {
+    return this.#router.navigate(nextPathname, {
       ...currentExtraParams,
       searchParams: finalSearchParams,
       hash,
@@ -252,9 +438,10 @@ export class Navigation {
    *
    * @param {{
    *   preserveSearchParams?: boolean,
-   *   searchParams?: URLSearchParams | Record<string, string>,
+   *   searchParams?: URLSearchParams | Record<string, unknown>,
    *   hash?: string,
    * }} [options] - Configuration options
+   * @returns {Promise<NavigationResult>} `noop` when there is no child route to pop
    */
   async pop({ preserveSearchParams = false, searchParams, hash } = {}) {
     // When searchParams/hash are not provided (undefined), the router will
@@ -276,22 +463,24 @@ export class Navigation {
     if (hasTail && this.#current.state?.tailGroup !== "/") {
       const currentPath = this.#current.link();
       const currentExtraParams = this.#current.state?.extraParams || {};
-      await this.#router.navigate(currentPath, {
+      return this.#router.navigate(currentPath, {
         ...currentExtraParams,
         searchParams: finalSearchParams,
         hash: finalHash,
       });
-
-      return;
     }
 
     if (!this.#parent || this.#current === this.#router) {
-      return;
+      return new NavigationResult({
+        status: "noop",
+        url: this.#router.url,
+        start: performance.now(),
+      });
     }
 
     const parentPath = this.#parent.link();
     const parentExtraParams = this.#parent.state?.extraParams || {};
-    await this.#router.navigate(parentPath, {
+    return this.#router.navigate(parentPath, {
       ...parentExtraParams,
       searchParams: finalSearchParams,
       hash: finalHash,
@@ -314,10 +503,20 @@ export class Navigation {
    * Build a link relative to the current route.
    * @param {string} [pathname=""] - Relative child path starting with `./` when provided
    *
-   * @returns {string} Fully qualified in-app path
+   * @returns {string} Fully qualified href for `<a href>`, including the router's `basePath` (or `#` prefix in hash mode)
    * @throws {InvalidNavigationError} When providing a non-relative child path while children exist
    */
   link(pathname = "") {
+    return this.#router.buildUrl(this.#resolveLink(pathname));
+  }
+
+  /**
+   * Resolves `pathname` against the current route into an in-app path.
+   *
+   * @param {string} pathname
+   * @returns {string}
+   */
+  #resolveLink(pathname = "") {
     if (
       pathname &&
       this.#current._children.size > 0 &&
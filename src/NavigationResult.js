@@ -0,0 +1,60 @@
+/**
+ * @typedef {"committed" | "noop" | "cancelled" | "superseded" | "not-found" | "error"} NavigationStatus
+ *
+ * - `committed`: the router now shows `url`.
+ * - `noop`: the router was already at `url`.
+ * - `cancelled`: a blocker or a `leave`/`enter` guard refused, or the router is gone.
+ * - `superseded`: a newer navigation (or a redirect from an `enter` guard) took over.
+ * - `not-found` / `error`: the navigation failed, and the result carries the
+ *   `error`. When an `errorRender` boundary shows it, the URL still updates;
+ *   otherwise nothing commits and the URL stays.
+ */
+
+/**
+ * Outcome of one `goto()`/`navigate()` call.
+ *
+ * @example
+ * const result = await this.navigator.navigate("/users/1");
+ * if (result.status === "cancelled") showToast("Save your changes first");
+ * if (result.status === "not-found") showToast(`No page at ${result.url}`);
+ */
+export class NavigationResult {
+  /**
+   * @param {{
+   *   status: NavigationStatus,
+   *   url: string,
+   *   routes?: import("./Route.js").Route[],
+   *   redirects?: string[],
+   *   navId?: number | null,
+   *   start: number,
+   *   error?: unknown,
+   * }} init
+   *   `url` is the in-app href the navigation ended up targeting, after redirects.
+   *   `routes` are the active routes, outermost first, when it committed.
+   *   `redirects` are the hrefs that redirected on the way to `url`.
+   *   `navId` identifies the router pass in the `router:trace` log.
+   *   `start` is the `performance.now()` the navigation started at.
+   */
+  constructor({
+    status,
+    url,
+    routes = [],
+    redirects = [],
+    navId = null,
+    start,
+    error,
+  }) {
+    const end = performance.now();
+
+    /** @type {NavigationStatus} */
+    this.status = status;
+    this.url = url;
+    this.routes = routes;
+    this.redirects = redirects;
+    this.navId = navId;
+    this.timing = { start, end, duration: end - start };
+    if (error !== undefined) {
+      this.error = error;
+    }
+  }
+}
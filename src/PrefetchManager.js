@@ -0,0 +1,280 @@
+import { log } from "./util/log.js";
+import { shallowEqual } from "./util/shallow.js";
+import { buildHref, parseUrl, resolveUrl } from "./util/url.js";
+
+/**
+ * @typedef {"intent" | "viewport" | "none"} PrefetchMode
+ * @typedef {{ mode?: PrefetchMode, ttl?: number, intentDelay?: number }} PrefetchOptions
+ */
+
+/** How long a prefetch is reused, in milliseconds. */
+const DEFAULT_TTL = 30_000;
+
+/** How long the pointer has to rest on a link before it counts as intent. */
+const DEFAULT_INTENT_DELAY = 50;
+
+/**
+ * The cache key of a prefetch. Like the loader calls it starts, it depends on
+ * the URL without its hash and on the extra params; the route params follow
+ * from the URL.
+ *
+ * @param {string} href - in-app href, absolute, without hash
+ * @param {Record<string, unknown>} [extraParams={}]
+ * @returns {string}
+ */
+function cacheKey(href, extraParams = {}) {
+  return `${href} ${JSON.stringify(extraParams)}`;
+}
+
+/**
+ * Starts the lazy modules and loaders of the routes `href` leads to, level by
+ * level down the mounted chain. Levels whose data is already loaded for the
+ * same params and search params are skipped, and so are redirecting routes.
+ *
+ * @param {import("./Router.js").Router} router
+ * @param {string} href - in-app href, absolute, without hash
+ * @param {{ extraParams: Record<string, unknown>, hash: string }} context - passed to the loaders
+ * @param {number} ttl
+ * @param {AbortSignal} signal - aborts the loader calls no navigation took
+ * @returns {Promise<void>} settles once every started task has
+ */
+function warm(router, href, { extraParams, hash }, ttl, signal) {
+  const { searchParams } = resolveUrl("/", href);
+  const tasks = [];
+  let params = {};
+
+  for (const { level, pathname, route, candidates } of router.explainUrl(
+    href,
+  )) {
+    if (!route || route.redirect !== undefined) {
+      break;
+    }
+    const selected = candidates.find((candidate) => candidate.selected);
+    params = { ...params, ...selected?.params };
+
+    if (route.component) {
+      tasks.push(route.loadComponent());
+    }
+
+    const isLoaded =
+      route === level.currentRoute &&
+      shallowEqual(level._loadParams, params) &&
+      shallowEqual(level._loadSearch, searchParams);
+    if (typeof route.load === "function" && !isLoaded) {
+      tasks.push(
+        level._prefetchLoad(
+          route,
+          {
+            params,
+            extraParams,
+            searchParams: route.parseSearch(searchParams),
+            hash,
+            route,
+            pathname,
+          },
+          ttl,
+          signal,
+        ),
+      );
+    }
+  }
+
+  return Promise.allSettled(tasks).then(() => {});
+}
+
+/**
+ * Warms routes before they are navigated to, so the navigation finds their
+ * lazy component imported and their `load` already running or done.
+ *
+ * Prefetches are triggered by `router.prefetch(url)`, by the intent to
+ * follow a link (hover, focus or touch) or by a link scrolling into view,
+ * depending on the Router's `prefetch` option or the link's own `prefetch`
+ * attribute. Each href is prefetched at most once per `ttl`, per extra
+ * params; a loader result nobody navigated to within `ttl` is dropped.
+ * Navigating elsewhere keeps the other prefetches: only the one for the
+ * location reached is forgotten, since the navigation took its loads.
+ */
+export class PrefetchManager {
+  /**
+   * Prefetches started within their TTL, by cacheKey().
+   *
+   * @type {Map<string, { promise: Promise<void>, expires: number }>}
+   */
+  _cache = new Map();
+
+  /**
+   * Hover timers, by anchor.
+   *
+   * @type {Map<HTMLAnchorElement, ReturnType<typeof setTimeout>>}
+   */
+  _intents = new Map();
+
+  /** @type {IntersectionObserver | null} */
+  _observer = null;
+
+  _unsubscribe = null;
+
+  /**
+   * Aborted on disconnect, so loads nobody will navigate to stop early.
+   *
+   * @type {AbortController | null}
+   */
+  _abortController = null;
+
+  /**
+   * @param {import("./Router.js").Router} router
+   * @param {PrefetchMode | PrefetchOptions | undefined} options - the Router's `prefetch` option
+   */
+  constructor(router, options) {
+    this._router = router;
+    const {
+      mode = "none",
+      ttl = DEFAULT_TTL,
+      intentDelay = DEFAULT_INTENT_DELAY,
+    } = typeof options === "string" ? { mode: options } : (options ?? {});
+    this.mode = mode;
+    this.ttl = ttl;
+    this.intentDelay = intentDelay;
+  }
+
+  connect() {
+    this._abortController = new AbortController();
+    this._unsubscribe = this._router.subscribe(({ eventName }) => {
+      if (eventName === "location-changed") {
+        // The navigation took the loads prefetched for where it went; a new
+        // prefetch of that URL has to start them again.
+        const { pathname, searchParams } = parseUrl(this._router.url);
+        this._cache.delete(
+          cacheKey(buildHref(pathname, searchParams), this._router.extraParams),
+        );
+      }
+    });
+  }
+
+  disconnect() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    for (const timer of this._intents.values()) {
+      clearTimeout(timer);
+    }
+    this._intents.clear();
+    this._observer?.disconnect();
+    this._observer = null;
+    this._cache.clear();
+    this._abortController?.abort();
+    this._abortController = null;
+  }
+
+  /**
+   * @param {string} url - absolute, or relative to the current route
+   * @param {Record<string, unknown>} [extraParams={}] - the extra params the
+   *   navigation will pass
+   * @returns {Promise<void>}
+   */
+  prefetch(url, extraParams = {}) {
+    const { pathname, searchParams, hash } = resolveUrl(
+      this._router.state?.pathname || "/",
+      url,
+    );
+    // The hash does not change what is loaded.
+    const href = buildHref(pathname, searchParams);
+    const key = cacheKey(href, extraParams);
+    const now = performance.now();
+
+    for (const [cached, { expires }] of this._cache) {
+      if (expires <= now) this._cache.delete(cached);
+    }
+    const cached = this._cache.get(key);
+    if (cached) {
+      return cached.promise;
+    }
+
+    log("router", null, "prefetch", { href });
+    const promise = warm(
+      this._router,
+      href,
+      { extraParams, hash },
+      this.ttl,
+      this._abortController?.signal,
+    );
+    this._cache.set(key, { promise, expires: now + this.ttl });
+    return promise;
+  }
+
+  /**
+   * The prefetch mode of `anchor`: its `prefetch` attribute, or the Router's.
+   *
+   * @param {HTMLAnchorElement} anchor
+   * @returns {PrefetchMode}
+   */
+  modeOf(anchor) {
+    return anchor.getAttribute("prefetch") ?? this.mode;
+  }
+
+  /**
+   * Handles a sign that the user is about to follow `anchor`. Hovering
+   * has to last `intentDelay`; focus and touch prefetch at once.
+   *
+   * @param {HTMLAnchorElement} anchor
+   * @param {string} type - the event type
+   */
+  intent(anchor, type) {
+    if (this.modeOf(anchor) !== "intent" || this._intents.has(anchor)) {
+      return;
+    }
+    if (type !== "mouseover") {
+      this._prefetchAnchor(anchor);
+      return;
+    }
+    this._intents.set(
+      anchor,
+      setTimeout(() => {
+        this._intents.delete(anchor);
+        this._prefetchAnchor(anchor);
+      }, this.intentDelay),
+    );
+  }
+
+  /**
+   * @param {HTMLAnchorElement} anchor
+   */
+  cancelIntent(anchor) {
+    clearTimeout(this._intents.get(anchor));
+    this._intents.delete(anchor);
+  }
+
+  /**
+   * Prefetches the target of `anchor` once it enters the viewport.
+   *
+   * @param {HTMLAnchorElement} anchor
+   * @returns {() => void} stops observing
+   */
+  observe(anchor) {
+    if (typeof IntersectionObserver === "undefined") {
+      return () => {};
+    }
+    this._observer ??= new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (entry.isIntersecting) {
+          this._observer.unobserve(entry.target);
+          this._prefetchAnchor(entry.target);
+        }
+      }
+    });
+    this._observer.observe(anchor);
+    return () => this._observer?.unobserve(anchor);
+  }
+
+  /**
+   * @param {HTMLAnchorElement} anchor
+   */
+  _prefetchAnchor(anchor) {
+    if (this._router._isDestroyed) {
+      return;
+    }
+    const href = this._router.history.hrefFromAnchor(anchor);
+    if (href) {
+      this.prefetch(href);
+    }
+  }
+}
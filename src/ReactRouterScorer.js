@@ -1,3 +1,10 @@
+import {
+  isConstrainedSegment,
+  isStaticSegment,
+  paramSource,
+  parsePath,
+} from "./util/pathSyntax.js";
+
 /**
  * Enhanced React Router-style Route Scorer
  * Implements sophisticated multi-factor ranking for precise route matching
@@ -19,6 +26,7 @@ export class ReactRouterScorer {
       STATIC_SEGMENTS: 1000, // Number of static segments (most important)
       DYNAMIC_SEGMENTS: 100, // Number of dynamic segments
       OPTIONAL_SEGMENTS: 10, // Number of optional segments
+      CONSTRAINED_SEGMENTS: 25, // Bonus for params restricted by a regex, matcher or static text
       WILDCARD_PENALTY: -50, // Penalty for wildcards
       DEPTH_BONUS: 1, // Bonus for route depth
       SPECIFICITY_BONUS: 0.1, // Bonus for overall specificity
@@ -27,17 +35,30 @@ export class ReactRouterScorer {
 
   /**
    * Calculate the priority score for a route path using React Router-style ranking
+   *
+   * Precedence, per segment:
+   *   • a static segment outweighs any number of dynamic ones, which outweigh
+   *     any number of optional ones
+   *   • every segment inside an optional group (`{/a/:b}`, `/:b?`, `/a?`)
+   *     counts as optional, whatever it holds
+   *   • a constrained segment (`:id(\\d+)`, `:id<uuid>`, `:name.:ext`) adds a
+   *     bonus on top of its dynamic or optional weight
+   *   • wildcards (`*`, `:name*`) are penalised
+   *   • depth breaks the remaining ties, so a longer pattern is tried first
+   *
    * @param {string} path - The route path (e.g., "/users/:id/posts")
    * @returns {Object} - Detailed scoring breakdown and final score
    */
   scoreRoute(path) {
-    if (!path || path === "/") {
+    const nodes = parsePath(path ?? "");
+    if (nodes.length === 0) {
       return {
         score: this.RANKING_FACTORS.STATIC_SEGMENTS, // Root path gets high static score
         breakdown: {
           staticSegments: 1,
           dynamicSegments: 0,
           optionalSegments: 0,
+          constrainedSegments: 0,
           wildcards: 0,
           depth: 1,
         },
@@ -45,33 +66,43 @@ export class ReactRouterScorer {
       };
     }
 
-    // Split path into segments, filtering out empty strings
-    const segments = path.split("/").filter(Boolean);
-
     // Count different segment types for React Router-style ranking
     const breakdown = {
       staticSegments: 0,
       dynamicSegments: 0,
       optionalSegments: 0,
+      constrainedSegments: 0,
       wildcards: 0,
-      depth: segments.length,
+      depth: 0,
     };
-    for (let i = 0; i < segments.length; i++) {
-      const segment = segments[i];
-      if (segment === "*") {
-        breakdown.wildcards++;
-      } else if (segment.startsWith(":")) {
-        if (segment.endsWith("?")) {
-          breakdown.optionalSegments++;
-        } else if (segment.endsWith("*")) {
+    const count = (nodes, optional) => {
+      for (const node of nodes) {
+        if (node.type === "group") {
+          count(node.nodes, true);
+          continue;
+        }
+
+        breakdown.depth++;
+        const [first] = node.parts;
+        if (
+          first.type === "wildcard" ||
+          (first.type === "param" && first.rest)
+        ) {
           breakdown.wildcards++;
+        } else if (optional) {
+          breakdown.optionalSegments++;
+        } else if (first.type === "static" && node.parts.length === 1) {
+          // `prefix*` included: it is as specific as its prefix
+          breakdown.staticSegments++;
         } else {
           breakdown.dynamicSegments++;
         }
-      } else {
-        breakdown.staticSegments++;
+        if (isConstrainedSegment(node)) {
+          breakdown.constrainedSegments++;
+        }
       }
-    }
+    };
+    count(nodes, false);
 
     // Calculate final score using React Router's ranking approach
     let score = 0;
@@ -86,6 +117,11 @@ export class ReactRouterScorer {
     score +=
       breakdown.optionalSegments * this.RANKING_FACTORS.OPTIONAL_SEGMENTS;
 
+    // Constrained params beat plain ones, but never outweigh a segment
+    score +=
+      breakdown.constrainedSegments *
+      this.RANKING_FACTORS.CONSTRAINED_SEGMENTS;
+
     // Wildcards are penalized
     score += breakdown.wildcards * this.RANKING_FACTORS.WILDCARD_PENALTY;
 
@@ -112,76 +148,193 @@ export class ReactRouterScorer {
   /**
    * Compile a route path into a regex pattern for matching
    * @param {string} path - The route path
-   * @returns {Object} - Compiled route info
+   * @returns {Object} - Compiled route info: `regex`, the `params` its
+   *   groups capture in order, and the parsed `nodes` of the path
    */
   compileRoute(path) {
-    const segments = path.split("/").filter(Boolean);
-    const params = [];
-    // Make leading slash optional for child routes
-    let regexPattern = "^/?";
+    const nodes = parsePath(path);
+    // Named matchers may be defined after the route is created, so a
+    // pattern using one builds its regex on first use.
+    const { source, params, usesMatchers } = this._compileSource(
+      nodes,
+      (part) => (part.matcher === null ? paramSource(part) : ""),
+    );
+    let regex = usesMatchers ? null : new RegExp(source);
+    const scorer = this;
 
-    for (let index = 0; index < segments.length; index++) {
-      const segment = segments[index];
+    const compiled = {
+      get regex() {
+        regex ??= new RegExp(scorer._compileSource(nodes, paramSource).source);
+        return regex;
+      },
+      params,
+      nodes,
+    };
 
-      if (index > 0) {
-        regexPattern += "/";
-      }
+    return compiled;
+  }
 
-      if (segment === "*") {
-        // Wildcard - match single segment or more
+  /**
+   * Builds the regex source of a parsed path.
+   *
+   * Every segment brings its own leading slash, and an optional group wraps
+   * its segments slashes included, so an omitted group leaves no trace in
+   * the URL. The first slash is optional for child routes, and stays so
+   * after groups that matched nothing.
+   *
+   * @param {import("./util/pathSyntax.js").PathNode[]} nodes
+   * @param {(part: import("./util/pathSyntax.js").ParamPart) => string} resolve - regex source of a param
+   * @returns {{ source: string, params: string[], usesMatchers: boolean }}
+   */
+  _compileSource(nodes, resolve) {
+    const params = [];
+    let usesMatchers = false;
+    let emitted = false;
+    // Nothing has been consumed before this point for sure
+    let atStart = true;
 
-        if (index > 0) {
-          regexPattern = regexPattern.substring(0, regexPattern.length - 1);
+    const compile = (nodes) => {
+      let source = "";
+      for (const node of nodes) {
+        if (node.type === "group") {
+          const wasAtStart = atStart;
+          source += `(?:${compile(node.nodes)})?`;
+          atStart = wasAtStart;
+          continue;
         }
 
-        params.push("0"); // Use numeric key for wildcard groups to match getTailGroup
-        regexPattern += "(\/?|\/.*)";
-      } else if (segment.startsWith(":")) {
-        // Dynamic parameter
-        const paramName = segment.slice(1).replace(/[\W_]/g, "");
-        const isOptional = segment.endsWith("?");
-        const isWildcard = segment.endsWith("*");
-
-        if (isOptional) {
-          if (index > 0) {
-            regexPattern += "?";
+        if (node.parts[0].type === "wildcard") {
+          // Wildcard - match nothing, or a slash and anything after it
+          params.push("0"); // Use numeric key for wildcard groups to match getTailGroup
+          source += "(\\/?|\\/.*)";
+        } else {
+          if (!emitted) source += "/?";
+          else if (atStart) source += "(?:^|/)";
+          else source += "/";
+
+          for (const part of node.parts) {
+            if (part.type === "static") {
+              // Static text - escape special regex characters
+              source += part.value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+              if (part.rest) source += ".+";
+            } else {
+              usesMatchers ||= part.matcher !== null;
+              params.push(part.name);
+              source += `(${resolve(part)})`;
+            }
           }
+        }
+        emitted = true;
+        atStart = false;
+      }
+      return source;
+    };
 
-          regexPattern += "([^/]*?)";
-        } else if (isWildcard) {
-          regexPattern += "([^/].+)";
-        } else {
-          regexPattern += "([^/]+)";
+    // Handle optional trailing slash and end of string
+    const source = `^${compile(nodes)}/?$`;
+    return { source, params, usesMatchers };
+  }
+
+  /**
+   * Build a pathname from a compiled route by substituting its params.
+   * This is the reverse of matchPathAdvanced: it walks the same parsed path
+   * compileRoute produced and emits one URL segment per route segment.
+   *
+   * An optional group (`{/:year{/:month}}`, `/:name?`) is written when every
+   * param in it has a value and dropped otherwise; groups without params
+   * (`/segment?`) are always dropped. Required params (`:name`, `:name*`)
+   * that have no value are reported in `missing` instead of throwing, so
+   * callers can decide how to surface the error.
+   *
+   * @param {Object} compiledRule - The compiled rule
+   * @param {Record<string, unknown>} [params] - Values for the route params
+   * @param {{ trailingWildcard?: boolean }} [options] - Pass
+   *   `trailingWildcard: false` to drop a trailing wildcard segment (used when
+   *   the route is only a prefix for a child Routes level)
+   * @returns {{ pathname: string, used: string[], missing: string[] }}
+   */
+  buildPath(compiledRule, params = {}, { trailingWildcard = true } = {}) {
+    const hasValue = (key) =>
+      params[key] !== undefined && params[key] !== null && params[key] !== "";
+
+    const encodeRest = (value) =>
+      String(value)
+        .split("/")
+        .filter(Boolean)
+        .map(encodeURIComponent)
+        .join("/");
+
+    /**
+     * @param {import("./util/pathSyntax.js").PathNode[]} nodes
+     * @param {boolean} isTop
+     * @returns {{ parts: string[], used: string[], missing: string[] }}
+     */
+    const build = (nodes, isTop) => {
+      const parts = [];
+      const used = [];
+      const missing = [];
+
+      for (let index = 0; index < nodes.length; index++) {
+        const node = nodes[index];
+        const isLast = isTop && index === nodes.length - 1;
+
+        if (node.type === "group") {
+          // An optional group is written when it has values for all of its
+          // params; one without params (`/legacy?`) is left out
+          const group = build(node.nodes, false);
+          if (group.used.length > 0 && group.missing.length === 0) {
+            parts.push(...group.parts);
+            used.push(...group.used);
+          }
+          continue;
         }
 
-        params.push(paramName);
-      } else {
-        // Static segment - escape special regex characters
-        const escapedSegment = segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const [first] = node.parts;
+        if (first.type === "wildcard") {
+          if (isLast && !trailingWildcard) continue;
+          if (hasValue("0")) {
+            used.push("0");
+            parts.push(encodeRest(params[0]));
+          }
+          continue;
+        }
+        if (first.type === "param" && first.rest) {
+          if (isLast && !trailingWildcard) continue;
+          if (hasValue(first.name)) {
+            used.push(first.name);
+            parts.push(encodeRest(params[first.name]));
+          } else {
+            missing.push(first.name);
+          }
+          continue;
+        }
 
-        if (segment.endsWith("?")) {
-          if (index > 0) {
-            regexPattern += "?";
+        // Constraints are not checked: values are written as given
+        let text = "";
+        let complete = true;
+        for (const part of node.parts) {
+          if (part.type === "static") {
+            text += part.value;
+          } else if (hasValue(part.name)) {
+            used.push(part.name);
+            text += encodeURIComponent(String(params[part.name]));
+          } else {
+            missing.push(part.name);
+            complete = false;
           }
-          regexPattern += `(${escapedSegment.slice(0, -2)})?`;
-        } else if (segment.endsWith("*")) {
-          regexPattern += `(${escapedSegment.slice(0, -2)}.+)`;
-        } else {
-          regexPattern += escapedSegment;
         }
+        if (complete) parts.push(text);
       }
-    }
-
-    // Handle optional trailing slash and end of string
-    regexPattern += "/?$";
 
-    const compiled = {
-      regex: new RegExp(regexPattern),
-      params,
-      segments,
+      return { parts, used, missing };
     };
 
-    return compiled;
+    const { parts, used, missing } = build(compiledRule.nodes, true);
+    return {
+      pathname: "/" + parts.filter(Boolean).join("/"),
+      used,
+      missing,
+    };
   }
 
   /**
@@ -209,11 +362,12 @@ export class ReactRouterScorer {
     // Extract parameters
     const params = {};
     compiledRule.params.forEach((paramName, index) => {
+      // Params of an optional group that matched nothing are empty
       if (paramName === "0" || /^\d+$/.test(paramName)) {
         // Numeric keys for wildcard groups
-        params[paramName] = match[index + 1];
+        params[paramName] = match[index + 1] ?? "";
       } else if (paramName !== "*") {
-        params[paramName] = match[index + 1];
+        params[paramName] = match[index + 1] ?? "";
       }
     });
 
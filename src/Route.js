@@ -1,5 +1,8 @@
+import { UrlGenerationError } from "./errors/UrlGenerationError.js";
 import { getPattern, patternCache } from "./util/getPattern.js";
 import { getTailGroup } from "./util/getTailGroup.js";
+import { compileParamSchema } from "./util/paramSchema.js";
+import { compileSearchSchema } from "./util/searchSchema.js";
 // canonicalizePath is used in parsePathname to strip any trailing slash that
 // the substring-based tail extraction can leave on the matched segment.
 // See util/url.js for the full rationale.
@@ -7,8 +10,22 @@ import { canonicalizePath, ORIGIN } from "./util/url.js";
 
 /**
  * @typedef {{ params: object, extraParams: object, searchParams: object, hash?: string, signal: AbortSignal }} RouteContext
- * @typedef {{ path: string; name: string; render: (p:Omit<RouteContext, 'signal'>) => Object; enter?:(p:RouteContext) => Object; leave?:(p:RouteContext) =>Object }} RouteConfig
+ * @typedef {{ path: string; name: string; params?: import("./util/paramSchema.js").ParamSchema; search?: import("./util/searchSchema.js").SearchSchema; component?: () => Promise<unknown>; pending?: unknown | ((p:Omit<RouteContext, 'signal'>) => unknown); scroll?: false | "top" | "preserve"; redirect?: string | ((p:Omit<RouteContext, 'signal'>) => string); errorRender?: ErrorRender; viewTransitions?: boolean; meta?: import("./MetaManager.js").RouteMeta | ((p:Omit<RouteContext, 'signal'> & { data?: unknown, route: Route }) => import("./MetaManager.js").RouteMeta); render: (p:Omit<RouteContext, 'signal'> & { data?: unknown, module?: unknown }) => Object; enter?:(p:RouteContext) => Object; load?:(p:RouteContext) => unknown; children?: Array<RouteConfig | Route>; leave?:(p:RouteContext) =>Object }} RouteConfig
+ * @typedef {(p:Omit<RouteContext, 'signal'> & { route?: Route, retry: () => Promise<void> }, error: unknown) => Object} ErrorRender
+ * @typedef {{ status: "idle" | "pending" | "resolved" | "rejected", module?: unknown, error?: unknown }} ComponentState
  */
+
+/**
+ * Lazy `component` modules, keyed by the config's import function so every
+ * Route built from the same config (one per Routes instance) shares one
+ * import.
+ *
+ * @type {WeakMap<Function, ComponentState & { promise: Promise<unknown> }>}
+ */
+const COMPONENT_MODULES = new WeakMap();
+
+/** @type {ComponentState} */
+const IDLE_COMPONENT = Object.freeze({ status: "idle" });
 export class Route {
   /**
    *
@@ -19,19 +36,72 @@ export class Route {
     this.name = route.name;
     this.render = route.render;
     this.enter = route.enter;
+    this.load = route.load;
+    this.component = route.component;
+    this.pending = route.pending;
     this.leave = route.leave;
+    this.params = route.params;
+    this.search = route.search;
+    this.scroll = route.scroll;
+    this.redirect = route.redirect;
+    this.errorRender = route.errorRender;
+    this.viewTransitions = route.viewTransitions;
+    this.meta = route.meta;
+    this.children = route.children;
+
+    // A string `redirect` is a path pattern; compile it once so the matched
+    // params can be substituted into it. A relative target ("profile",
+    // "../users/:id") keeps its prefix aside: patterns are always absolute.
+    if (typeof route.redirect === "string") {
+      const [, prefix, pattern] = route.redirect.match(/^((?:\.\.?\/)*)(.*)$/);
+      this._redirectPrefix = pattern.startsWith("/") ? null : prefix;
+      this._redirectTarget = new Route({ path: pattern });
+    } else {
+      this._redirectTarget = null;
+    }
+
+    // Validates and coerces matched params; null when the route has no schema.
+    this._coerceParams = compileParamSchema(route.params);
+    // Types the search params; null when the route has no `search` schema.
+    this._parseSearch = compileSearchSchema(route.search);
 
     this.pattern = getPattern(this);
     Object.freeze(this);
   }
 
+  /**
+   * Whether `pathname` matches this route. Routes with a `params` schema only
+   * match when every param passes validation.
+   *
+   * @param {string | { pathname: string }} pathname
+   * @returns {boolean}
+   */
   testPathname(pathname) {
-    return this.pattern.test(pathname);
+    if (!this._coerceParams) {
+      return this.pattern.test(pathname);
+    }
+
+    const input = typeof pathname === "string" ? pathname : pathname.pathname;
+    return this.parsePathname(input) !== null;
+  }
+
+  /**
+   * Types the search params of a URL with this route's `search` schema.
+   * Without a schema they are returned as read from the URL.
+   *
+   * @param {import("./util/url.js").SearchParamsRecord} [searchParams={}]
+   * @returns {Record<string, unknown>}
+   */
+  parseSearch(searchParams = {}) {
+    return this._parseSearch
+      ? this._parseSearch(searchParams)
+      : { ...searchParams };
   }
 
   /**
    * @param {string} pathname
-   * @returns {{ params: object, pathname: string, tailGroup: string }}
+   * @returns {{ params: object, pathname: string, tailGroup: string } | null}
+   *   null when the pathname does not match or a param fails the schema
    */
   parsePathname(pathname) {
     const input = pathname;
@@ -39,7 +109,7 @@ export class Route {
     if (!matched) {
       return null;
     }
-    const params = matched.pathname.groups || {};
+    let params = matched.pathname.groups || {};
     const rawTail = getTailGroup(params);
 
     // Remove numeric wildcard captures — they are tail-extraction artifacts,
@@ -47,6 +117,13 @@ export class Route {
     for (const key of Object.keys(params)) {
       if (/^\d+$/.test(key)) delete params[key];
     }
+
+    if (this._coerceParams) {
+      params = this._coerceParams(params);
+      if (!params) {
+        return null;
+      }
+    }
     const tailGroup = rawTail ? new URL(rawTail, ORIGIN).pathname : "/";
 
     // Trim the tail segment from pathname using string arithmetic.
@@ -108,6 +185,95 @@ export class Route {
     };
   }
 
+  /**
+   * Imports the lazy `component` module. The import is cached once it
+   * resolves; a rejected import is retried on the next call.
+   *
+   * @returns {Promise<unknown>} the module, or undefined when the route has no `component`
+   */
+  loadComponent() {
+    if (typeof this.component !== "function") {
+      return Promise.resolve(undefined);
+    }
+
+    const cached = COMPONENT_MODULES.get(this.component);
+    if (cached && cached.status !== "rejected") {
+      return cached.promise;
+    }
+
+    const entry = { status: "pending" };
+    entry.promise = Promise.resolve()
+      .then(() => this.component())
+      .then(
+        (module) => {
+          entry.status = "resolved";
+          entry.module = module;
+          return module;
+        },
+        (error) => {
+          entry.status = "rejected";
+          entry.error = error;
+          throw error;
+        },
+      );
+    COMPONENT_MODULES.set(this.component, entry);
+
+    return entry.promise;
+  }
+
+  /**
+   * Where the lazy `component` module is at, without starting the import.
+   *
+   * @returns {ComponentState}
+   */
+  getComponent() {
+    if (typeof this.component !== "function") {
+      return IDLE_COMPONENT;
+    }
+    return COMPONENT_MODULES.get(this.component) ?? IDLE_COMPONENT;
+  }
+
+  /**
+   * Build the pathname of this route from `params`. The reverse of
+   * parsePathname.
+   *
+   * @param {Record<string, unknown>} [params]
+   * @param {{ trailingWildcard?: boolean }} [options]
+   * @returns {{ pathname: string, used: string[], missing: string[] }}
+   */
+  buildPathname(params = {}, options = {}) {
+    return this.pattern.build(params, options);
+  }
+
+  /**
+   * Fills the params matched by this route into its string `redirect`
+   * pattern. A `*` in the target receives the matched tail.
+   *
+   * @example
+   * // { path: "/old/:id/*", redirect: "/new/:id/*" } matched "/old/7/a/b"
+   * route.buildRedirect({ id: "7" }, "/a/b"); // → "/new/7/a/b"
+   *
+   * @param {Record<string, unknown>} params
+   * @param {string} [tailGroup]
+   * @returns {string}
+   * @throws {UrlGenerationError} when the target needs a param this route did not match
+   */
+  buildRedirect(params, tailGroup = "") {
+    const { pathname, missing } = this._redirectTarget.buildPathname({
+      ...params,
+      0: tailGroup,
+    });
+    if (missing.length > 0) {
+      throw new UrlGenerationError(
+        `Redirect target "${this.redirect}" of route "${this.path}" needs param "${missing[0]}"`,
+        { routeName: this.name, param: missing[0], reason: "missing-param" },
+      );
+    }
+    return this._redirectPrefix === null
+      ? pathname
+      : this._redirectPrefix + pathname.replace(/^\//, "");
+  }
+
   toString() {
     return this.valueOf();
   }
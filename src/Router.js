@@ -1,5 +1,13 @@
 import { InvalidNavigationError } from "./errors/InvalidNavigationError.js";
-import { Routes } from "./Routes.js";
+import { RedirectLoopError } from "./errors/RedirectLoopError.js";
+import { RouteNotFoundError } from "./errors/RouteNotFoundError.js";
+import { NavigationResult } from "./NavigationResult.js";
+import { UrlGenerationError } from "./errors/UrlGenerationError.js";
+import { Routes, isRedirect } from "./Routes.js";
+import { MetaManager } from "./MetaManager.js";
+import { PrefetchManager } from "./PrefetchManager.js";
+import { ScrollManager } from "./ScrollManager.js";
+import { createHistory } from "./history/index.js";
 import {
   RouterAcknowledgeEvent,
   RouterLocationChangedEvent,
@@ -8,8 +16,16 @@ import {
 } from "./RoutesEvents.js";
 import { collectParams } from "./util/collectParams.js";
 import { log } from "./util/log.js";
+import { defineParam } from "./util/pathSyntax.js";
 import { shallowEqual } from "./util/shallow.js";
-import { buildHref, locationToHref, parseUrl, resolveUrl } from "./util/url.js";
+import {
+  buildHref,
+  canonicalizePath,
+  parseUrl,
+  resolveUrl,
+  searchParamsToObject,
+  toSearchParams,
+} from "./util/url.js";
 
 function dispatchLocationChanging({
   currentPathname,
@@ -49,7 +65,150 @@ function dispatchLocationChanged({
   );
 }
 
+/**
+ * Depth-first search for the Routes level that registers a route called
+ * `name`. Only levels that are currently connected are visited, since child
+ * Routes controllers register themselves when their host mounts.
+ *
+ * @param {import("./Routes.js").Routes} instance
+ * @param {string} name
+ * @returns {{ owner: import("./Routes.js").Routes, route: import("./Route.js").Route } | null}
+ */
+function findNamedRoute(instance, name) {
+  for (const route of instance.routes) {
+    if (route.name === name) {
+      return { owner: instance, route };
+    }
+  }
+
+  for (const child of instance._children) {
+    const found = findNamedRoute(child, name);
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The routes currently shown, from the router down to the deepest connected
+ * level.
+ *
+ * @param {import("./Routes.js").Routes} router
+ * @returns {import("./Route.js").Route[]}
+ */
+function activeRoutes(router) {
+  const routes = [];
+  let level = router;
+  while (level?.currentRoute) {
+    routes.push(level.currentRoute);
+    level = [...level._children].find((child) => child.currentRoute);
+  }
+  return routes;
+}
+
+/**
+ * The error an error boundary is showing for the current location, if any.
+ *
+ * @param {import("./Routes.js").Routes} router
+ * @returns {unknown}
+ */
+function caughtError(router) {
+  let level = router;
+  while (level) {
+    if (level._error) {
+      return level._error.error;
+    }
+    level = [...level._children].find(
+      (child) => child.currentRoute || child._error,
+    );
+  }
+  return undefined;
+}
+
+/**
+ * @param {Router} router
+ * @returns {{ state: "idle" | "loading" | "submitting", location: string | null }}
+ */
+function pendingSnapshot(router) {
+  return { state: router.navigationState, location: router.pendingLocation };
+}
+
 const CHANGE_LOCATION_SUBS = Symbol("change_location_subs");
+const BLOCKERS = Symbol("blockers");
+
+/** Redirect hops a single navigation may follow before it is a loop. */
+const MAX_REDIRECTS = 10;
+
+/** Events that start or cancel intent prefetching of a link. */
+const INTENT_EVENTS = ["mouseover", "mouseout", "focusin", "touchstart"];
+
+/**
+ * Results of navigations that failed with no error boundary to show the
+ * failure: nothing committed and the URL did not change.
+ *
+ * @type {WeakSet<NavigationResult>}
+ */
+const UNHANDLED_FAILURES = new WeakSet();
+
+/**
+ * Connected routers, keyed by their host element.
+ *
+ * @type {Map<EventTarget, Router>}
+ */
+const ROUTERS = new Map();
+
+/**
+ * Returns the router an event belongs to: the one whose host is the closest
+ * to the event target (across shadow roots), or the primary router for
+ * events from outside every router host.
+ *
+ * @param {Event} event
+ * @returns {Router | null}
+ */
+function resolveRouter(event) {
+  for (const node of event.composedPath()) {
+    const router = ROUTERS.get(node);
+    if (router) {
+      return router;
+    }
+  }
+
+  const routers = [...ROUTERS.values()];
+  return routers.find((router) => router.primary) ?? routers[0] ?? null;
+}
+
+/**
+ * Returns the `<a>` an event went through when it is one the router should
+ * handle: it has an `href` on the same origin, targets the current browsing
+ * context and is not opted out with `download` or `router-ignore`.
+ *
+ * @param {Event} e
+ * @returns {HTMLAnchorElement | null}
+ */
+function routableAnchor(e) {
+  /**
+   * @type {HTMLAnchorElement | undefined}
+   */
+  const anchor = e.composedPath().find((el) => {
+    return el instanceof HTMLElement && el.nodeName.toLowerCase() === "a";
+  });
+
+  if (
+    !anchor ||
+    !anchor.hasAttribute("href") ||
+    anchor.hasAttribute("download") ||
+    anchor.hasAttribute("router-ignore") ||
+    ["_blank", "_parent", "_top"].includes(
+      anchor.target?.toLocaleLowerCase(),
+    ) ||
+    window.location.origin !== anchor.origin
+  ) {
+    return null;
+  }
+  return anchor;
+}
 
 /**
  * A root-level router that installs global event listeners to intercept
@@ -57,13 +216,48 @@ const CHANGE_LOCATION_SUBS = Symbol("change_location_subs");
  *
  * This class extends Routes so that it can also have a route configuration.
  *
- * There should only be one Router instance on a page, since the Router
- * installs global event listeners on `window` and `document`. Nested
- * routes should be configured with the `Routes` class.
+ * Several routers can live on one page (micro-frontends, embedded sub-apps).
+ * Each one serves the `Navigation` controllers, nested `Routes` and link
+ * clicks inside its host; the primary router also serves everything outside
+ * any router host. Only the primary router owns the URL: secondary routers
+ * (`primary: false`, or any router that connects while a primary one is
+ * connected) run on a memory history by default. Nested routes of the same
+ * app should be configured with the `Routes` class.
  */
 export class Router extends Routes {
   _isDestroyed = false;
 
+  /**
+   * Position of the current entry in the session history, stamped into
+   * `history.state.index`. Lets _onPopState compute how far the browser
+   * jumped so a blocked navigation can be undone with `history.go()`.
+   */
+  _historyIndex = 0;
+
+  /** Set while a compensating `history.go()` is in flight. */
+  _ignoreNextPopState = false;
+
+  /** Hrefs visited by the config redirects of the current navigation. */
+  _redirectChain = [];
+
+  /** Config redirects followed by the last goto() that committed. */
+  _redirectHops = 0;
+
+  /**
+   * The navigation in flight, from `lit-router-location-changing` until it
+   * settles.
+   *
+   * @type {{ state: "loading" | "submitting", location: string } | null}
+   */
+  _pending = null;
+
+  /**
+   * How the current navigation moves through history.
+   *
+   * @type {"push" | "replace" | "back" | "forward"}
+   */
+  _direction = "push";
+
   /** Current combined route params from the active route tree. */
   get params() {
     return collectParams(this).params;
@@ -74,9 +268,13 @@ export class Router extends Routes {
     return collectParams(this).extraParams;
   }
 
-  /** Current parsed search parameters from the active route tree. */
+  /**
+   * Current search parameters from the active route tree, typed by the
+   * `search` schemas of the active routes. Params no schema declares are
+   * strings, or arrays of strings for repeated keys.
+   */
   get searchParams() {
-    return collectParams(this).searchParams;
+    return collectParams(this).search;
   }
   set searchParams(value) {
     this.replaceState({
@@ -109,47 +307,257 @@ export class Router extends Routes {
    * Consistent with params, searchParams, hash — all plain property reads.
    */
   get url() {
-    return buildHref(this.state?.fullPathname, this.searchParams, this.hash);
+    return buildHref(
+      this.state?.fullPathname,
+      collectParams(this).searchParams,
+      this.hash,
+    );
+  }
+
+  /**
+   * `"loading"` while a navigation runs its guards and loaders,
+   * `"submitting"` when it was started with `submit: true`, else `"idle"`.
+   *
+   * @returns {"idle" | "loading" | "submitting"}
+   */
+  get navigationState() {
+    return this._pending?.state ?? "idle";
+  }
+
+  /**
+   * In-app href of the navigation in flight, or null when idle.
+   *
+   * @returns {string | null}
+   */
+  get pendingLocation() {
+    return this._pending?.location ?? null;
+  }
+
+  /**
+   * How the latest navigation moved through history: `"push"` for a new
+   * entry, `"replace"` when it replaced the current one (and on initial
+   * load), `"back"`/`"forward"` for browser history traversal. Passed to view
+   * transitions as their type.
+   *
+   * @returns {"push" | "replace" | "back" | "forward"}
+   */
+  get direction() {
+    return this._direction;
+  }
+
+  /**
+   * The `meta` of the active route chain merged root to leaf, over the
+   * `defaults` of the `meta` option, with the title template applied.
+   * Updated after each navigation, once the routes have rendered.
+   *
+   * @returns {import("./MetaManager.js").RouteMeta}
+   */
+  get meta() {
+    return this._meta.current;
   }
   /**
    * @param {import("lit").ReactiveControllerHost} host - The Lit element that owns this router.
    * @param {import("./Route.js").Route[]} [routes=[]] - Initial route configuration.
-   *
-   * @param {{ fallback?: boolean }} [options={}] - Optional configuration object (reserved for future use).
+   * @param {object} [options={}] - Optional configuration object.
+   * @param {boolean} [options.fallback] - Lets a router without routes pass
+   *   every navigation through instead of failing it.
+   * @param {boolean} [options.primary] - `false` declares a secondary router,
+   *   which defaults to a memory history and leaves links outside its host to
+   *   the primary router. Without the option, a router is primary unless
+   *   another primary router is connected when it connects; `true` makes that
+   *   conflict throw instead.
+   * @param {import("./history/index.js").RouterHistory | "browser" | "hash" | "memory"} [options.history] -
+   *   Where the route is kept: the URL pathname ("browser", the default for
+   *   the primary router), the fragment ("hash", `/#/users/1?tab=x`, for
+   *   static hosts that cannot rewrite to index.html), memory only ("memory",
+   *   the default for secondary routers), or a history instance.
+   * @param {"history" | "hash"} [options.mode] - `"hash"` is an alias for
+   *   `history: "hash"`.
+   * @param {string} [options.basePath] - The sub-path the app is mounted at
+   *   (e.g. "/portal"); routes are declared and navigated without it.
+   * @param {import("./ScrollManager.js").ScrollContainer} [options.scrollContainer] -
+   *   The element (or a function returning it) whose scroll position is saved
+   *   and restored; defaults to `window`.
+   * @param {boolean} [options.viewTransitions] - `true` commits route changes
+   *   inside `document.startViewTransition()` where the browser supports it;
+   *   a route's own `viewTransitions` overrides it.
+   * @param {import("./MetaManager.js").MetaOptions} [options.meta] - Turns on
+   *   document metadata: after each navigation the `meta` of the active routes
+   *   is merged and written to `document.title` and `<meta>` tags.
+   *   `titleTemplate` (e.g. "%s · MyApp") frames route titles; `defaults`
+   *   apply where no route sets a key.
+   * @param {import("./PrefetchManager.js").PrefetchMode | import("./PrefetchManager.js").PrefetchOptions} [options.prefetch] -
+   *   Warms the lazy component and loader of a link's route before it is
+   *   followed: on hover, focus or touch ("intent") or when it scrolls into
+   *   view ("viewport", for `lit-router-link`). Links override it with their
+   *   own `prefetch` attribute. The object form also takes `ttl`, how long an
+   *   unused prefetch is kept (30s by default), and `intentDelay`, how long a
+   *   hover has to last (50ms).
    */
   constructor(host, routes = [], options = {}) {
     super(host, routes, options);
     this[CHANGE_LOCATION_SUBS] = new Set();
+    this[BLOCKERS] = new Map();
+
+    /** Settled on connect, see hostConnected(). */
+    this._primary = options.primary !== false;
+
+    /**
+     * Built by the `history` getter, once it is known whether this router is
+     * primary.
+     *
+     * @type {import("./history/index.js").RouterHistory | null}
+     */
+    this._history = null;
+
+    /**
+     * Built on connect, for routers whose history is not in memory.
+     *
+     * @type {ScrollManager | null}
+     */
+    this._scroll = null;
+
+    this._meta = new MetaManager(this, options.meta);
+    this._prefetch = new PrefetchManager(this, options.prefetch);
+  }
+
+  /**
+   * Whether this router owns the page URL and serves links and controllers
+   * outside every router host. Routers are primary unless constructed with
+   * `primary: false`, or connected while another primary router is.
+   *
+   * @returns {boolean}
+   */
+  get primary() {
+    return this._primary;
+  }
+
+  /**
+   * The history this router runs on. Secondary routers default to a memory
+   * history; read before the router connects, it is built for the primary
+   * status the router was constructed with.
+   *
+   * @returns {import("./history/index.js").RouterHistory}
+   */
+  get history() {
+    this._history ??= createHistory(
+      this.primary || this.options.history || this.options.mode
+        ? this.options
+        : { ...this.options, history: "memory" },
+    );
+    return this._history;
+  }
+
+  /**
+   * Routers are roots: they never attach to the `Routes` tree of an
+   * enclosing router.
+   *
+   * @returns {boolean}
+   */
+  get isRoot() {
+    return true;
+  }
+
+  /**
+   * Sub-path the app is mounted at, normalised ("/portal", or "" at the root).
+   *
+   * @returns {string}
+   */
+  get basePath() {
+    return this.history.basePath ?? "";
+  }
+
+  /**
+   * Where the route is kept: the URL pathname ("history"), the fragment
+   * ("hash") or memory only ("memory").
+   *
+   * @returns {"history" | "hash" | "memory"}
+   */
+  get mode() {
+    return this.history.mode;
   }
 
   /**
    * Called by Lit when the host element connects to the DOM.
    */
   hostConnected() {
+    const owner = [...ROUTERS.values()].find(
+      (router) => router !== this && router.primary,
+    );
+    if (owner && this.primary) {
+      if (this.options.primary === true) {
+        throw new TypeError(
+          `<${this._host.localName}> cannot be a primary router: <${owner._host.localName}> already owns the URL. Pass \`primary: false\` to one of them.`,
+        );
+      }
+      this._primary = false;
+      log("router", null, "secondary", { host: this._host.localName });
+    }
+    // An in-memory router does not own the page, so it leaves scrolling alone.
+    if (this.history.mode !== "memory") {
+      this._scroll ??= new ScrollManager(this, {
+        container: this.options.scrollContainer,
+      });
+    }
+
     super.hostConnected();
     if (this._isDestroyed) {
       this._isDestroyed = false;
     }
 
-    window.addEventListener("popstate", this._onPopState);
+    ROUTERS.set(this._host, this);
+    this._unlistenHistory = this.history.listen(this._onPopState);
+    window.addEventListener("beforeunload", this._onBeforeUnload);
+    this._scroll?.connect();
     window.addEventListener("click", this._onAnchorClick, { capture: true });
+    for (const type of INTENT_EVENTS) {
+      window.addEventListener(type, this._onAnchorIntent, {
+        capture: true,
+        passive: true,
+      });
+    }
+    this._prefetch.connect();
     window.addEventListener(
       RouterAcknowledgeEvent.eventName,
       this._onRouterAcknowledged,
       { capture: true },
     );
 
-    const state = window.history.state;
+    const state = this.history.state;
+    const href = this.history.location;
     log("router", null, "host-connected", {
-      url: locationToHref(window.location),
+      url: href,
+      mode: this.mode,
       "history-state": state ? "present" : null,
     });
+
+    // Stamp the entry we start on so popstate deltas can be computed.
+    if (typeof state?.index === "number") {
+      this._historyIndex = state.index;
+    } else {
+      this._historyIndex = 0;
+      // In hash mode also normalise "/" or "/#section" to "/#/".
+      this.history.replace(this.mode === "hash" ? href : undefined, {
+        ...state,
+        index: 0,
+      });
+    }
     // Fire-and-forget — the kick-off completes asynchronously. The
     // navigation lifecycle is observable via the per-nav trace below.
-    this.goto(locationToHref(window.location), {
+    this.goto(href, {
       isBrowserNavigation: true,
       _cause: "initial",
       ...(state?.extraParams ? state.extraParams : {}),
+    }).then((result) => {
+      if (UNHANDLED_FAILURES.has(result)) {
+        this._reportFailure(result);
+        return;
+      }
+      this._scroll?.afterNavigation({
+        action: "initial",
+        hash: parseUrl(href).hash,
+        position: state?.scroll,
+      });
     });
   }
 
@@ -160,9 +568,21 @@ export class Router extends Routes {
     super.hostDisconnected();
     this._isDestroyed = true;
     this[CHANGE_LOCATION_SUBS].clear();
+    this[BLOCKERS].clear();
 
-    window.removeEventListener("popstate", this._onPopState);
+    if (ROUTERS.get(this._host) === this) {
+      ROUTERS.delete(this._host);
+    }
+    this._unlistenHistory?.();
+    this._unlistenHistory = null;
+    window.removeEventListener("beforeunload", this._onBeforeUnload);
+    this._scroll?.disconnect();
+    this._meta.disconnect();
     window.removeEventListener("click", this._onAnchorClick, { capture: true });
+    for (const type of INTENT_EVENTS) {
+      window.removeEventListener(type, this._onAnchorIntent, { capture: true });
+    }
+    this._prefetch.disconnect();
     window.removeEventListener(
       RouterAcknowledgeEvent.eventName,
       this._onRouterAcknowledged,
@@ -176,18 +596,24 @@ export class Router extends Routes {
    * URL bar updates are handled by _onAnchorClick (pushState) and _onPopState.
    *
    * @param {string} pathname - The path to navigate to
-   * @param {{ [extraParam:string]: string, searchParams?: URLSearchParams | Record<string, string>, hash?: string }} options
+   * @param {{ [extraParam:string]: string, searchParams?: URLSearchParams | Record<string, unknown>, hash?: string }} options
+   * @returns {Promise<NavigationResult>} `not-found` or `error`, with the
+   *   `error`, when the navigation fails; it never rejects for a failed
+   *   navigation
    */
   async goto(pathname, options = {}) {
+    const start = performance.now();
     if (this._isDestroyed) {
-      return;
+      return new NavigationResult({ status: "cancelled", url: pathname, start });
     }
 
     const {
       isBrowserNavigation = false,
+      submit = false,
       hash,
       searchParams,
       _cause,
+      _direction,
       ...extraParams
     } = options;
     const cause = _cause ?? "goto";
@@ -199,7 +625,17 @@ export class Router extends Routes {
 
     const nextUrl = resolveUrl(this.state?.pathname || "/", pathname);
     const nextUrlHash = hash ?? nextUrl.hash;
-    const mergedSearchParams = { ...searchParams, ...nextUrl.searchParams };
+    // Typed values (from a `search` schema) are brought back to their URL
+    // form, so state always holds what the URL says.
+    const mergedSearchParams = {
+      ...searchParamsToObject(toSearchParams(searchParams)),
+      ...nextUrl.searchParams,
+    };
+    const nextHref = buildHref(
+      nextUrl.pathname,
+      mergedSearchParams,
+      nextUrlHash,
+    );
 
     // No-op guard — compare against internal state, not window.location
     if (
@@ -212,12 +648,45 @@ export class Router extends Routes {
         path: nextUrl.pathname,
         cause,
       });
-      return;
+      return new NavigationResult({
+        status: "noop",
+        url: nextHref,
+        routes: activeRoutes(this),
+        start,
+      });
+    }
+
+    // Only yield to the event loop when someone is listening: navigate()
+    // relies on _navId advancing synchronously for back-to-back calls.
+    if (
+      cause !== "initial" &&
+      cause !== "redirect" &&
+      // _onPopState asked them already, and undoes a blocked pop itself.
+      cause !== "popstate" &&
+      this[BLOCKERS].size > 0
+    ) {
+      if (await this._isBlocked(nextHref, "push")) {
+        log("router", null, "goto-blocked", {
+          path: nextUrl.pathname,
+          cause,
+        });
+        return new NavigationResult({
+          status: "cancelled",
+          url: nextHref,
+          start,
+        });
+      }
     }
 
     const prev = collectParams(this);
     prev.pathname = this.pathname;
+    prev.searchParams = prev.search;
 
+    this._direction = _direction ?? (isBrowserNavigation ? "replace" : "push");
+    const pending = this._setPending({
+      state: submit ? "submitting" : "loading",
+      location: nextHref,
+    });
     dispatchLocationChanging({
       currentPathname: prev.pathname,
       pathname: nextUrl.pathname,
@@ -233,14 +702,34 @@ export class Router extends Routes {
       skipLeave: isBrowserNavigation || undefined,
     });
 
+    if (cause !== "redirect") {
+      this._redirectChain = [];
+    }
+
+    const attempt = {
+      pathname: nextUrl.pathname,
+      searchParams: mergedSearchParams,
+      hash: nextUrlHash,
+      hops: 0,
+      navId: null,
+    };
+    const settle = (status, error) =>
+      new NavigationResult({
+        status,
+        url: buildHref(attempt.pathname, attempt.searchParams, attempt.hash),
+        routes: status === "cancelled" || status === "superseded"
+          ? []
+          : activeRoutes(this),
+        redirects: this._redirectChain.slice(0, -1),
+        navId: attempt.navId,
+        start,
+        error,
+      });
+
     try {
-      await this._gotoInternal(
-        nextUrl.pathname,
-        {
-          extraParams,
-          searchParams: mergedSearchParams,
-          hash: nextUrlHash,
-        },
+      await this._gotoFollowingRedirects(
+        attempt,
+        extraParams,
         isBrowserNavigation,
         cause,
       );
@@ -252,34 +741,158 @@ export class Router extends Routes {
         )
       ) {
         log("router", null, "goto-cancelled", {
-          path: nextUrl.pathname,
+          path: attempt.pathname,
           reason: error.metadata.reason,
         });
-        return false;
+        return settle(
+          error.metadata.reason === "navigation-aborted"
+            ? "superseded"
+            : "cancelled",
+        );
       }
 
-      throw error;
+      log("router", null, "goto-failed", {
+        path: attempt.pathname,
+        error: error?.name ?? String(error),
+      });
+      const result = settle(
+        error instanceof RouteNotFoundError ? "not-found" : "error",
+        error,
+      );
+      UNHANDLED_FAILURES.add(result);
+      return result;
+    } finally {
+      this._clearPending(pending);
+    }
+
+    this._redirectHops = attempt.hops;
+    if (attempt.hops > 0 && isBrowserNavigation) {
+      // Nothing pushed the source URL: swap it for the target in place.
+      this.history.replace(this.url, this.history.state);
     }
 
     const context = collectParams(this);
     const next = {
-      pathname: nextUrl.pathname,
+      pathname: attempt.pathname,
       params: context.params,
-      searchParams: context.searchParams,
-      hash: nextUrlHash,
+      searchParams: context.search,
+      hash: attempt.hash,
     };
 
     dispatchLocationChanged({
-      pathname: nextUrl.pathname,
+      pathname: attempt.pathname,
       params: context.params,
       extraParams: context.extraParams,
       searchParams: context.searchParams,
-      hash: nextUrlHash,
+      hash: attempt.hash,
     });
 
     this.__emitChanges({ eventName: "location-changed", prev, next });
 
-    return true;
+    const caught = caughtError(this);
+    if (caught !== undefined) {
+      return settle(
+        caught instanceof RouteNotFoundError ? "not-found" : "error",
+        caught,
+      );
+    }
+    return settle("committed");
+  }
+
+  /**
+   * Runs _gotoInternal() and follows the redirects declared in the route
+   * config until a navigation commits. Every hop after the first skips leave
+   * guards: they already approved leaving the current route.
+   *
+   * `attempt` is updated in place as hops are followed, so when a hop throws
+   * the caller still knows where the navigation stopped.
+   *
+   * @param {{ pathname: string, searchParams: Record<string, string>, hash: string, hops: number, navId: number | null }} attempt
+   * @param {Record<string, any>} extraParams
+   * @param {boolean} skipLeaveCallbacks
+   * @param {string} cause
+   * @returns {Promise<void>}
+   */
+  async _gotoFollowingRedirects(attempt, extraParams, skipLeaveCallbacks, cause) {
+    for (;;) {
+      try {
+        const pass = this._gotoInternal(
+          attempt.pathname,
+          {
+            extraParams,
+            searchParams: attempt.searchParams,
+            hash: attempt.hash,
+          },
+          skipLeaveCallbacks || attempt.hops > 0,
+          attempt.hops > 0 ? "redirect" : cause,
+        );
+        // _gotoInternal() takes its id synchronously.
+        attempt.navId = this._navId;
+        await pass;
+        return;
+      } catch (error) {
+        if (!isRedirect(error)) {
+          throw error;
+        }
+
+        const { redirectTo } = error.metadata;
+        this._trackRedirect(
+          buildHref(attempt.pathname, attempt.searchParams, attempt.hash),
+          redirectTo,
+        );
+        const url = parseUrl(redirectTo);
+        attempt.pathname = url.pathname;
+        attempt.searchParams = url.searchParams;
+        attempt.hash = url.hash;
+        attempt.hops++;
+      }
+    }
+  }
+
+  /**
+   * Records a redirect hop of the current navigation.
+   *
+   * @param {string} from - href that redirected
+   * @param {string} to - href it redirects to
+   * @throws {RedirectLoopError} when `to` was already visited or the chain
+   *   exceeds MAX_REDIRECTS
+   */
+  _trackRedirect(from, to) {
+    const chain = this._redirectChain;
+    if (chain.length === 0) {
+      chain.push(from);
+    }
+
+    if (chain.includes(to) || chain.length > MAX_REDIRECTS) {
+      log("router", null, "redirect-loop", { chain: chain.join(" → "), to });
+      throw new RedirectLoopError(
+        `Redirect loop: ${[...chain, to].join(" → ")}`,
+        { chain: [...chain], redirectTo: to },
+      );
+    }
+
+    chain.push(to);
+  }
+
+  /**
+   * Follows a redirect raised by a nested Routes level that mounted after
+   * the navigation that rendered it had settled. The source URL is replaced
+   * when it already made it into the history, so Back skips it.
+   *
+   * @param {import("./errors/InvalidNavigationError.js").InvalidNavigationError} error
+   * @returns {Promise<void>}
+   */
+  async _followDetachedRedirect(error) {
+    const { redirectTo } = error.metadata;
+    const replace = this.history.location === this.url;
+    this._trackRedirect(this.url, redirectTo);
+    const result = await this.navigate(redirectTo, {
+      replace,
+      _cause: "redirect",
+    });
+    if (UNHANDLED_FAILURES.has(result)) {
+      throw result.error;
+    }
   }
 
   /**
@@ -289,22 +902,38 @@ export class Router extends Routes {
    * Internally calls goto() after pushing to history.
    *
    * @param {string} pathname
-   * @param {{ searchParams?: Record<string,string>, hash?: string, [extraParam:string]: any }} options
+   * @param {{ searchParams?: Record<string, unknown> | URLSearchParams, hash?: string, replace?: boolean, submit?: boolean, [extraParam:string]: any }} options
+   *   `replace: true` replaces the current history entry instead of adding one.
+   *   `submit: true` reports the navigation as `"submitting"` in `navigationState`.
+   * @returns {Promise<NavigationResult>} `superseded` when another navigation
+   *   (e.g. a redirect from an `enter` guard) started before this one
+   *   settled; `not-found` or `error` like goto()
    */
   async navigate(pathname, options = {}) {
-    if (this._isDestroyed) return;
+    const start = performance.now();
+    if (this._isDestroyed) {
+      return new NavigationResult({ status: "cancelled", url: pathname, start });
+    }
 
     const nextUrl = resolveUrl(this.state?.pathname || "/", pathname);
     const nextHash = options.hash ?? nextUrl.hash ?? "";
-    const nextSearch = { ...options.searchParams, ...nextUrl.searchParams };
+    const nextSearch = {
+      ...searchParamsToObject(toSearchParams(options.searchParams)),
+      ...nextUrl.searchParams,
+    };
     const href = buildHref(nextUrl.pathname, nextSearch, nextHash);
 
-    if (href === locationToHref(window.location)) {
+    if (href === this.history.location) {
       log("router", null, "navigate-noop", {
         href,
         cause: options._cause ?? "navigate",
       });
-      return;
+      return new NavigationResult({
+        status: "noop",
+        url: href,
+        routes: activeRoutes(this),
+        start,
+      });
     }
 
     // Capture navId before goto() so we can detect if a redirect fired
@@ -327,60 +956,166 @@ export class Router extends Routes {
     //       }
     //     }
     const navIdBefore = this._navId;
+    const { replace = false, ...gotoOptions } = options;
     const cause = options._cause ?? "navigate";
     log("router", null, "navigate", {
       path: nextUrl.pathname,
       cause,
     });
-    const navigationCompleted = await this.goto(pathname, {
-      ...options,
+    const result = await this.goto(pathname, {
+      ...gotoOptions,
       _cause: cause,
+      _direction: replace ? "replace" : "push",
     });
+    if (UNHANDLED_FAILURES.has(result)) {
+      // Nothing committed, so the URL stays.
+      return result;
+    }
+
+    // An error boundary showing the failure counts as arriving: the URL
+    // updates so the error page can be reloaded and left with Back.
+    const arrived = ["committed", "not-found", "error"].includes(result.status);
+    // Redirects declared in the route config run one _gotoInternal per hop.
+    const hops = arrived ? this._redirectHops : 0;
+    const superseded =
+      result.navId !== null &&
+      this._wasNavigationSuperseded(navIdBefore, hops);
 
-    if (!navigationCompleted || this._wasNavigationSuperseded(navIdBefore)) {
+    if (!arrived || superseded) {
       log("router", null, "navigate-skip-pushstate", {
         path: nextUrl.pathname,
-        completed: navigationCompleted ?? false,
-        superseded: this._wasNavigationSuperseded(navIdBefore),
+        status: result.status,
+        superseded,
       });
-      return;
+      if (superseded) {
+        result.status = "superseded";
+        result.routes = [];
+      }
+      return result;
     }
 
-    log("router", null, "pushstate", { href });
+    const finalHref = hops > 0 ? this.url : href;
+    const finalHash = hops > 0 ? this.hash : nextHash;
+    const state = {
+      extraParams: options.extraParams ?? {},
+      index: this._historyIndex,
+    };
+
+    if (replace) {
+      log("router", null, "replacestate", { href: finalHref });
+      this.history.replace(finalHref, state);
+      this._scroll?.afterNavigation({ action: "push", hash: finalHash });
+      return result;
+    }
+
+    log("router", null, "pushstate", { href: finalHref });
     try {
       // NOTE (C4): We only store extraParams in history.state because
       // searchParams and hash are already encoded in the URL string (href).
-      // On popstate, _onPopState reads them from window.location.href via
-      // parseUrl() — the browser restores the full URL automatically.
+      // On popstate, _onPopState reads them from history.location via
+      // parseUrl() — the history restores the full URL automatically.
       //
       // If we ever need searchParams/hash in history.state (e.g. for
       // server-side rendering or debugging), add them here:
       //   { extraParams, searchParams: nextSearch, hash: nextHash }
-      window.history.pushState(
-        { extraParams: options.extraParams ?? {} },
-        "",
-        href,
-      );
+      this._scroll?.save(this._historyIndex, { persist: true });
+      this.history.push(finalHref, { ...state, index: ++this._historyIndex });
     } catch (historyError) {
       throw new Error(`Failed to update browser URL: ${historyError}`);
     }
+
+    this._scroll?.afterNavigation({ action: "push", hash: finalHash });
+    return result;
   }
 
   /**
-   * Navigates one step backward in the browser session history.
+   * Explains the match of `url` level by level: each level gets the tail of
+   * the route its parent matched, like a navigation would pass it. Only
+   * mounted levels can be explained, so the chain stops below a route that
+   * the current page does not render.
+   *
+   * @example
+   * for (const { level, pathname, route } of router.explainUrl("/users/7")) {
+   *   console.log(level._host.localName, pathname, route?.path);
+   * }
+   *
+   * @param {string} url - Target URL (absolute or relative); search and hash are ignored
+   * @returns {Array<{ level: import("./Routes.js").Routes, pathname: string, route: import("./Route.js").Route | undefined, candidates: import("./RoutesSet.js").RouteExplanation[] }>}
+   *   `route` is the route the level would show, or undefined when none matches
+   */
+  explainUrl(url) {
+    const chain = [];
+    let level = this;
+    let { pathname } = resolveUrl(this.state?.pathname || "/", url);
+
+    while (level) {
+      const candidates = level.explain(pathname);
+      const route = level.routes.matchRoute(pathname);
+      chain.push({ level, pathname, route, candidates });
+
+      // The active child only renders below the route its level shows.
+      if (!route || route !== level.currentRoute) break;
+      const parsed = route.parsePathname(pathname);
+      if (!parsed) break;
+      pathname = parsed.tailGroup;
+      level = [...level._children].find((child) => child.currentRoute);
+    }
+    return chain;
+  }
+
+  /**
+   * Warms the routes `url` leads to: starts importing their lazy `component`
+   * and running their `load`, so that navigating there within the prefetch
+   * `ttl` reuses the results. Repeated calls within the `ttl` are free.
+   *
+   * Only levels that are mounted can be warmed: for a URL in another branch
+   * of the app, that is the route the deepest shared level switches to.
+   *
+   * @param {string} url - Target URL (absolute or relative)
+   * @param {{ [extraParam:string]: unknown }} [extraParams={}] - The extra
+   *   params the navigation will pass, as in `navigate(url, extraParams)`;
+   *   loads prefetched for other extra params are not reused.
+   * @returns {Promise<void>} settles once the imports and loaders have; never rejects
+   */
+  prefetch(url, extraParams) {
+    return this._prefetch.prefetch(url, extraParams);
+  }
+
+  /**
+   * Registers a named param matcher that route paths use as `:name<matcher>`:
+   *
+   *     router.defineParam("uuid", /[0-9a-f-]{36}/);
+   *     // { path: "/orders/:id<uuid>", ... }
+   *
+   * Matchers are shared by every router on the page. A route resolves its
+   * matchers on its first match, so they can be defined after the routes,
+   * but before the first navigation that tests them.
+   *
+   * @param {string} name
+   * @param {RegExp | string} matcher - anchors and flags are ignored
+   * @throws {TypeError} if `name` is not a word or `matcher` is not a RegExp or string
+   */
+  defineParam(name, matcher) {
+    defineParam(name, matcher);
+  }
+
+  /**
+   * Navigates one step backward in the session history.
    */
   goback() {
-    history.back();
+    this.history.back();
   }
 
   /**
    * Replaces the current history entry without triggering a full navigation.
    *
-   * @param {{ searchParams?: Record<string,string> | URLSearchParams, extraParams?: Record<string,string>, hash?: string }} options
+   * @param {{ searchParams?: Record<string, unknown> | URLSearchParams, extraParams?: Record<string,string>, hash?: string }} options
    */
   replaceState(options) {
-    const searchParams = new URLSearchParams(
-      options.searchParams ? options.searchParams : this.state.searchParams,
+    const searchParams = searchParamsToObject(
+      toSearchParams(
+        options.searchParams ? options.searchParams : this.state.searchParams,
+      ),
     );
     const hash = options.hash ? options.hash : this.state.hash;
     const extraParams = options.extraParams
@@ -389,42 +1124,44 @@ export class Router extends Routes {
 
     try {
       const prev = {
-        pathname: this.state?.pathname ?? "/",
+        pathname: this.pathname,
         params: this.params,
         searchParams: this.searchParams,
         hash: this.hash,
       };
 
-      this.state = Object.assign({}, this.state, {
-        hash,
-        extraParams,
-        searchParams: Object.fromEntries(searchParams.entries()),
-      });
-
-      window.history.replaceState(
-        { extraParams },
-        "",
-        buildHref(
-          this.state.pathname,
-          Object.fromEntries(searchParams.entries()),
+      this.state = Object.assign({}, this.state, { extraParams });
+      // Every active level holds the search params and hash, and the deepest
+      // one wins when they are collected.
+      for (
+        let level = this;
+        level;
+        level = [...level._children].find((child) => child.currentRoute)
+      ) {
+        level.state = Object.assign({}, level.state, {
           hash,
-        ),
-      );
+          searchParams,
+          search: level.currentRoute?.parseSearch(searchParams) ?? searchParams,
+        });
+        if (level !== this) {
+          level._host.requestUpdate();
+        }
+      }
+
+      // The full pathname: state.pathname stops at this level's wildcard
+      const href = buildHref(this.pathname, searchParams, hash);
+      this.history.replace(href, { extraParams, index: this._historyIndex });
 
       const context = collectParams(this);
       const next = {
-        pathname: this.state.pathname,
+        pathname: this.pathname,
         params: context.params,
-        searchParams: context.searchParams,
+        searchParams: context.search,
         hash,
       };
 
       dispatchLocationChanged({
-        pathname: buildHref(
-          this.state.pathname,
-          Object.fromEntries(searchParams.entries()),
-          hash,
-        ),
+        pathname: href,
         params: context.params,
         extraParams: context.extraParams,
         searchParams: context.searchParams,
@@ -433,6 +1170,7 @@ export class Router extends Routes {
 
       this.__emitChanges({ eventName: "location-changed", prev, next });
       this._host.requestUpdate();
+      this._meta.schedule(this);
     } catch (historyError) {
       throw new Error(`Failed to update browser URL: ${historyError}`);
     }
@@ -443,12 +1181,92 @@ export class Router extends Routes {
    * router state. Use this when you need to construct a link to a different
    * route without navigating there.
    *
+   * The result is the href the browser sees, ready for `<a href>`: it
+   * includes the `basePath`, or the `#` prefix in hash mode.
+   *
    * @param {string} pathname - Target path (absolute or relative)
    * @returns {string}
    */
   buildUrl(pathname) {
     const nextUrl = resolveUrl(this.state?.pathname || "/", pathname);
-    return buildHref(nextUrl.pathname, nextUrl.searchParams, nextUrl.hash);
+    return this.history.createHref(
+      buildHref(nextUrl.pathname, nextUrl.searchParams, nextUrl.hash),
+    );
+  }
+
+  /**
+   * Build the URL of the route registered under `name`, substituting `params`
+   * into its path. Nested routes are prefixed with the path of every parent
+   * level (the parent's wildcard is dropped), so a child route named
+   * "user-posts" with path "posts" under "/users/:id/*" builds to
+   * "/users/42/posts".
+   *
+   * Parent params that are not given fall back to the values the parent level
+   * is currently matched with.
+   *
+   * @example
+   * router.urlFor("user-posts", { id: 42 }, { searchParams: { page: "2" } });
+   * // → "/users/42/posts?page=2"
+   *
+   * @param {string} name - Route name as declared in the route config
+   * @param {Record<string, unknown>} [params={}] - Values for the route params
+   * @param {{ searchParams?: Record<string, string> | URLSearchParams, hash?: string }} [options={}]
+   * @returns {string}
+   *
+   * @throws {UrlGenerationError} if no connected route is called `name`, a
+   *   required param is missing, or a param is not declared by the route chain
+   */
+  urlFor(name, params = {}, { searchParams, hash } = {}) {
+    const found = findNamedRoute(this, name);
+    if (!found) {
+      throw new UrlGenerationError(`No route named "${name}" is registered`, {
+        routeName: name,
+        reason: "unknown-route",
+      });
+    }
+
+    const used = new Set();
+    const build = (route, values, options) => {
+      const built = route.buildPathname(values, options);
+      if (built.missing.length > 0) {
+        throw new UrlGenerationError(
+          `Missing param "${built.missing[0]}" to build route "${name}"`,
+          { routeName: name, param: built.missing[0], reason: "missing-param" },
+        );
+      }
+      for (const key of built.used) {
+        if (Object.prototype.hasOwnProperty.call(params, key)) used.add(key);
+      }
+      return built.pathname;
+    };
+
+    const pathnames = [build(found.route, params)];
+    for (
+      let level = found.owner._parentRoute;
+      level && level.currentRoute;
+      level = level._parentRoute
+    ) {
+      pathnames.unshift(
+        build(
+          level.currentRoute,
+          { ...level.state.params, ...params },
+          { trailingWildcard: false },
+        ),
+      );
+    }
+
+    const unknown = Object.keys(params).find((key) => !used.has(key));
+    if (unknown !== undefined) {
+      throw new UrlGenerationError(
+        `Unknown param "${unknown}" for route "${name}"`,
+        { routeName: name, param: unknown, reason: "unknown-param" },
+      );
+    }
+
+    const pathname = canonicalizePath(
+      pathnames.join("/").replace(/\/+/g, "/"),
+    );
+    return buildHref(pathname, searchParams, hash);
   }
 
   /**
@@ -461,10 +1279,12 @@ export class Router extends Routes {
    * If _navId advanced by more than 1, a second navigation ran.
    *
    * @param {number} token - value of this._navId before goto() was called
+   * @param {number} [redirects=0] - config redirects followed by goto(), each
+   *   of which ran one more _gotoInternal()
    * @returns {boolean}
    */
-  _wasNavigationSuperseded(token) {
-    return this._navId !== token + 1;
+  _wasNavigationSuperseded(token, redirects = 0) {
+    return this._navId !== token + 1 + redirects;
   }
 
   getMainRouter() {
@@ -472,8 +1292,96 @@ export class Router extends Routes {
   }
 
   /**
+   * Registers a predicate that can veto navigations away from the current
+   * location — including Back/Forward (popstate), which skips `leave` guards.
+   * Return `true` (or a promise of `true`) to block the navigation.
+   *
+   * A blocked popstate is undone with a compensating `history.go()`, so the
+   * URL bar returns to the current entry and the router state never changes.
+   *
+   * With `beforeUnload: true` the predicate is also asked, synchronously,
+   * before the page itself is unloaded (reload, closing the tab, leaving the
+   * app); returning `true` makes the browser show its "leave site?" prompt.
+   *
+   * @example
+   * const unblock = router.addBlocker(({ nextUrl }) =>
+   *   form.dirty && !confirm(`Discard changes and go to ${nextUrl}?`),
+   * );
+   *
+   * @param {(transition: { currentUrl: string, nextUrl: string | null, action: "push" | "pop" | "unload" }) => boolean | Promise<boolean>} predicate
+   * @param {{ beforeUnload?: boolean }} [options={}]
+   * @returns {() => void} removes the blocker
+   */
+  addBlocker(predicate, options = {}) {
+    if (!predicate || typeof predicate !== "function") {
+      throw new TypeError(
+        "in Router.addBlocker predicate param must be a function",
+      );
+    }
+
+    this[BLOCKERS].set(predicate, { beforeUnload: !!options.beforeUnload });
+
+    return () => {
+      this[BLOCKERS].delete(predicate);
+    };
+  }
+
+  /**
+   * Asks every blocker whether navigating to `nextUrl` must be vetoed.
    *
-   * @typedef {"location-changed" | "location-changing"} subEventTypes
+   * @param {string} nextUrl
+   * @param {"push" | "pop"} action
+   * @returns {Promise<boolean>}
+   */
+  async _isBlocked(nextUrl, action) {
+    const transition = { currentUrl: this.url, nextUrl, action };
+    for (const predicate of [...this[BLOCKERS].keys()]) {
+      if ((await predicate.call(this, transition)) === true) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Marks a navigation as in flight and notifies subscribers with
+   * "pending-changed".
+   *
+   * @param {{ state: "loading" | "submitting", location: string }} pending
+   * @returns {typeof pending} token for _clearPending()
+   */
+  _setPending(pending) {
+    const prev = pendingSnapshot(this);
+    this._pending = pending;
+    this.__emitChanges({
+      eventName: "pending-changed",
+      prev,
+      next: pendingSnapshot(this),
+    });
+    return pending;
+  }
+
+  /**
+   * Back to idle, unless a newer navigation took over in the meantime.
+   *
+   * @param {{ state: string, location: string }} pending - from _setPending()
+   */
+  _clearPending(pending) {
+    if (this._pending !== pending) {
+      return;
+    }
+    const prev = pendingSnapshot(this);
+    this._pending = null;
+    this.__emitChanges({
+      eventName: "pending-changed",
+      prev,
+      next: pendingSnapshot(this),
+    });
+  }
+
+  /**
+   *
+   * @typedef {"location-changed" | "location-changing" | "pending-changed"} subEventTypes
    * @param {({ eventName: subEventTypes, prev: { pathname: string, params: object, searchParams: object, hash: string }, next: { pathname: string, params: object, searchParams: object, hash: string } }) => void} callback
    * @returns
    */
@@ -545,7 +1453,11 @@ export class Router extends Routes {
   }
 
   /**
-   * `popstate` event handler.
+   * `popstate` event handler. The entry the browser moved to is navigated to
+   * like goto() does; if a blocker or guard keeps the current page, or the
+   * navigation fails without an error boundary to show it, the entry that was
+   * left is put back so the URL matches the page.
+   *
    * @param {PopStateEvent} e
    */
   _onPopState = async (e) => {
@@ -553,102 +1465,166 @@ export class Router extends Routes {
       return;
     }
 
+    if (this._ignoreNextPopState) {
+      this._ignoreNextPopState = false;
+      log("router", null, "popstate-compensated");
+      return;
+    }
+
     const extraParams = e.state ? (e.state.extraParams ?? {}) : {};
+    const index = e.state?.index;
+    const delta = typeof index === "number" ? index - this._historyIndex : null;
 
-    const nextUrl = parseUrl(window.location.href);
-    const prev = {
-      pathname: this.state?.pathname ?? "/",
-      params: this.params,
-      searchParams: this.searchParams,
-      hash: this.hash,
-    };
+    const href = this.history.location;
 
-    dispatchLocationChanging({
-      currentPathname: locationToHref(window.location),
-      pathname: nextUrl.pathname,
-      params: prev.params,
-      extraParams,
-      searchParams: prev.searchParams,
-      hash: prev.hash,
+    if (await this._isBlocked(href, "pop")) {
+      log("router", null, "popstate-blocked", { delta });
+      this._restoreEntry(delta);
+      return;
+    }
+
+    // The browser has not scrolled yet (scrollRestoration is "manual"), so
+    // the current position still belongs to the entry we are leaving.
+    this._scroll?.save(this._historyIndex);
+    const leftIndex = this._historyIndex;
+    if (typeof index === "number") {
+      this._historyIndex = index;
+    }
+
+    log("router", null, "popstate", { path: parseUrl(href).pathname });
+    const result = await this.goto(href, {
+      ...extraParams,
+      isBrowserNavigation: true,
+      _cause: "popstate",
+      // Entries without an index weren't made by this router; treat them as
+      // going back, the common case.
+      _direction: delta > 0 ? "forward" : "back",
     });
-    log("router", null, "popstate", { path: nextUrl.pathname });
-    await this._gotoInternal(
-      nextUrl.pathname,
-      {
-        extraParams,
-        hash: nextUrl.hash,
-        searchParams: nextUrl.searchParams,
-      },
-      true,
-      "popstate",
-    );
+    if (this._isDestroyed || result.status === "superseded") {
+      return;
+    }
 
-    const context = collectParams(this);
-    const next = {
-      pathname: nextUrl.pathname,
-      params: context.params,
-      searchParams: context.searchParams,
-      hash: this.hash,
-    };
+    const failed = UNHANDLED_FAILURES.has(result);
+    if (result.status === "cancelled" || failed) {
+      log("router", null, "popstate-restore", { status: result.status, delta });
+      this._historyIndex = leftIndex;
+      this._restoreEntry(delta);
+      if (failed) {
+        this._reportFailure(result);
+      }
+      return;
+    }
 
-    dispatchLocationChanged({
-      pathname: nextUrl.pathname,
-      params: context.params,
-      extraParams,
-      searchParams: context.searchParams,
-      hash: this.hash,
+    this._scroll?.afterNavigation({
+      action: "pop",
+      hash: parseUrl(this.url).hash,
+      index,
+      position: e.state?.scroll,
     });
+  };
 
-    this.__emitChanges({ eventName: "location-changed", prev, next });
+  /**
+   * Puts back the history entry that Back/Forward left.
+   *
+   * @param {number | null} delta - how far the browser moved; null when the
+   *   entry it moved to isn't one of ours
+   */
+  _restoreEntry(delta) {
+    if (delta) {
+      this._ignoreNextPopState = true;
+      this.history.go(-delta);
+    } else {
+      // The distance is unknown: put the current URL back on top instead.
+      this.history.push(this.url, {
+        extraParams: this.state.extraParams,
+        index: this._historyIndex,
+      });
+    }
+  }
+
+  /**
+   * Reports a failed navigation that nobody awaits (the initial one, or one
+   * started by Back/Forward) with a RouterNavigationErrorEvent on the host.
+   * Unless a listener calls preventDefault(), the error is also rethrown for
+   * global error telemetry, as for a failing child level.
+   *
+   * @param {NavigationResult} result
+   */
+  _reportFailure(result) {
+    const handled = !this._host.dispatchEvent(
+      new RouterNavigationErrorEvent({ url: result.url, error: result.error }),
+    );
+    if (!handled) {
+      queueMicrotask(() => {
+        throw result.error;
+      });
+    }
+  }
+
+  /**
+   * `beforeunload` event handler. Only blockers registered with
+   * `beforeUnload: true` are asked, and only a synchronous `true` counts: the
+   * browser does not wait for promises here.
+   *
+   * @param {BeforeUnloadEvent} e
+   */
+  _onBeforeUnload = (e) => {
+    const transition = {
+      currentUrl: this.url,
+      nextUrl: null,
+      action: "unload",
+    };
+    for (const [predicate, { beforeUnload }] of this[BLOCKERS]) {
+      if (beforeUnload && predicate.call(this, transition) === true) {
+        e.preventDefault();
+        // Legacy browsers only show the prompt when returnValue is set.
+        e.returnValue = "";
+        return;
+      }
+    }
   };
 
   /**
    * @param {MouseEvent} e
    */
   _onAnchorClick = async (e) => {
-    if (e.defaultPrevented) {
+    if (e.defaultPrevented || resolveRouter(e) !== this) {
       return;
     }
 
-    /**
-     * @type {HTMLAnchorElement | undefined}
-     */
-    const anchor = e.composedPath().find((el) => {
-      return el instanceof HTMLElement && el.nodeName.toLowerCase() === "a";
-    });
-
+    const anchor = routableAnchor(e);
     if (
       !anchor ||
-      !anchor.hasAttribute("href") ||
       e.button !== 0 ||
       e.altKey ||
       e.ctrlKey ||
       e.metaKey ||
-      e.shiftKey ||
-      anchor.hasAttribute("download") ||
-      anchor.hasAttribute("router-ignore") ||
-      ["_blank", "_parent", "_top"].includes(
-        anchor.target?.toLocaleLowerCase(),
-      ) ||
-      window.location.origin !== anchor.origin
+      e.shiftKey
     ) {
       return;
     }
 
+    const href = anchor.getAttribute("href");
+    const routeHref = this.history.hrefFromAnchor(anchor);
+    if (routeHref === null) {
+      return;
+    }
+
     e.preventDefault();
 
-    const href = anchor.getAttribute("href");
     if (!href) return;
 
-    const nextUrl = parseUrl(href);
+    const nextUrl = parseUrl(routeHref);
 
     try {
-      await this.navigate(nextUrl.pathname, {
+      const result = await this.navigate(nextUrl.pathname, {
         hash: nextUrl.hash,
         searchParams: nextUrl.searchParams,
         _cause: "anchor-click",
       });
-      window.scrollTo(0, 0);
+      if (UNHANDLED_FAILURES.has(result)) {
+        throw result.error;
+      }
     } catch (error) {
       if (error instanceof InvalidNavigationError) {
         return;
@@ -665,13 +1641,35 @@ export class Router extends Routes {
     }
   };
 
+  /**
+   * Hover, focus and touch on links, for intent prefetching.
+   *
+   * @param {Event} e
+   */
+  _onAnchorIntent = (e) => {
+    const anchor = routableAnchor(e);
+    if (!anchor || resolveRouter(e) !== this) {
+      return;
+    }
+
+    if (e.type === "mouseout") {
+      this._prefetch.cancelIntent(anchor);
+    } else {
+      this._prefetch.intent(anchor, e.type);
+    }
+  };
+
   /**
    *
    * @param {RouterAcknowledgeEvent} e
    * @returns
    */
   _onRouterAcknowledged = (e) => {
-    if (!(e instanceof RouterAcknowledgeEvent) || !(this instanceof Router)) {
+    if (
+      !(e instanceof RouterAcknowledgeEvent) ||
+      !(this instanceof Router) ||
+      resolveRouter(e) !== this
+    ) {
       return;
     }
 
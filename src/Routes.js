@@ -1,11 +1,12 @@
-import { html } from "lit";
+import { html, nothing } from "lit";
 import { createRef, ref } from "lit/directives/ref.js";
 import { AbstractController } from "./AbstractController.js";
 import { InvalidNavigationError, RouteNotFoundError } from "./errors/index.js";
 import { RoutesSet } from "./RoutesSet.js";
 import { diff, log } from "./util/log.js";
 import { shallowEqual } from "./util/shallow.js";
-import { joinPaths } from "./util/url.js";
+import { buildHref, joinPaths, resolveUrl } from "./util/url.js";
+import { withViewTransition } from "./util/viewTransition.js";
 
 import "./contrib/lit-outlet.js";
 import { Route } from "./Route.js";
@@ -19,6 +20,147 @@ import {RouterNavigationErrorEvent} from "./RoutesEvents.js";
 const PASSTHROUGH_ROUTE = new Route({ path: "/*" });
 const NAVIGATION_ABORTED_TOKEN = "navigation-aborted";
 
+/**
+ * @param {unknown} error
+ * @returns {error is InvalidNavigationError}
+ */
+export function isRedirect(error) {
+  return (
+    error instanceof InvalidNavigationError &&
+    error.metadata.reason === "redirect"
+  );
+}
+
+/**
+ * In-flight loader calls started ahead of time by a parent level or a
+ * prefetch, keyed by the loader function and then by loadKey() of the
+ * context it was called with.
+ *
+ * Keyed by function rather than by Route because every Routes instance builds
+ * its own Route objects from the shared config: a child element that is
+ * re-created during the parent's render still finds the call its predecessor
+ * was preloaded with.
+ *
+ * @type {WeakMap<Function, Map<string, { promise: Promise<unknown>, signal: AbortSignal, expire?: ReturnType<typeof setTimeout> }>>}
+ */
+const PENDING_LOADS = new WeakMap();
+
+/**
+ * What a loader call depends on: the URL without its hash, the params and the
+ * extra params. A call started for another key is not reused.
+ *
+ * @param {import("./Route").RouteContext & { pathname: string }} context
+ * @returns {string}
+ */
+function loadKey({ pathname, searchParams, params, extraParams }) {
+  return `${buildHref(pathname, searchParams)} ${JSON.stringify(params)} ${JSON.stringify(extraParams ?? {})}`;
+}
+
+/**
+ * Starts `route.load` for `context` and registers it in PENDING_LOADS so the
+ * level that owns the route can pick it up with takePendingLoad. A call
+ * already pending for the same context is reused.
+ *
+ * @param {Routes} owner
+ * @param {import("./Route").Route} route
+ * @param {import("./Route").RouteContext & { pathname: string }} context
+ * @returns {{ promise: Promise<unknown>, signal: AbortSignal, expire?: ReturnType<typeof setTimeout> }}
+ */
+function startPendingLoad(owner, route, context) {
+  let pending = PENDING_LOADS.get(route.load);
+  if (!pending) {
+    pending = new Map();
+    PENDING_LOADS.set(route.load, pending);
+  }
+
+  const key = loadKey(context);
+  const existing = pending.get(key);
+  if (existing && !existing.signal.aborted) {
+    return existing;
+  }
+
+  const promise = Promise.resolve().then(() =>
+    route.load.call(owner, context),
+  );
+  // The owner may never consume the result; don't report it as unhandled.
+  promise.catch(() => {});
+
+  const entry = { promise, signal: context.signal };
+  pending.set(key, entry);
+  context.signal.addEventListener(
+    "abort",
+    () => {
+      if (pending.get(key) === entry) pending.delete(key);
+    },
+    { once: true },
+  );
+  return entry;
+}
+
+/**
+ * @param {import("./Route").Route} route
+ * @param {import("./Route").RouteContext & { pathname: string }} context
+ * @returns {Promise<unknown> | undefined}
+ */
+function takePendingLoad(route, context) {
+  const pending = PENDING_LOADS.get(route.load);
+  const key = loadKey(context);
+  const entry = pending?.get(key);
+  if (!entry) {
+    return undefined;
+  }
+
+  pending.delete(key);
+  // A prefetched call is kept from now on, however long it takes.
+  clearTimeout(entry.expire);
+  entry.expire = undefined;
+  return entry.signal.aborted ? undefined : entry.promise;
+}
+
+/**
+ * Route sets built from the `children` routes declare, keyed by that array:
+ * the nested level renders from the same config, so matching against it
+ * gives the route the level will match once it is mounted.
+ *
+ * @type {WeakMap<Array<Route | import("./Route").RouteConfig>, RoutesSet>}
+ */
+const DECLARED_CHILDREN = new WeakMap();
+
+/**
+ * @param {Route} route
+ * @returns {RoutesSet | undefined} the routes of the nested level `route`
+ *   renders, or undefined when it does not declare them
+ */
+function declaredChildren(route) {
+  if (!route.children) {
+    return undefined;
+  }
+
+  let routes = DECLARED_CHILDREN.get(route.children);
+  if (!routes) {
+    routes = new RoutesSet();
+    for (const child of route.children) {
+      routes.add(child instanceof Route ? child : new Route(child));
+    }
+    DECLARED_CHILDREN.set(route.children, routes);
+  }
+  return routes;
+}
+
+/**
+ * Merges the committed params of every level above `instance`, root first.
+ *
+ * @param {Routes} instance
+ * @returns {Record<string, unknown>}
+ */
+function ancestorParams(instance) {
+  const chain = [];
+  for (let level = instance._parentRoute; level; level = level._parentRoute) {
+    chain.unshift(level.state?.params ?? {});
+  }
+  return Object.assign({}, ...chain);
+}
+
 export class Routes extends AbstractController {
   router = null;
 
@@ -29,12 +171,37 @@ export class Routes extends AbstractController {
 
   routes = new RoutesSet();
 
+  /**
+   * Value resolved by the current route's `load` function, or undefined when
+   * the route has no loader.
+   *
+   * @type {unknown}
+   */
+  data;
+
+  /**
+   * Params (of the whole chain) `data` was loaded with. A fast-path
+   * navigation reloads when an ancestor's params changed underneath us.
+   *
+   * @type {Record<string, unknown> | undefined}
+   */
+  _loadParams;
+
+  /**
+   * Search params `data` was loaded with, as read from the URL. Loaders
+   * receive them, so a fast-path navigation reloads when they changed too.
+   *
+   * @type {import("./util/url.js").SearchParamsRecord | undefined}
+   */
+  _loadSearch;
+
   state = {
     pathname: "",
     tailGroup: "",
     hasTail: false,
     fullPathname: "",
     searchParams: {},
+    search: {},
     extraParams: {},
     params: {},
     hash: "",
@@ -42,12 +209,27 @@ export class Routes extends AbstractController {
 
   _outlet = createRef();
 
+  /**
+   * Lazy component imports this controller already re-renders on.
+   * @type {WeakSet<Promise<unknown>>}
+   */
+  _watchedComponents = new WeakSet();
+
   _currentAbort = null;
   _navId = 0;
 
+  /**
+   * Error shown by this level's error boundary instead of the current route.
+   *
+   * @type {{ error: unknown, errorRender: import("./Route").ErrorRender, route?: Route, retry: () => Promise<void> } | null}
+   */
+  _error = null;
+
   /**
    * @param {import("lit").ReactiveElement} host - The Lit element that owns this controller.
    * @param {Array<Route|import("./Route").RouteConfig>} routes - Initial route configuration.
+   * @param {{ fallback?: boolean, errorRender?: import("./Route").ErrorRender }} [options={}]
+   *   `errorRender` is the error boundary of this level, for routes that do not declare their own.
    */
   constructor(host, routes = [], options = {}) {
     super(host, options);
@@ -151,6 +333,16 @@ export class Routes extends AbstractController {
         return;
       }
 
+      if (isRedirect(error)) {
+        log(this._tag, null, "child-connected-redirect", {
+          child: child._host.nodeName,
+          to: error.metadata.redirectTo,
+        });
+        // The navigation that mounted the child has already settled, so the
+        // Router starts a new one for the target.
+        return this.router._followDetachedRedirect(error);
+      }
+
       const res = child._host?.dispatchEvent(
           new RouterNavigationErrorEvent({
             url: this.state.tailGroup,
@@ -210,9 +402,24 @@ export class Routes extends AbstractController {
     });
 
     let threw;
+    let caught;
     try {
       await this._navigate(pathname, options, skipLeaveCallbacks, ac);
     } catch (error) {
+      // Cancellations and redirects are not failures; anything else stops at
+      // the nearest error boundary when there is one.
+      if (
+        !(error instanceof InvalidNavigationError) &&
+        !ac.signal.aborted &&
+        this._catchError(error, {
+          route: this.routes.matchRoute(pathname) ?? undefined,
+          pathname,
+          options,
+        })
+      ) {
+        caught = error;
+        return;
+      }
       threw = error;
       throw error;
     } finally {
@@ -220,7 +427,9 @@ export class Routes extends AbstractController {
         ? threw instanceof InvalidNavigationError
           ? `cancelled:${threw.metadata?.reason ?? "unknown"}`
           : `error:${threw.name ?? "Error"}`
-        : "ok";
+        : caught
+          ? `caught:${caught.name ?? "Error"}`
+          : "ok";
       const superseded = myId !== this._navId;
       log(this._tag, myId, superseded ? "done-superseded" : "done", {
         path: pathname,
@@ -277,6 +486,7 @@ export class Routes extends AbstractController {
       }
 
       this.currentRoute = PASSTHROUGH_ROUTE;
+      this._error = null;
       log(this._tag, navId, "passthrough-fallback", { path: pathname });
       this._host.requestUpdate();
 
@@ -292,6 +502,9 @@ export class Routes extends AbstractController {
       const previousPathname = previousRoute?.pathname;
 
       this.currentRoute = undefined;
+      this.data = undefined;
+      this._loadParams = undefined;
+      this._loadSearch = undefined;
       log(this._tag, navId, "no-match", { path: pathname });
       this._host.requestUpdate();
 
@@ -303,6 +516,7 @@ export class Routes extends AbstractController {
     }
 
     const parsedRouteParams = nextRoute.parsePathname(pathname);
+    const search = nextRoute.parseSearch(options.searchParams);
     const sameParams = shallowEqual(
       this.state.params,
       parsedRouteParams.params,
@@ -316,7 +530,8 @@ export class Routes extends AbstractController {
     if (
       nextRoute === this.currentRoute &&
       this.currentRoute.path === nextRoute.path &&
-      sameParams
+      sameParams &&
+      !this._error
     ) {
       // Is this level just a passthrough to a child route?
       // If so, preserve this level's own searchParams/hash — they belong
@@ -326,10 +541,42 @@ export class Routes extends AbstractController {
         "enter-skipped": true,
       });
 
+      const loadParams = {
+        ...ancestorParams(this),
+        ...parsedRouteParams.params,
+      };
+      if (
+        typeof nextRoute.load === "function" &&
+        !(
+          shallowEqual(this._loadParams, loadParams) &&
+          shallowEqual(this._loadSearch, options.searchParams)
+        )
+      ) {
+        const data = await this._load(
+          nextRoute,
+          {
+            params: loadParams,
+            extraParams: options.extraParams,
+            searchParams: search,
+            hash: options.hash,
+            route: nextRoute,
+            signal: abortController.signal,
+            pathname,
+          },
+          navId,
+        );
+        checkSignal("post-load");
+
+        this.data = data;
+        this._loadParams = loadParams;
+        this._loadSearch = options.searchParams;
+      }
+
       const prevState = this.state;
       this.state = {
         hash: options.hash,
         searchParams: options.searchParams,
+        search,
         extraParams: options.extraParams,
         pathname: parsedRouteParams.pathname,
         params: parsedRouteParams.params,
@@ -342,6 +589,9 @@ export class Routes extends AbstractController {
       if (stateDiff) {
         log(this._tag, navId, "commit", { state: stateDiff });
       }
+      // Meta functions may read the search params or hash that just changed.
+      // Children committing below schedule again, and the last one applies.
+      this.router?._meta.schedule(this);
 
       await this._propagateNavigation(
         parsedRouteParams.tailGroup,
@@ -358,6 +608,13 @@ export class Routes extends AbstractController {
       return this._host.requestUpdate();
     }
 
+    // Start importing a lazy component right away so it downloads while the
+    // guards and the loader run.
+    const componentLoading = nextRoute.component
+      ? nextRoute.loadComponent()
+      : undefined;
+    componentLoading?.catch(() => {});
+
     checkSignal("pre-leave");
 
     if (!skipLeaveCallbacks) {
@@ -382,19 +639,41 @@ export class Routes extends AbstractController {
       }
     }
 
+    if (nextRoute.redirect !== undefined) {
+      const redirectTo = this._resolveRedirect(
+        nextRoute,
+        parsedRouteParams,
+        options,
+      );
+      log(this._tag, navId, "redirect", {
+        route: nextRoute.path,
+        to: redirectTo,
+      });
+      throw new InvalidNavigationError(
+        `Route ${nextRoute.path} redirects to ${redirectTo}`,
+        {
+          pathname,
+          reason: "redirect",
+          redirectTo,
+        },
+      );
+    }
+
     checkSignal("pre-enter");
 
+    const context = {
+      params: parsedRouteParams.params,
+      extraParams: options.extraParams,
+      searchParams: search,
+      hash: options.hash,
+      route: nextRoute,
+      signal: abortController.signal,
+      pathname: pathname,
+    };
+
     if (typeof nextRoute.enter === "function") {
       log(this._tag, navId, "enter-start", { route: nextRoute.path });
-      const canEnter = await nextRoute.enter.call(this, {
-        params: parsedRouteParams.params,
-        extraParams: options.extraParams,
-        searchParams: options.searchParams,
-        hash: options.hash,
-        route: nextRoute,
-        signal: abortController.signal,
-        pathname: pathname,
-      });
+      const canEnter = await nextRoute.enter.call(this, context);
       log(this._tag, navId, "enter-end", {
         route: nextRoute.path,
         canEnter,
@@ -413,58 +692,128 @@ export class Routes extends AbstractController {
       }
     }
 
+    // Children connected now and still connected after the commit are reused
+    // by Lit (same template, new params), so childRouteConnected won't fire
+    // for them. Their loaders are started here, in parallel with ours, and
+    // they receive the new tail through _propagateNavigation below. Children
+    // this commit mounts are not connected yet: their loaders start here only
+    // when the route declares the `children` they render.
+    const loadParams = {
+      ...ancestorParams(this),
+      ...parsedRouteParams.params,
+    };
+    const survivors = Array.from(this._children);
+    if (survivors.length > 0) {
+      this._preloadChildren(
+        survivors,
+        parsedRouteParams.tailGroup,
+        loadParams,
+        options,
+        abortController,
+      );
+    }
+    const declared = declaredChildren(nextRoute);
+    if (
+      declared &&
+      (survivors.length === 0 || nextRoute !== this.currentRoute)
+    ) {
+      this._preloadDeclared(
+        declared,
+        parsedRouteParams.tailGroup,
+        loadParams,
+        options,
+        abortController,
+      );
+    }
+
+    let data;
+    if (typeof nextRoute.load === "function") {
+      data = await this._load(
+        nextRoute,
+        { ...context, params: loadParams },
+        navId,
+      );
+    }
+
+    // Without a `pending` template there is nothing to show while the module
+    // downloads, so keep the previous page until it is ready.
+    if (componentLoading && nextRoute.pending === undefined) {
+      log(this._tag, navId, "component-wait", { route: nextRoute.path });
+      await componentLoading;
+      checkSignal("post-component");
+    }
+
     checkSignal("pre-commit");
 
-    this.currentRoute = nextRoute;
-    const prevState = this.state;
-    this.state = {
-      hash: options.hash,
-      searchParams: options.searchParams,
-      extraParams: options.extraParams,
-      pathname: parsedRouteParams.pathname,
-      params: parsedRouteParams.params,
-      tailGroup: parsedRouteParams.tailGroup,
-      hasTail: parsedRouteParams.hasTail,
-      fullPathname: parsedRouteParams.fullPathname,
+    const commit = () => {
+      this.currentRoute = nextRoute;
+      this._error = null;
+      this.data = data;
+      this._loadParams =
+        typeof nextRoute.load === "function" ? loadParams : undefined;
+      this._loadSearch =
+        typeof nextRoute.load === "function" ? options.searchParams : undefined;
+      const prevState = this.state;
+      this.state = {
+        hash: options.hash,
+        searchParams: options.searchParams,
+        search,
+        extraParams: options.extraParams,
+        pathname: parsedRouteParams.pathname,
+        params: parsedRouteParams.params,
+        tailGroup: parsedRouteParams.tailGroup,
+        hasTail: parsedRouteParams.hasTail,
+        fullPathname: parsedRouteParams.fullPathname,
+      };
+
+      const stateDiff = diff(prevState, this.state);
+      log(this._tag, navId, "commit", {
+        route: nextRoute.path,
+        state: stateDiff || "{}",
+      });
+
+      log(this._tag, navId, "request-update", { reason: "commit" });
+      this._host.requestUpdate();
+      this.router?._meta.schedule(this);
     };
 
-    const stateDiff = diff(prevState, this.state);
-    log(this._tag, navId, "commit", {
-      route: nextRoute.path,
-      state: stateDiff || "{}",
-    });
+    if (this._useViewTransition(nextRoute)) {
+      const direction = this.router.direction;
+      log(this._tag, navId, "view-transition", { direction });
+      await withViewTransition(async () => {
+        // The browser runs this after capturing the old view, by which time
+        // a newer navigation may have taken over.
+        if (abortController.signal.aborted) return;
+        commit();
+        await this._host.updateComplete;
+      }, [direction]);
+      checkSignal("post-transition");
+    } else {
+      commit();
+    }
 
-    log(this._tag, navId, "request-update", { reason: "commit" });
-    this._host.requestUpdate();
-
-    // [CHALLENGE-1] Removed await updateComplete + _propagateNavigation from
-    // the new-route path. childRouteConnected() delivers tailGroup to every
-    // child the moment it mounts, whether the child is a lazy chunk (connects
-    // after the render) or an eager import (connects during the render).
-    // PATH B (_propagateNavigation) was redundant here and caused:
-    //   • double-fire aborts for eager children (PATH A aborted by PATH B)
-    //   • a wasted full render-cycle await for lazy children (children=0 always)
-    // _propagateNavigation is still called in the fast-path block above because
-    // the same-route case never re-renders, so childRouteConnected never fires.
-    //
-    // log(this._tag, navId, "await-update");
-    // await this._host.updateComplete;
-    //
-    // const childrens = Array.from(this._children);
-    // log(this._tag, navId, "update-resolved", {
-    //   children: childrens.length,
-    // });
-    //
-    // await this._propagateNavigation(
-    //   parsedRouteParams.tailGroup,
-    //   {
-    //     extraParams: options.extraParams,
-    //     searchParams: options.searchParams,
-    //     hash: options.hash,
-    //     abortController,
-    //   },
-    //   childrens,
-    // );
+    // Children mounted by this commit get their tail from
+    // childRouteConnected() as they connect, eagerly during the render or
+    // later for a lazy chunk, so they are not propagated to here: a second
+    // _gotoInternal would abort the first. Their loaders start then too, after
+    // ours has settled, unless _preloadDeclared started them above. Only
+    // reused children are propagated to directly, because Lit keeps them and
+    // childRouteConnected() does not fire for them again.
+    if (survivors.length > 0) {
+      await this._host.updateComplete;
+
+      const reused = survivors.filter((child) => this._children.has(child));
+      await this._propagateNavigation(
+        parsedRouteParams.tailGroup,
+        {
+          extraParams: options.extraParams,
+          searchParams: options.searchParams,
+          hash: options.hash,
+          abortController,
+        },
+        reused,
+      );
+    }
   }
 
   /**
@@ -498,11 +847,18 @@ export class Routes extends AbstractController {
       children: childArray.map((c) => c._host.nodeName),
     });
 
+    let redirect;
    await Promise.all(
       childArray.map(async (child) => {
          try {
            await child._gotoInternal(pathname, context, false, "propagate");
          } catch(error) {
+           // A child redirect is part of this navigation: hand it up so
+           // the Router follows it instead of committing the current URL.
+           if (isRedirect(error)) {
+             redirect ??= error;
+             return;
+           }
            child._host.dispatchEvent(
                new RouterNavigationErrorEvent({
                  url: pathname,
@@ -512,6 +868,210 @@ export class Routes extends AbstractController {
          }
       }),
     );
+
+    if (redirect) {
+      throw redirect;
+    }
+  }
+
+  /**
+   * Builds the app-level href `route` redirects to. Absolute targets are
+   * app-absolute; relative ones are resolved against this level's parent.
+   * Pattern targets keep the current search params and hash, function
+   * targets return the complete href.
+   *
+   * @param {import("./Route").Route} route
+   * @param {{ params: object, tailGroup: string }} parsed
+   * @param {Omit<import('./Route.js').RouteContext, 'signal' | 'params'>} options
+   * @returns {string}
+   */
+  _resolveRedirect(route, parsed, options) {
+    const base = this._parentRoute?.link() || "/";
+
+    if (typeof route.redirect === "function") {
+      const href = route.redirect.call(this, {
+        params: { ...ancestorParams(this), ...parsed.params },
+        searchParams: route.parseSearch(options.searchParams),
+        extraParams: options.extraParams,
+        hash: options.hash,
+      });
+      const url = resolveUrl(base, href);
+      return buildHref(url.pathname, url.searchParams, url.hash);
+    }
+
+    const url = resolveUrl(
+      base,
+      route.buildRedirect(
+        { ...ancestorParams(this), ...parsed.params },
+        parsed.tailGroup,
+      ),
+    );
+    return buildHref(url.pathname, options.searchParams, options.hash);
+  }
+
+  /**
+   * Runs `route.load`, reusing the call a parent level already started for
+   * the same context in _preloadChildren.
+   *
+   * @param {import("./Route").Route} route
+   * @param {import("./Route").RouteContext & { pathname: string }} context
+   * @param {number} navId
+   * @returns {Promise<unknown>}
+   */
+  async _load(route, context, navId) {
+    const pending = takePendingLoad(route, context);
+    log(this._tag, navId, "load-start", {
+      route: route.path,
+      preloaded: pending ? true : undefined,
+    });
+    const data = await (pending ?? route.load.call(this, context));
+    log(this._tag, navId, "load-end", { route: route.path });
+    return data;
+  }
+
+  /**
+   * Starts the loaders of the routes `children` are about to match for
+   * `pathname`, recursing into their own children, so nested loaders run in
+   * parallel with the parent's instead of one level after the other. Levels
+   * whose data is already loaded for the same params and search params are
+   * skipped. Only
+   * mounted levels can be reached: the levels a navigation mounts are left to
+   * _preloadDeclared.
+   *
+   * @param {ArrayLike<Routes>} children
+   * @param {string} pathname
+   * @param {Record<string, unknown>} parentParams - params of the levels above, as they will be after the commit
+   * @param {Omit<import('./Route.js').RouteContext, 'signal' | 'params'>} options
+   * @param {AbortController} abortController
+   */
+  _preloadChildren(children, pathname, parentParams, options, abortController) {
+    for (const child of Array.from(children)) {
+      const route = child.routes.matchRoute(pathname);
+      const parsed = route?.parsePathname(pathname);
+      if (!parsed) {
+        continue;
+      }
+
+      const params = { ...parentParams, ...parsed.params };
+      const isLoaded =
+        route === child.currentRoute &&
+        shallowEqual(child._loadParams, params) &&
+        shallowEqual(child._loadSearch, options.searchParams);
+
+      if (!isLoaded && typeof route.load === "function") {
+        log(child._tag, abortController.navId, "preload", {
+          route: route.path,
+        });
+        startPendingLoad(child, route, {
+          params,
+          extraParams: options.extraParams,
+          searchParams: route.parseSearch(options.searchParams),
+          hash: options.hash,
+          route,
+          signal: abortController.signal,
+          pathname,
+        });
+      }
+
+      child._preloadChildren(
+        child._children,
+        parsed.tailGroup,
+        params,
+        options,
+        abortController,
+      );
+    }
+  }
+
+  /**
+   * Starts the loaders of the levels a navigation mounts, which do not exist
+   * until the parent renders, from the `children` their parent route
+   * declares: `routes` is matched against `pathname` as the level will match
+   * it once mounted, recursing into the matched route's own `children`. The
+   * level picks the call up in _load when it navigates to the same tail.
+   *
+   * @param {RoutesSet} routes
+   * @param {string} pathname
+   * @param {Record<string, unknown>} parentParams - params of the levels above, as they will be after the commit
+   * @param {Omit<import('./Route.js').RouteContext, 'signal' | 'params'>} options
+   * @param {AbortController} abortController
+   */
+  _preloadDeclared(routes, pathname, parentParams, options, abortController) {
+    const route = routes.matchRoute(pathname);
+    const parsed = route?.parsePathname(pathname);
+    if (!parsed || route.redirect !== undefined) {
+      return;
+    }
+
+    const params = { ...parentParams, ...parsed.params };
+    if (typeof route.load === "function") {
+      log(this._tag, abortController.navId, "preload", {
+        route: route.path,
+        declared: true,
+      });
+      startPendingLoad(this, route, {
+        params,
+        extraParams: options.extraParams,
+        searchParams: route.parseSearch(options.searchParams),
+        hash: options.hash,
+        route,
+        signal: abortController.signal,
+        pathname,
+      });
+    }
+
+    const children = declaredChildren(route);
+    if (children) {
+      this._preloadDeclared(
+        children,
+        parsed.tailGroup,
+        params,
+        options,
+        abortController,
+      );
+    }
+  }
+
+  /**
+   * Starts `route.load` ahead of a navigation that may never come, e.g. when
+   * a link is hovered. The navigation picks the call up if it happens within
+   * `ttl` milliseconds; otherwise the call is aborted and forgotten.
+   *
+   * @param {import("./Route").Route} route - one of this level's routes
+   * @param {Omit<import("./Route").RouteContext, 'signal'> & { pathname: string }} context
+   * @param {number} ttl
+   * @param {AbortSignal} [signal] - aborts the call early, unless a navigation took it
+   * @returns {Promise<unknown>}
+   */
+  _prefetchLoad(route, context, ttl, signal) {
+    const controller = new AbortController();
+    const entry = startPendingLoad(this, route, {
+      ...context,
+      signal: controller.signal,
+    });
+    if (entry.signal === controller.signal) {
+      log(this._tag, null, "prefetch-load", { route: route.path, ttl });
+      entry.expire = setTimeout(() => controller.abort(), ttl);
+      signal?.addEventListener(
+        "abort",
+        () => {
+          if (entry.expire !== undefined) controller.abort();
+        },
+        { once: true },
+      );
+    }
+    return entry.promise;
+  }
+
+  /**
+   * Explains which of this level's routes matches `pathname`, a path relative
+   * to this level (the tail its parent passes down), and why.
+   *
+   * @param {string} pathname
+   * @returns {import("./RoutesSet.js").RouteExplanation[]}
+   */
+  explain(pathname) {
+    return this.routes.explain(pathname);
   }
 
   link() {
@@ -524,17 +1084,210 @@ export class Routes extends AbstractController {
     return joinPaths(parentPathname, currentPathname);
   }
 
+  /**
+   * Returns the state of `route`'s lazy component, starting the import if
+   * needed and re-rendering the host once it settles. Import failures are
+   * reported with a RouterNavigationErrorEvent on the host.
+   *
+   * @param {import("./Route").Route} route
+   * @returns {import("./Route").ComponentState}
+   */
+  _resolveComponent(route) {
+    const current = route.getComponent();
+    // A rejected import is only retried by the next navigation to the route,
+    // re-rendering must not loop on it.
+    if (current.status === "resolved" || current.status === "rejected") {
+      return current;
+    }
+
+    const promise = route.loadComponent();
+    if (!this._watchedComponents.has(promise)) {
+      this._watchedComponents.add(promise);
+      promise.then(
+        () => {
+          if (this.currentRoute === route) this._host.requestUpdate();
+        },
+        (error) => {
+          if (this.currentRoute !== route) return;
+
+          log(this._tag, null, "component-error", { route: route.path });
+          if (
+            this._catchError(error, {
+              route,
+              reload: () => route.loadComponent(),
+            })
+          ) {
+            return;
+          }
+          this._host.requestUpdate();
+
+          const res = this._host.dispatchEvent(
+            new RouterNavigationErrorEvent({
+              url: this.state.fullPathname,
+              error,
+            }),
+          );
+
+          // false means a listener called preventDefault()
+          if (res === false) {
+            return;
+          }
+
+          queueMicrotask(() => {
+            throw error;
+          });
+        },
+      );
+    }
+
+    return route.getComponent();
+  }
+
+  /**
+   * Whether committing `route` should run in a view transition: the route's
+   * `viewTransitions` wins over the Router option.
+   *
+   * @param {Route} route
+   * @returns {boolean}
+   */
+  _useViewTransition(route) {
+    return Boolean(
+      route.viewTransitions ?? this.router?.options.viewTransitions,
+    );
+  }
+
+  /**
+   * Hands `error` to the nearest error boundary: the `errorRender` of the
+   * failed route or of this level, then those of the routes above. The level
+   * that owns the boundary renders it in place of its route.
+   *
+   * @param {unknown} error
+   * @param {{ route?: Route, pathname?: string, options?: object, reload?: () => unknown, rendering?: boolean }} failure
+   *   `pathname`/`options` are set when this level's navigation failed, so
+   *   retrying runs it again; otherwise retrying re-renders, after `reload()`.
+   *   `rendering` is set when called from outlet().
+   * @returns {Routes | null} the level showing the error, or null when no
+   *   level declares a boundary
+   */
+  _catchError(error, failure) {
+    for (let level = this; level; level = level._parentRoute) {
+      const route = level === this ? failure.route : level.currentRoute;
+      const errorRender = route?.errorRender ?? level.options.errorRender;
+      if (typeof errorRender !== "function") {
+        continue;
+      }
+
+      log(level._tag, null, "error-boundary", {
+        route: route?.path,
+        from: level === this ? undefined : this._host.nodeName,
+        error: error?.name ?? String(error),
+      });
+
+      const own = level === this && failure.pathname !== undefined;
+      if (own) {
+        // The failed route is not entered, but the location is: the boundary
+        // stands for it, and the next navigation starts from scratch.
+        const parsed = failure.route?.parsePathname(failure.pathname);
+        this.currentRoute = undefined;
+        this.data = undefined;
+        this._loadParams = undefined;
+        this._loadSearch = undefined;
+        this.state = {
+          hash: failure.options.hash,
+          searchParams: failure.options.searchParams,
+          search:
+            failure.route?.parseSearch(failure.options.searchParams) ??
+            failure.options.searchParams,
+          extraParams: failure.options.extraParams,
+          pathname: parsed?.pathname ?? failure.pathname,
+          params: parsed?.params ?? {},
+          tailGroup: parsed?.tailGroup ?? "",
+          hasTail: parsed?.hasTail ?? false,
+          fullPathname: parsed?.fullPathname ?? failure.pathname,
+        };
+      }
+
+      level._error = {
+        error,
+        errorRender,
+        route,
+        retry: async () => {
+          if (level._error?.error !== error) return;
+          level._error = null;
+          if (own) {
+            await this._gotoInternal(
+              failure.pathname,
+              failure.options,
+              true,
+              "retry",
+            );
+            return;
+          }
+          failure.reload?.();
+          level._host.requestUpdate();
+        },
+      };
+      if (level !== this || !failure.rendering) {
+        level._host.requestUpdate();
+      }
+      level.router?._meta.schedule(level);
+      return level;
+    }
+
+    return null;
+  }
+
+  /**
+   * @returns {unknown} the template of this level's error boundary
+   */
+  _renderError() {
+    const { error, errorRender, route, retry } = this._error;
+    const { params, extraParams, searchParams, hash } = this.router;
+    return errorRender.call(
+      this.router,
+      { params, extraParams, searchParams, hash, route, retry },
+      error,
+    );
+  }
+
   outlet() {
     let template = undefined;
-    if (this.currentRoute?.render !== undefined && this.router) {
+    const route = this.currentRoute;
+    if (this._error && this.router) {
+      template = this._renderError();
+    } else if (route && this.router) {
       const { params, extraParams, searchParams, hash } = this.router;
-      template = this.currentRoute.render.call(this.router, {
+      const context = {
         params,
         extraParams,
         searchParams,
         hash,
-        route: this.currentRoute,
-      });
+        data: this.data,
+        route,
+      };
+
+      const lazy = route.component ? this._resolveComponent(route) : null;
+      if (lazy && lazy.status !== "resolved") {
+        template =
+          lazy.status === "rejected"
+            ? nothing
+            : typeof route.pending === "function"
+              ? route.pending.call(this.router, context)
+              : route.pending;
+      } else if (route.render !== undefined) {
+        try {
+          template = route.render.call(this.router, {
+            ...context,
+            module: lazy?.module,
+          });
+        } catch (error) {
+          const boundary = this._catchError(error, { route, rendering: true });
+          if (!boundary) {
+            throw error;
+          }
+          template = boundary === this ? this._renderError() : nothing;
+        }
+      }
     }
 
     log(this._tag, this._currentAbort?.navId, "outlet-render", {
@@ -1,3 +1,22 @@
+import { RouteTrie } from "./util/routeTrie.js";
+
+/**
+ * Why a route did or did not win the match of a pathname.
+ *
+ * @typedef {object} RouteExplanation
+ * @property {import("./Route").Route} route
+ * @property {string} path
+ * @property {string | undefined} name
+ * @property {number} score - rank from ReactRouterScorer, higher is tried first
+ * @property {object} scoreBreakdown - the segment counts the score is made of
+ * @property {number} specificity - first tie-break: static segments over all segments
+ * @property {number} index - last tie-break: position in declaration order
+ * @property {boolean} matched - whether the route's regex matched the pathname
+ * @property {object | null} params - params extracted by the match, after the route's `params` schema; null when the regex did not match or the schema rejected them
+ * @property {string | null} tailGroup - the part of the pathname left for a child level, null without a match
+ * @property {boolean} selected - whether this is the route matchRoute() returns
+ */
+
 /**
  * @extends {Set<import("./Route").Route>}
  */
@@ -6,11 +25,36 @@ export class RoutesSet extends Set {
     fallbackRoute: null,
   };
 
+  /**
+   * The routes sorted and indexed by static prefix; built on the first match
+   * and dropped whenever the set changes.
+   *
+   * @type {RouteTrie<import("./Route").Route> | null}
+   */
+  _trie = null;
+
+  add(route) {
+    this._trie = null;
+    return super.add(route);
+  }
+
+  delete(route) {
+    this._trie = null;
+    return super.delete(route);
+  }
+
+  clear() {
+    this._trie = null;
+    super.clear();
+  }
+
   matchRoute(pathname) {
-    const sortedRoutes = this.getSortedRoutes();
+    // Only routes whose static prefix the pathname starts with can match,
+    // and they come in the same order getSortedRoutes() gives.
+    const candidates = this._compile().candidates(pathname);
 
-    for (let i = 0; i < sortedRoutes.length; i++) {
-      const route = sortedRoutes[i];
+    for (let i = 0; i < candidates.length; i++) {
+      const route = candidates[i];
       if (route.testPathname({ pathname })) {
         return route;
       }
@@ -19,17 +63,68 @@ export class RoutesSet extends Set {
     return this.options.fallbackRoute ?? undefined;
   }
 
+  /**
+   * Explains the match of `pathname`: every route, in the order matchRoute()
+   * tries them, with the score and tie-breaks that put it there and what its
+   * pattern extracted.
+   *
+   * @param {string} pathname
+   * @returns {RouteExplanation[]}
+   */
+  explain(pathname) {
+    const declared = [...this];
+    const selected = this.matchRoute(pathname);
+
+    return this.getSortedRoutes().map((route) => {
+      const matched = route.pattern.test(pathname);
+      const parsed = matched ? route.parsePathname(pathname) : null;
+      return {
+        route,
+        path: route.path,
+        name: route.name,
+        score: route.pattern.score,
+        scoreBreakdown: route.pattern.scoreBreakdown,
+        specificity: route.pattern.specificity,
+        index: declared.indexOf(route),
+        matched,
+        params: parsed?.params ?? null,
+        tailGroup: parsed?.tailGroup ?? null,
+        selected: route === selected,
+      };
+    });
+  }
+
+  /**
+   * The routes in the order they are tried: by score, then specificity, then
+   * declaration order.
+   *
+   * @returns {import("./Route").Route[]}
+   */
   getSortedRoutes() {
-    const routes = [...this];
+    return [...this._compile().routes];
+  }
+
+  /**
+   * @returns {RouteTrie<import("./Route").Route>}
+   */
+  _compile() {
+    if (this._trie) {
+      return this._trie;
+    }
 
-    return routes.sort((a, b) => {
+    const routes = [...this];
+    const index = new Map(routes.map((route, i) => [route, i]));
+    routes.sort((a, b) => {
       const scoreDiff = b.pattern.score - a.pattern.score;
       if (scoreDiff !== 0) return scoreDiff;
 
       const specificityDiff = b.pattern.specificity - a.pattern.specificity;
       if (specificityDiff !== 0) return specificityDiff;
 
-      return routes.indexOf(a) - routes.indexOf(b);
+      return index.get(a) - index.get(b);
     });
+
+    this._trie = new RouteTrie(routes);
+    return this._trie;
   }
 }
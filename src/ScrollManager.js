@@ -0,0 +1,237 @@
+import { log } from "./util/log.js";
+
+/**
+ * @typedef {{ x: number, y: number }} ScrollPosition
+ * @typedef {false | "top" | "preserve"} ScrollMode
+ * @typedef {Window | Element | (() => Window | Element | null | undefined)} ScrollContainer
+ */
+
+/** How many frames to wait for a hash target rendered by a nested level. */
+const HASH_TARGET_FRAMES = 10;
+
+const nextFrame = () => new Promise((r) => requestAnimationFrame(() => r()));
+
+/**
+ * Looks `id` up in `root` and, recursively, in every open shadow root below
+ * it — `document.getElementById` does not cross shadow boundaries.
+ *
+ * @param {Document | ShadowRoot} root
+ * @param {string} id
+ * @returns {Element | null}
+ */
+export function findElementById(root, id) {
+  const found = root.getElementById(id);
+  if (found) {
+    return found;
+  }
+
+  for (const el of root.querySelectorAll("*")) {
+    if (el.shadowRoot) {
+      const nested = findElementById(el.shadowRoot, id);
+      if (nested) {
+        return nested;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the `scroll` mode of the deepest active route in the chain that
+ * declares one. Routes without `scroll` inherit from their parent level;
+ * the default is "top".
+ *
+ * @param {import("./Routes.js").Routes} router
+ * @returns {ScrollMode}
+ */
+function resolveScrollMode(router) {
+  /** @type {ScrollMode} */
+  let mode = "top";
+  let level = router;
+  while (level) {
+    if (level.currentRoute?.scroll !== undefined) {
+      mode = level.currentRoute.scroll;
+    }
+    level = [...level._children].find((child) => child.currentRoute);
+  }
+  return mode;
+}
+
+/**
+ * Saves and restores scroll positions for the Router.
+ *
+ * Positions are written into `history.state.scroll` of the entry being left
+ * (before a push, and on `pagehide` so reloads can restore). Entries left
+ * through Back/Forward can no longer be written to, so their positions are
+ * also remembered in memory by history index.
+ */
+export class ScrollManager {
+  /**
+   * @type {Map<number, ScrollPosition>}
+   */
+  _positions = new Map();
+
+  /**
+   * Incremented on every scheduled scroll, so a slow restore never wins over
+   * a newer navigation.
+   */
+  _token = 0;
+
+  _previousRestoration = null;
+
+  /**
+   * @param {import("./Router.js").Router} router
+   * @param {{ container?: ScrollContainer }} [options={}]
+   */
+  constructor(router, options = {}) {
+    this._router = router;
+    this._container = options.container ?? null;
+  }
+
+  /**
+   * The element (or window) whose scroll position is managed.
+   *
+   * @returns {Window | Element}
+   */
+  get container() {
+    const container =
+      typeof this._container === "function"
+        ? this._container()
+        : this._container;
+    return container ?? window;
+  }
+
+  connect() {
+    if ("scrollRestoration" in window.history) {
+      this._previousRestoration = window.history.scrollRestoration;
+      window.history.scrollRestoration = "manual";
+    }
+    window.addEventListener("pagehide", this._onPageHide);
+  }
+
+  disconnect() {
+    this._token++;
+    if (this._previousRestoration !== null) {
+      window.history.scrollRestoration = this._previousRestoration;
+      this._previousRestoration = null;
+    }
+    window.removeEventListener("pagehide", this._onPageHide);
+  }
+
+  /**
+   * @returns {ScrollPosition}
+   */
+  getPosition() {
+    const container = this.container;
+    return container === window
+      ? { x: window.scrollX, y: window.scrollY }
+      : { x: container.scrollLeft, y: container.scrollTop };
+  }
+
+  /**
+   * Remembers the current position for the history entry at `index`.
+   *
+   * @param {number} index
+   * @param {{ persist?: boolean }} [options={}] - also write it into `history.state`; only valid while `index` is the current entry
+   */
+  save(index, { persist = false } = {}) {
+    const position = this.getPosition();
+    this._positions.set(index, position);
+
+    if (persist) {
+      const { history } = this._router;
+      history.replace(undefined, { ...history.state, scroll: position });
+    }
+  }
+
+  /**
+   * Applies the scroll behaviour for a navigation that just committed.
+   *
+   * - `pop` and `initial` restore the saved position of the entry.
+   * - Otherwise the hash target is scrolled into view, or the page is
+   *   scrolled to the top unless the route asks to preserve the position.
+   * - A route with `scroll: false` is never touched.
+   *
+   * @param {{ action: "push" | "pop" | "initial", hash?: string, index?: number, position?: ScrollPosition | null }} navigation
+   * @returns {Promise<void>}
+   */
+  async afterNavigation({ action, hash = "", index, position = null }) {
+    const token = ++this._token;
+
+    try {
+      await this._router._host.updateComplete;
+    } catch (error) {
+      // The render threw: an error boundary or the host reports that, and
+      // there is no new page to scroll.
+      log("router", null, "scroll-skip", { action, error: String(error) });
+      return;
+    }
+    await nextFrame();
+    if (token !== this._token) {
+      return;
+    }
+
+    const mode = resolveScrollMode(this._router);
+    if (mode === false) {
+      log("router", null, "scroll-skip", { action });
+      return;
+    }
+
+    if (action !== "push") {
+      const saved = this._positions.get(index) ?? position;
+      if (saved) {
+        log("router", null, "scroll-restore", saved);
+        this.scrollTo(saved);
+        return;
+      }
+    }
+
+    if (hash && (await this._scrollToHash(hash, token))) {
+      return;
+    }
+
+    // A fresh page load without a saved position keeps what the browser did.
+    if (action !== "initial" && mode === "top") {
+      this.scrollTo({ x: 0, y: 0 });
+    }
+  }
+
+  /**
+   * @param {ScrollPosition} position
+   */
+  scrollTo({ x, y }) {
+    this.container.scrollTo({ left: x, top: y });
+  }
+
+  /**
+   * @param {string} hash - with or without the leading "#"
+   * @param {number} token
+   * @returns {Promise<boolean>} whether a target was found
+   */
+  async _scrollToHash(hash, token) {
+    let id = hash.replace(/^#/, "");
+    try {
+      id = decodeURIComponent(id);
+    } catch {
+      // Keep the raw id when it is not valid percent-encoding.
+    }
+
+    for (let frame = 0; frame < HASH_TARGET_FRAMES; frame++) {
+      const target = findElementById(document, id);
+      if (target) {
+        log("router", null, "scroll-hash", { id });
+        target.scrollIntoView();
+        return true;
+      }
+      await nextFrame();
+      if (token !== this._token) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  _onPageHide = () => {
+    this.save(this._router._historyIndex, { persist: true });
+  };
+}
@@ -0,0 +1,255 @@
+import { RouterAcknowledgeEvent } from "./RoutesEvents.js";
+import { InvalidNavigationError } from "./errors/index.js";
+import { compileSearchSchema } from "./util/searchSchema.js";
+import { buildHref, parseUrl } from "./util/url.js";
+
+/**
+ * @typedef {StringConstructor | NumberConstructor | BooleanConstructor | ArrayConstructor | ObjectConstructor | import("./util/searchSchema.js").SearchParamSpec} SearchParamType
+ * @typedef {{ type?: SearchParamType, default?: unknown, history?: "replace" | "push", debounce?: number }} SearchParamOptions
+ */
+
+/** Schema specs for the constructor shorthands of `type`. */
+const CONSTRUCTOR_SPECS = new Map([
+  [String, "string"],
+  [Number, "number"],
+  [Boolean, "boolean"],
+  [Object, "json"],
+  [Array, { type: "string", array: true }],
+]);
+
+/**
+ * Writes not yet applied to the URL, by router. Controllers that write in the
+ * same task share one history update.
+ *
+ * @type {WeakMap<import("./Router.js").Router, { values: Map<string, unknown>, push: boolean, resyncs: Set<() => void> }>}
+ */
+const BATCHES = new WeakMap();
+
+/**
+ * Applies the queued writes of `router` in a single history update: a
+ * `replaceState()`, or a navigation when any of them asked for `push`.
+ *
+ * @param {import("./Router.js").Router} router
+ */
+function flush(router) {
+  const batch = BATCHES.get(router);
+  BATCHES.delete(router);
+  if (!batch || router._isDestroyed) {
+    return;
+  }
+
+  const searchParams = parseUrl(router.url).searchParams;
+  for (const [key, value] of batch.values) {
+    if (value === undefined) {
+      delete searchParams[key];
+    } else {
+      searchParams[key] = value;
+    }
+  }
+
+  if (batch.push) {
+    // A blocker or guard may keep the URL as it is: the writers then read it
+    // back instead of holding values the URL never took.
+    const resync = () => batch.resyncs.forEach((read) => read());
+    router
+      .navigate(buildHref(router.pathname, searchParams, router.hash))
+      .then((result) => {
+        if (result.status !== "committed" && result.status !== "noop") {
+          resync();
+        }
+      }, resync);
+  } else {
+    router.replaceState({ searchParams });
+  }
+}
+
+/**
+ * @param {import("./Router.js").Router} router
+ * @param {string} key
+ * @param {unknown} value - undefined removes the key
+ * @param {boolean} push
+ * @param {() => void} resync - reads the URL back if the write does not land
+ */
+function enqueue(router, key, value, push, resync) {
+  let batch = BATCHES.get(router);
+  if (!batch) {
+    batch = { values: new Map(), push: false, resyncs: new Set() };
+    BATCHES.set(router, batch);
+    // A macrotask rather than a microtask, so that debounced writes whose
+    // timers fire back to back still land in the same batch.
+    setTimeout(() => flush(router));
+  }
+  batch.values.set(key, value);
+  batch.push ||= push;
+  batch.resyncs.add(resync);
+}
+
+/**
+ * Binds one search param to a host property: reading `value` gives the typed
+ * param, assigning it writes only that key back to the URL, keeping the
+ * others. The host re-renders when the param changes, whoever changed it.
+ *
+ * @example
+ * class PostList extends LitElement {
+ *   page = new SearchParamController(this, "page", { type: Number, default: 1 });
+ *   query = new SearchParamController(this, "q", { debounce: 300 });
+ *
+ *   render() {
+ *     return html`<input .value=${this.query.value ?? ""}
+ *         @input=${(e) => (this.query.value = e.target.value)} />
+ *       <button @click=${() => this.page.value++}>Next</button>`;
+ *   }
+ * }
+ */
+export class SearchParamController {
+  /**
+   * @type {import('./Router.js').Router | null}
+   */
+  #router = null;
+
+  #unsubscribe = null;
+
+  /** The typed value, including writes that have not reached the URL yet. */
+  #value;
+
+  /** Set while a debounced write is waiting. */
+  #timer = null;
+
+  #parse;
+
+  /**
+   * @param {import("lit").ReactiveControllerHost & HTMLElement} host
+   * @param {string} key - the search param to bind
+   * @param {SearchParamOptions} [options={}]
+   *   `type` is `String` (the default), `Number`, `Boolean`, `Array` (every
+   *   value of a repeated key), `Object` (JSON), or any spec of a route
+   *   `search` schema. A value that does not parse reads as `default`.
+   *   Writing `default` (or undefined) removes the key from the URL.
+   *   `history: "push"` adds a history entry per write instead of replacing
+   *   the current one. `debounce` delays writes by that many milliseconds,
+   *   e.g. for text inputs; `value` updates right away.
+   */
+  constructor(host, key, options = {}) {
+    this.host = host;
+    this.key = key;
+    this.options = options;
+
+    const { type = String } = options;
+    let spec = CONSTRUCTOR_SPECS.get(type) ?? type;
+    if (typeof spec !== "object") {
+      spec = typeof spec === "function" ? { parse: spec } : { type: spec };
+    }
+    if (Object.hasOwn(options, "default")) {
+      spec = { ...spec, default: options.default };
+    }
+    this.#parse = compileSearchSchema({ [key]: spec });
+    this.#value = this.#parse({})[key];
+
+    host.addController(this);
+  }
+
+  /** The typed value of the param. */
+  get value() {
+    return this.#value;
+  }
+
+  set value(value) {
+    this.#set(value);
+  }
+
+  hostConnected() {
+    const routerAck = new RouterAcknowledgeEvent();
+    this.host.dispatchEvent(routerAck);
+
+    if (!routerAck.router) {
+      throw new InvalidNavigationError(
+        "No router found in the scope of SearchParamController.",
+        {
+          operation: RouterAcknowledgeEvent.eventName,
+          reason: "No router found in event acknowledgement",
+        },
+      );
+    }
+    this.#router = routerAck.router;
+    this.#unsubscribe = this.#router.subscribe(({ eventName }) => {
+      if (eventName === "location-changed") {
+        this.#resync();
+      }
+    });
+  }
+
+  hostDisconnected() {
+    this.#unsubscribe?.();
+    this.#unsubscribe = null;
+    // Don't lose what was typed just before the host went away.
+    if (this.#timer !== null) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+      this.#write();
+    }
+  }
+
+  /**
+   * @param {unknown} value
+   */
+  #set(value) {
+    if (!sameValue(value, this.#value)) {
+      this.#value = value;
+      this.host.requestUpdate();
+    }
+
+    const { debounce = 0 } = this.options;
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    if (debounce > 0) {
+      this.#timer = setTimeout(() => {
+        this.#timer = null;
+        this.#write();
+      }, debounce);
+    } else {
+      this.#write();
+    }
+  }
+
+  #write() {
+    if (!this.#router) {
+      return;
+    }
+    const value = sameValue(this.#value, this.options.default)
+      ? undefined
+      : this.#value;
+    enqueue(
+      this.#router,
+      this.key,
+      value,
+      this.options.history === "push",
+      () => this.#resync(),
+    );
+  }
+
+  /** Follows the URL, unless a write of ours is still waiting to reach it. */
+  #resync() {
+    if (this.#timer === null && this.#router) {
+      this.#read();
+    }
+  }
+
+  #read() {
+    const value = this.#parse(parseUrl(this.#router.url).searchParams)[
+      this.key
+    ];
+    if (!sameValue(value, this.#value)) {
+      this.#value = value;
+      this.host.requestUpdate();
+    }
+  }
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean} whether both serialize to the same search param value
+ */
+function sameValue(a, b) {
+  return Object.is(a, b) || JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,369 @@
+import { css, html, LitElement, nothing } from "lit";
+import { RouterAcknowledgeEvent } from "../RoutesEvents.js";
+import { isTracing, parseTrace } from "../util/log.js";
+
+/** Navigations shown in the timeline, most recent last. */
+const TIMELINE_MAX = 20;
+
+const GUARDS = ["leave", "enter", "load"];
+
+/**
+ * Folds trace events into one entry per navigation of a level: the
+ * `start`…`done` span of a `(tag, navId)` pair, with the time spent in its
+ * leave, enter and load callbacks.
+ *
+ * @param {ReturnType<typeof parseTrace>} events
+ * @returns {Array<{ tag: string, navId: number, path: string, cause?: string, start: number, end: number | null, status: string | null, guards: Record<string, number> }>}
+ */
+export function summarizeNavigations(events) {
+  const byKey = new Map();
+  const open = new Map();
+
+  for (const { time, navId, tag, action, fields } of events) {
+    if (navId === null) continue;
+    const key = `${tag} ${navId}`;
+    let nav = byKey.get(key);
+    if (!nav) {
+      nav = {
+        tag,
+        navId,
+        path: fields.path ?? "",
+        cause: fields.cause,
+        start: time,
+        end: null,
+        status: null,
+        guards: {},
+      };
+      byKey.set(key, nav);
+    }
+
+    const [guard, phase] = action.split("-");
+    if (GUARDS.includes(guard) && phase === "start") {
+      open.set(`${key} ${guard}`, time);
+    } else if (GUARDS.includes(guard) && phase === "end") {
+      const started = open.get(`${key} ${guard}`);
+      if (started !== undefined) {
+        nav.guards[guard] = (nav.guards[guard] ?? 0) + (time - started);
+        open.delete(`${key} ${guard}`);
+      }
+    } else if (action === "done" || action === "done-superseded") {
+      nav.end = time;
+      nav.status = action === "done" ? fields.status : "superseded";
+    }
+  }
+
+  return [...byKey.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * A panel for inspecting a router at runtime: the tree of active `Routes`
+ * levels with their params, tail groups and guard timings, a timeline of
+ * recent navigations read from the trace ring, and the score of every route
+ * for a pathname, with a button to navigate there.
+ *
+ * Drop it anywhere in the page; it attaches to the router whose host
+ * encloses it, or the primary router. Navigation history and guard timings
+ * need tracing (`localStorage.setItem('router:trace', '1')`), or a trace
+ * pasted into the `trace` property.
+ *
+ * @example
+ * import "lit-router-extended/devtools";
+ * html`<lit-router-devtools></lit-router-devtools>`;
+ *
+ * @property {import("../Router.js").Router | null} router - the router to inspect, found automatically when not set
+ * @property {string | undefined} trace - trace text to show instead of the live ring
+ */
+export class LitRouterDevtools extends LitElement {
+  static properties = {
+    router: { attribute: false },
+    trace: { attribute: false },
+    _pathname: { state: true },
+    _navigateError: { state: true },
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      font: 12px/1.4 ui-monospace, monospace;
+      color: #222;
+      background: #fafafa;
+      border: 1px solid #ccc;
+      padding: 8px;
+    }
+    section + section {
+      margin-top: 12px;
+    }
+    h2 {
+      font-size: 12px;
+      margin: 0 0 4px;
+      text-transform: uppercase;
+    }
+    ul {
+      margin: 0;
+      padding-left: 16px;
+    }
+    table {
+      border-collapse: collapse;
+    }
+    td,
+    th {
+      padding: 0 8px 0 0;
+      text-align: left;
+    }
+    .winner {
+      font-weight: bold;
+    }
+    .unmatched {
+      color: #999;
+    }
+    .pending {
+      color: #b60;
+    }
+    .error {
+      color: #c44;
+    }
+    .track {
+      position: relative;
+      height: 8px;
+      width: 200px;
+      background: #eee;
+    }
+    .bar {
+      position: absolute;
+      height: 100%;
+      min-width: 2px;
+      background: #48c;
+    }
+    .bar.failed {
+      background: #c44;
+    }
+  `;
+
+  constructor() {
+    super();
+    /** @type {import("../Router.js").Router | null} */
+    this.router = null;
+    /** @type {string | undefined} */
+    this.trace = undefined;
+    /** @type {string | undefined} */
+    this._pathname = undefined;
+    /** @type {unknown} the failure of the last navigation started from the panel */
+    this._navigateError = undefined;
+    this._subscribed = null;
+    this._unsubscribe = null;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._subscribe();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this._subscribed = null;
+  }
+
+  willUpdate() {
+    // The router may connect after the panel, or be swapped by the page.
+    this._subscribe();
+  }
+
+  _subscribe() {
+    if (!this.isConnected) return;
+    if (!this.router) {
+      const routerAck = new RouterAcknowledgeEvent();
+      this.dispatchEvent(routerAck);
+      this.router = routerAck.router;
+    }
+    if (this.router === this._subscribed) return;
+
+    this._unsubscribe?.();
+    this._subscribed = this.router;
+    this._unsubscribe = this.router?.subscribe(() => this.requestUpdate());
+  }
+
+  render() {
+    if (!this.router) {
+      return html`<p>No router found.
+        <button @click=${() => this.requestUpdate()}>Retry</button></p>`;
+    }
+
+    const navigations = summarizeNavigations(parseTrace(this.trace));
+    return html`
+      <section>
+        <h2>Routes <button @click=${() => this.requestUpdate()}>Refresh</button></h2>
+        <ul>${this._renderLevel(this.router, navigations)}</ul>
+      </section>
+      <section>
+        <h2>Navigations</h2>
+        ${this._renderTimeline(navigations)}
+      </section>
+      <section>
+        <h2>Match</h2>
+        ${this._renderScores()}
+      </section>
+    `;
+  }
+
+  /**
+   * @param {import("../Routes.js").Routes} level
+   * @param {ReturnType<typeof summarizeNavigations>} navigations
+   */
+  _renderLevel(level, navigations) {
+    const { currentRoute, state, _error: error, _currentAbort: pending } = level;
+    const last = navigations.findLast((nav) => nav.tag === level._tag);
+    const children = [...level._children];
+
+    return html`<li>
+      <strong>${level._host.localName}</strong>
+      ${currentRoute ? html` → ${currentRoute.path}` : html` (no route)`}
+      ${pending
+        ? html` <span class="pending">navigating nav#${pending.navId}</span>`
+        : nothing}
+      ${error ? html` <span class="error">error: ${String(error.error)}</span>` : nothing}
+      <div>params ${JSON.stringify(state.params)}</div>
+      ${state.hasTail ? html`<div>tail ${state.tailGroup}</div>` : nothing}
+      ${last && Object.keys(last.guards).length > 0
+        ? html`<div>
+            guards
+            ${Object.entries(last.guards).map(
+              ([guard, ms]) => html`${guard} ${ms.toFixed(1)}ms `,
+            )}
+          </div>`
+        : nothing}
+      ${children.length > 0
+        ? html`<ul>
+            ${children.map((child) => this._renderLevel(child, navigations))}
+          </ul>`
+        : nothing}
+    </li>`;
+  }
+
+  /**
+   * @param {ReturnType<typeof summarizeNavigations>} navigations
+   */
+  _renderTimeline(navigations) {
+    if (navigations.length === 0) {
+      return isTracing() || this.trace !== undefined
+        ? html`<p>No navigations traced yet.</p>`
+        : html`<p>
+            Tracing is off. Run
+            <code>localStorage.setItem('router:trace', '1')</code> and reload.
+          </p>`;
+    }
+
+    const recent = navigations.slice(-TIMELINE_MAX);
+    const from = recent[0].start;
+    const to = Math.max(...recent.map((nav) => nav.end ?? nav.start));
+    const span = Math.max(to - from, 1);
+
+    return html`<table>
+      ${recent.map(
+        (nav) => html`<tr>
+          <td>nav#${nav.navId}</td>
+          <td>${nav.tag}</td>
+          <td>${nav.path}</td>
+          <td>${nav.status ?? "pending"}</td>
+          <td>${nav.end === null ? "" : `${(nav.end - nav.start).toFixed(1)}ms`}</td>
+          <td>
+            <div class="track">
+              <div
+                class="bar ${nav.status === "ok" ? "" : "failed"}"
+                style="left: ${((nav.start - from) / span) * 100}%; width: ${(((nav.end ?? to) - nav.start) / span) * 100}%"
+              ></div>
+            </div>
+          </td>
+        </tr>`,
+      )}
+    </table>`;
+  }
+
+  _renderScores() {
+    const pathname = this._pathname ?? this.router.pathname;
+
+    return html`
+      <form
+        @submit=${(e) => {
+          e.preventDefault();
+          this._navigateError = undefined;
+          this.router.navigate(pathname).then(
+            (result) => {
+              this._navigateError = result.error;
+            },
+            (error) => {
+              this._navigateError = error;
+            },
+          );
+        }}
+      >
+        <input
+          name="pathname"
+          .value=${pathname}
+          @input=${(e) => {
+            this._pathname = e.target.value;
+            this._navigateError = undefined;
+          }}
+        />
+        <button>Navigate</button>
+      </form>
+      ${this._navigateError === undefined
+        ? nothing
+        : html`<p class="error">${String(this._navigateError)}</p>`}
+      ${this._renderExplanation(pathname)}
+    `;
+  }
+
+  /**
+   * @param {string} pathname - as typed in the panel, possibly malformed
+   */
+  _renderExplanation(pathname) {
+    let chain;
+    try {
+      chain = this.router.explainUrl(pathname);
+    } catch (error) {
+      return html`<p class="error">Cannot match ${pathname}: ${String(error)}</p>`;
+    }
+
+    return html`
+      ${chain.map(
+        ({ level, pathname, candidates }) => html`<table>
+          <caption>
+            ${level._host.localName} ${pathname}
+          </caption>
+          <tr>
+            <th>route</th>
+            <th>score</th>
+            <th>specificity</th>
+            <th>index</th>
+            <th>params</th>
+          </tr>
+          ${candidates.map(
+            (candidate) => html`<tr
+              class=${candidate.selected
+                ? "winner"
+                : candidate.matched
+                  ? ""
+                  : "unmatched"}
+            >
+              <td>${candidate.path}</td>
+              <td>${candidate.score}</td>
+              <td>${candidate.specificity}</td>
+              <td>${candidate.index}</td>
+              <td>
+                ${!candidate.matched
+                  ? ""
+                  : candidate.params === null
+                    ? "rejected"
+                    : JSON.stringify(candidate.params)}
+              </td>
+            </tr>`,
+          )}
+        </table>`,
+      )}
+    `;
+  }
+}
+
+customElements.define("lit-router-devtools", LitRouterDevtools);
@@ -0,0 +1,271 @@
+import { css, html, LitElement, nothing } from "lit";
+import { Route } from "../Route.js";
+import { Routes } from "../Routes.js";
+import {
+  RouterAcknowledgeEvent,
+  RoutesAcknowledgeEvent,
+} from "../RoutesEvents.js";
+import { InvalidNavigationError, UrlGenerationError } from "../errors/index.js";
+import {
+  buildHref,
+  resolveUrl,
+  searchParamsToObject,
+  toSearchParams,
+} from "../util/url.js";
+
+/**
+ * Path patterns of `to` compiled for `params`, by pattern.
+ *
+ * @type {Map<string, Route>}
+ */
+const PATTERNS = new Map();
+
+/**
+ * Fills `params` into the `:name` placeholders of `path`. A relative prefix
+ * (`./`, `../`) is kept aside, patterns are always absolute.
+ *
+ * @param {string} path
+ * @param {Record<string, unknown>} params
+ * @returns {string}
+ * @throws {UrlGenerationError} when a placeholder has no value in `params`
+ */
+function fillParams(path, params) {
+  const [, prefix, pattern] = path.match(/^((?:\.\.?\/)*)(.*)$/);
+  const absolute = pattern.startsWith("/");
+  const key = absolute ? pattern : `/${pattern}`;
+  let route = PATTERNS.get(key);
+  if (!route) {
+    route = new Route({ path: key });
+    PATTERNS.set(key, route);
+  }
+
+  const { pathname, missing } = route.buildPathname(params);
+  if (missing.length > 0) {
+    throw new UrlGenerationError(
+      `Missing param "${missing[0]}" to build link "${path}"`,
+      { param: missing[0], reason: "missing-param" },
+    );
+  }
+  return absolute ? pathname : prefix + pathname.replace(/^\//, "");
+}
+
+/**
+ * Where `pathname` stands in the active route chain of `router`: the current
+ * page, an ancestor of it, or neither.
+ *
+ * The pathname is matched level by level like a navigation would, and each
+ * level must pick the route it shows for the same segment, params included.
+ * A pathname that runs out at a level showing another route names the level
+ * itself (its index), so it is an ancestor of what the level shows.
+ *
+ * @param {import("../Router.js").Router} router
+ * @param {string} pathname - in-app pathname, without the `basePath`
+ * @returns {"current" | "ancestor" | null}
+ */
+function activeMatch(router, pathname) {
+  const chain = router.explainUrl(pathname);
+  for (const { level, pathname: tail, route } of chain) {
+    if (!level.currentRoute) {
+      return null;
+    }
+    if (route !== level.currentRoute) {
+      return tail === "/" ? "ancestor" : null;
+    }
+    if (route.parsePathname(tail)?.pathname !== level.state.pathname) {
+      return null;
+    }
+  }
+
+  // Every active level matched: the target is the page unless it goes on
+  // below the deepest one.
+  const { pathname: tail, route } = chain.at(-1);
+  return route.parsePathname(tail).tailGroup === "/" ? "current" : null;
+}
+
+/**
+ * A link to a route: renders a real `<a>` whose clicks the router handles,
+ * and reflects whether its target is active.
+ *
+ * `to` is absolute, or relative (`./`, `../`) to the route of the enclosing
+ * `Routes` scope, like `Navigation.link()`. It may contain `:name`
+ * placeholders filled from `params`.
+ *
+ * The element gets the `active` attribute when the active route chain is at
+ * the target or below it (at it only, with `exact`), and `active-descendant`
+ * when it is strictly below it. The target is compared route by route, not
+ * by pathname prefix: `/search` is not active at `/search/lit` when both
+ * match the same `/search/:query?` route. The anchor gets
+ * `aria-current="page"` when the target is the current page.
+ *
+ * @example
+ * import "lit-router-extended/link";
+ * html`<nav>
+ *   <lit-router-link to="/" exact>Home</lit-router-link>
+ *   <lit-router-link to="/users/:id" .params=${{ id: 7 }}>Profile</lit-router-link>
+ *   <lit-router-link to="./settings">Settings</lit-router-link>
+ * </nav>`;
+ *
+ * @property {string} to - target path, may carry its own `?query` and `#hash`
+ * @property {Record<string, unknown>} params - values for the `:name` placeholders of `to`
+ * @property {Record<string, unknown> | URLSearchParams} searchParams - merged over the query of `to`
+ * @property {string} hash - replaces the hash of `to`
+ * @property {boolean} exact - only active at the target itself, not below it
+ * @property {"intent" | "viewport" | "none"} prefetch - when to prefetch the target, overriding the Router's `prefetch` option
+ *
+ * @csspart link - the rendered `<a>`
+ * @slot - the link content
+ */
+export class LitRouterLink extends LitElement {
+  static properties = {
+    to: { type: String },
+    params: { type: Object },
+    searchParams: { attribute: false },
+    hash: { type: String },
+    exact: { type: Boolean },
+    prefetch: { type: String },
+  };
+
+  static styles = css`
+    :host {
+      display: inline;
+    }
+  `;
+
+  /**
+   * @type {import("../Router.js").Router | null}
+   */
+  #router = null;
+
+  /**
+   * The `Routes` level the link is rendered in; relative targets resolve
+   * against its route.
+   *
+   * @type {Routes | null}
+   */
+  #scope = null;
+
+  #unsubscribe = null;
+
+  /** Stops the viewport prefetch of the anchor, while one is set up. */
+  #unobserve = null;
+
+  /** The href the viewport prefetch was set up for. */
+  #observed = null;
+
+  constructor() {
+    super();
+    this.to = "";
+    this.params = undefined;
+    this.searchParams = undefined;
+    this.hash = undefined;
+    this.exact = false;
+    this.prefetch = undefined;
+    /** Href of the rendered anchor, as the browser sees it. */
+    this._href = "";
+    /** Whether the target is the current page. */
+    this._current = false;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const routerAck = new RouterAcknowledgeEvent();
+    this.dispatchEvent(routerAck);
+    if (!routerAck.router) {
+      throw new InvalidNavigationError(
+        "No router found in the scope of lit-router-link.",
+        {
+          operation: RouterAcknowledgeEvent.eventName,
+          reason: "No router found in event acknowledgement",
+        },
+      );
+    }
+    this.#router = routerAck.router;
+
+    const scopeAck = new RoutesAcknowledgeEvent();
+    this.dispatchEvent(scopeAck);
+    // A scope of another router does not count, as in Navigation.
+    this.#scope =
+      scopeAck.current instanceof Routes &&
+      (scopeAck.current === this.#router ||
+        scopeAck.current.router === this.#router)
+        ? scopeAck.current
+        : this.#router;
+
+    this.#unsubscribe = this.#router.subscribe(({ eventName }) => {
+      if (eventName === "location-changed") {
+        this.requestUpdate();
+      }
+    });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#unsubscribe?.();
+    this.#unsubscribe = null;
+    this.#unobserve?.();
+    this.#unobserve = null;
+    this.#observed = null;
+  }
+
+  /**
+   * The target as an in-app href, without the router's `basePath`.
+   *
+   * @returns {{ pathname: string, href: string }}
+   */
+  get target() {
+    const [, path, rest] = this.to.match(/^([^?#]*)(.*)$/);
+    const filled = this.params ? fillParams(path, this.params) : path;
+    const url = resolveUrl(this.#scope?.link() || "/", filled + rest);
+    const searchParams = {
+      ...url.searchParams,
+      ...searchParamsToObject(toSearchParams(this.searchParams)),
+    };
+    return {
+      pathname: url.pathname,
+      href: buildHref(url.pathname, searchParams, this.hash ?? url.hash),
+    };
+  }
+
+  willUpdate() {
+    if (!this.#router) return;
+
+    const { pathname, href } = this.target;
+    const match = activeMatch(this.#router, pathname);
+    this._href = this.#router.buildUrl(href);
+    this._current = match === "current";
+    const isDescendant = match === "ancestor";
+
+    this.toggleAttribute("active", this._current || (isDescendant && !this.exact));
+    this.toggleAttribute("active-descendant", isDescendant);
+  }
+
+  render() {
+    if (!this.#router) {
+      return html`<slot></slot>`;
+    }
+
+    return html`<a
+      part="link"
+      href=${this._href}
+      aria-current=${this._current ? "page" : nothing}
+      prefetch=${this.prefetch ?? nothing}
+      ><slot></slot
+    ></a>`;
+  }
+
+  updated() {
+    const anchor = this.renderRoot.querySelector("a");
+    const viewport =
+      anchor && this.#router?._prefetch.modeOf(anchor) === "viewport";
+    // Observe again when the target changes, even if it was already seen.
+    const observed = viewport ? this._href : null;
+    if (observed !== this.#observed) {
+      this.#unobserve?.();
+      this.#unobserve = viewport ? this.#router._prefetch.observe(anchor) : null;
+      this.#observed = observed;
+    }
+  }
+}
+
+customElements.define("lit-router-link", LitRouterLink);
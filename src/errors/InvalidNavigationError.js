@@ -1,7 +1,7 @@
 export class InvalidNavigationError extends Error {
   /**
    * @param {string} message
-   * @param {{ currentRoute?: any, pathname?: string, operation?: string, reason?: string }} metadata
+   * @param {{ currentRoute?: any, pathname?: string, operation?: string, reason?: string, redirectTo?: string }} metadata - `redirectTo` is set when `reason` is "redirect"
    */
   constructor(message, metadata = {}) {
     super(message);
@@ -0,0 +1,11 @@
+export class RedirectLoopError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ chain?: string[], redirectTo?: string }} metadata - `chain` lists the hrefs visited before `redirectTo` closed the loop
+   */
+  constructor(message, metadata = {}) {
+    super(message);
+    this.name = "RedirectLoopError";
+    this.metadata = metadata;
+  }
+}
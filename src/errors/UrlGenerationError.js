@@ -0,0 +1,11 @@
+export class UrlGenerationError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ routeName?: string, param?: string, reason?: "unknown-route" | "missing-param" | "unknown-param" }} metadata
+   */
+  constructor(message, metadata = {}) {
+    super(message);
+    this.name = "UrlGenerationError";
+    this.metadata = metadata;
+  }
+}
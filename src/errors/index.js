@@ -1,2 +1,4 @@
 export { RouteNotFoundError } from "./RouteNotFoundError.js";
 export { InvalidNavigationError } from "./InvalidNavigationError.js";
+export { UrlGenerationError } from "./UrlGenerationError.js";
+export { RedirectLoopError } from "./RedirectLoopError.js";
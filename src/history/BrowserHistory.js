@@ -0,0 +1,119 @@
+import {
+  locationToHref,
+  normalizeBasePath,
+  stripBasePath,
+  withBasePath,
+} from "../util/url.js";
+
+/**
+ * History backed by `window.history`, with the route in the URL pathname.
+ *
+ * All hrefs going in and out are in-app hrefs ("/users/1?tab=x#top"); the
+ * `basePath` only ever appears in the browser URL.
+ */
+export class BrowserHistory {
+  /** @type {"history" | "hash" | "memory"} */
+  mode = "history";
+
+  /**
+   * @param {{ basePath?: string }} [options={}]
+   */
+  constructor(options = {}) {
+    this.basePath = normalizeBasePath(options.basePath);
+  }
+
+  /**
+   * The in-app href the browser URL currently points at.
+   *
+   * @returns {string}
+   */
+  get location() {
+    const href = locationToHref(window.location);
+    return stripBasePath(href, this.basePath) ?? href;
+  }
+
+  /**
+   * State of the current entry.
+   *
+   * @returns {any}
+   */
+  get state() {
+    return window.history.state;
+  }
+
+  /**
+   * @param {string} href - in-app href
+   * @param {any} [state=null]
+   */
+  push(href, state = null) {
+    window.history.pushState(state, "", this.createHref(href));
+  }
+
+  /**
+   * @param {string | undefined} href - in-app href; keeps the current URL when undefined
+   * @param {any} [state=null]
+   */
+  replace(href, state = null) {
+    window.history.replaceState(
+      state,
+      "",
+      href === undefined ? undefined : this.createHref(href),
+    );
+  }
+
+  /**
+   * @param {number} delta
+   */
+  go(delta) {
+    window.history.go(delta);
+  }
+
+  back() {
+    this.go(-1);
+  }
+
+  forward() {
+    this.go(1);
+  }
+
+  /**
+   * Calls `listener` whenever the current entry changes outside of
+   * push/replace (Back, Forward, go).
+   *
+   * @param {(update: { state: any }) => void} listener
+   * @returns {() => void} unsubscribes
+   */
+  listen(listener) {
+    const onPopState = (e) => listener({ state: e.state });
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }
+
+  /**
+   * Turns an in-app href into the href the browser sees, for `<a href>`.
+   *
+   * @param {string} href - e.g. "/users/1"
+   * @returns {string} e.g. "/portal/users/1"
+   */
+  createHref(href) {
+    return withBasePath(href, this.basePath);
+  }
+
+  /**
+   * Maps a clicked link to the in-app href to navigate to, or null when the
+   * browser should follow the link itself.
+   *
+   * With a `basePath`, links are resolved like the browser would and links
+   * outside the base are left alone.
+   *
+   * @param {HTMLAnchorElement} anchor
+   * @returns {string | null}
+   */
+  hrefFromAnchor(anchor) {
+    const href = anchor.getAttribute("href");
+    if (href && this.basePath) {
+      return stripBasePath(locationToHref(anchor), this.basePath);
+    }
+    return href;
+  }
+}
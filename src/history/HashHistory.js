@@ -0,0 +1,69 @@
+import { buildHref, hashToHref, parseUrl } from "../util/url.js";
+import { BrowserHistory } from "./BrowserHistory.js";
+
+/**
+ * History backed by `window.history`, with the route in the URL fragment
+ * (`/#/users/1?tab=x`) for static hosts that cannot rewrite to index.html.
+ */
+export class HashHistory extends BrowserHistory {
+  mode = "hash";
+
+  constructor() {
+    // A base path makes no sense when the route lives in the fragment.
+    super();
+  }
+
+  get location() {
+    return hashToHref(window.location.hash);
+  }
+
+  createHref(href) {
+    return "#" + href;
+  }
+
+  /**
+   * Browsers fire popstate before hashchange for the same fragment change,
+   * so hashchange only reports the changes popstate did not.
+   */
+  listen(listener) {
+    let lastPopHref = null;
+
+    const onPopState = (e) => {
+      lastPopHref = this.location;
+      listener({ state: e.state });
+    };
+    const onHashChange = () => {
+      const handled = this.location === lastPopHref;
+      lastPopHref = null;
+      if (!handled) {
+        listener({ state: window.history.state });
+      }
+    };
+
+    window.addEventListener("popstate", onPopState);
+    window.addEventListener("hashchange", onHashChange);
+    return () => {
+      window.removeEventListener("popstate", onPopState);
+      window.removeEventListener("hashchange", onHashChange);
+    };
+  }
+
+  /**
+   * Only fragment links are routed: "#/users" navigates to "/users" and a
+   * plain "#section" sets the hash of the current route.
+   */
+  hrefFromAnchor(anchor) {
+    const href = anchor.getAttribute("href");
+    if (!href) {
+      return href;
+    }
+    if (href.startsWith("#/")) {
+      return href.slice(1);
+    }
+    if (href.startsWith("#")) {
+      const current = parseUrl(this.location);
+      return buildHref(current.pathname, current.searchParams, href.slice(1));
+    }
+    return null;
+  }
+}
@@ -0,0 +1,172 @@
+import { ORIGIN, locationToHref } from "../util/url.js";
+
+/**
+ * @typedef {{ href: string, state: any }} MemoryEntry
+ */
+
+/**
+ * In-memory history: an entries stack that never touches `window.history`
+ * or the URL bar. Use it for tests, embedded widgets and SSR, or to run
+ * several routers side by side on one page.
+ *
+ * Like the browser, `go()` settles asynchronously: listeners are notified in
+ * a later task, not before `go()` returns.
+ *
+ * @example
+ * const history = new MemoryHistory({ initialEntries: ["/", "/users/1"] });
+ * new Router(this, routes, { history });
+ */
+export class MemoryHistory {
+  mode = "memory";
+
+  /** @type {MemoryEntry[]} */
+  #entries;
+
+  #index;
+
+  /** @type {Set<(update: { state: any }) => void>} */
+  #listeners = new Set();
+
+  /**
+   * @param {{ initialEntries?: string[], initialIndex?: number }} [options={}]
+   *   `initialIndex` defaults to the last entry.
+   */
+  constructor({ initialEntries = ["/"], initialIndex } = {}) {
+    const hrefs = initialEntries.length > 0 ? initialEntries : ["/"];
+    this.#entries = hrefs.map((href) => ({
+      href: normalizeHref(href),
+      state: null,
+    }));
+    this.#index = clamp(initialIndex ?? hrefs.length - 1, this.#entries);
+  }
+
+  get location() {
+    return this.#entries[this.#index].href;
+  }
+
+  get state() {
+    return this.#entries[this.#index].state;
+  }
+
+  /**
+   * Position of the current entry in `entries`.
+   *
+   * @returns {number}
+   */
+  get index() {
+    return this.#index;
+  }
+
+  /**
+   * A copy of the entries stack, oldest first.
+   *
+   * @returns {MemoryEntry[]}
+   */
+  get entries() {
+    return this.#entries.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Adds an entry after the current one, dropping any forward entries.
+   *
+   * @param {string} href
+   * @param {any} [state=null]
+   */
+  push(href, state = null) {
+    this.#entries.splice(this.#index + 1, Infinity, {
+      href: normalizeHref(href),
+      state,
+    });
+    this.#index++;
+  }
+
+  /**
+   * @param {string | undefined} href - keeps the current href when undefined
+   * @param {any} [state=null]
+   */
+  replace(href, state = null) {
+    this.#entries[this.#index] = {
+      href: href === undefined ? this.location : normalizeHref(href),
+      state,
+    };
+  }
+
+  /**
+   * Moves `delta` entries back (negative) or forward, clamped to the stack.
+   *
+   * @param {number} delta
+   */
+  go(delta) {
+    const next = clamp(this.#index + delta, this.#entries);
+    if (next === this.#index) {
+      return;
+    }
+
+    this.#index = next;
+    const { state } = this.#entries[next];
+    setTimeout(() => {
+      for (const listener of [...this.#listeners]) {
+        listener({ state });
+      }
+    }, 0);
+  }
+
+  back() {
+    this.go(-1);
+  }
+
+  forward() {
+    this.go(1);
+  }
+
+  /**
+   * @param {(update: { state: any }) => void} listener
+   * @returns {() => void} unsubscribes
+   */
+  listen(listener) {
+    this.#listeners.add(listener);
+    return () => {
+      this.#listeners.delete(listener);
+    };
+  }
+
+  /**
+   * @param {string} href
+   * @returns {string}
+   */
+  createHref(href) {
+    return href;
+  }
+
+  /**
+   * Links are resolved against the current in-memory location, so a plain
+   * "#section" keeps the current route.
+   *
+   * @param {HTMLAnchorElement} anchor
+   * @returns {string | null}
+   */
+  hrefFromAnchor(anchor) {
+    const href = anchor.getAttribute("href");
+    if (!href) {
+      return href;
+    }
+    return locationToHref(new URL(href, ORIGIN + this.location));
+  }
+}
+
+/**
+ * @param {string} href
+ * @returns {string}
+ */
+function normalizeHref(href) {
+  return locationToHref(new URL(href, ORIGIN));
+}
+
+/**
+ * @param {number} index
+ * @param {unknown[]} entries
+ * @returns {number}
+ */
+function clamp(index, entries) {
+  return Math.min(Math.max(index, 0), entries.length - 1);
+}
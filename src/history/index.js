@@ -0,0 +1,52 @@
+import { BrowserHistory } from "./BrowserHistory.js";
+import { HashHistory } from "./HashHistory.js";
+import { MemoryHistory } from "./MemoryHistory.js";
+
+/**
+ * What a Router needs from a history implementation. All hrefs are in-app
+ * hrefs ("/users/1?tab=x#top"); `createHref` maps them to what the browser
+ * sees.
+ *
+ * @typedef {{
+ *   mode: "history" | "hash" | "memory",
+ *   basePath?: string,
+ *   readonly location: string,
+ *   readonly state: any,
+ *   push(href: string, state?: any): void,
+ *   replace(href: string | undefined, state?: any): void,
+ *   go(delta: number): void,
+ *   back(): void,
+ *   forward(): void,
+ *   listen(listener: (update: { state: any }) => void): () => void,
+ *   createHref(href: string): string,
+ *   hrefFromAnchor(anchor: HTMLAnchorElement): string | null,
+ * }} RouterHistory
+ */
+
+/**
+ * Builds the history a Router runs on from its options. `history` may be an
+ * instance or one of "browser", "hash" and "memory"; the older `mode: "hash"`
+ * is accepted as an alias.
+ *
+ * @param {{ history?: RouterHistory | "browser" | "hash" | "memory", mode?: "history" | "hash", basePath?: string }} [options={}]
+ * @returns {RouterHistory}
+ */
+export function createHistory({ history, mode, basePath } = {}) {
+  if (history && typeof history === "object") {
+    return history;
+  }
+
+  const kind = history ?? (mode === "hash" ? "hash" : "browser");
+  switch (kind) {
+    case "browser":
+      return new BrowserHistory({ basePath });
+    case "hash":
+      return new HashHistory();
+    case "memory":
+      return new MemoryHistory();
+    default:
+      throw new TypeError(`Unknown history "${kind}"`);
+  }
+}
+
+export { BrowserHistory, HashHistory, MemoryHistory };
@@ -1,18 +1,39 @@
 import { Navigation } from "./Navigation.js";
-import { RouteNotFoundError, InvalidNavigationError } from "./errors/index.js";
+import { NavigationResult } from "./NavigationResult.js";
+import {
+  RouteNotFoundError,
+  InvalidNavigationError,
+  UrlGenerationError,
+  RedirectLoopError,
+} from "./errors/index.js";
 import { Router } from "./Router.js";
 import { Routes } from "./Routes.js";
 import { Route } from "./Route.js";
+import { SearchParamController } from "./SearchParamController.js";
 import { RouterNavigationErrorEvent } from "./RoutesEvents.js";
+import {
+  BrowserHistory,
+  HashHistory,
+  MemoryHistory,
+  createHistory,
+} from "./history/index.js";
 
 export {
   RouterNavigationErrorEvent,
   InvalidNavigationError,
   RouteNotFoundError,
+  UrlGenerationError,
+  RedirectLoopError,
   Navigation,
+  NavigationResult,
   Router,
   Routes,
   Route,
+  SearchParamController,
+  BrowserHistory,
+  HashHistory,
+  MemoryHistory,
+  createHistory,
 };
 
 export default Router;
@@ -2,6 +2,11 @@
  * Walks the route tree from `start` downward, merging params, extraParams,
  * and searchParams from every active Routes level into a single flat object.
  *
+ * `search` is the typed form of searchParams: each key a level's `search`
+ * schema declares takes that level's typed value (the deepest declaring level
+ * wins), and undeclared keys keep their raw value. A level passing a key
+ * through untyped never overrides a value an ancestor typed.
+ *
  * INTENTIONALLY returns a NEW object on every call — params are always fresh.
  * This is by design, not a bug or a missing memoisation.
  *
@@ -15,12 +20,14 @@
  *
  * @param {object} start
  * @param {object} [stop]
- * @returns {{ params: Record<string, string>, extraParams: Record<string, any>, searchParams: Record<string, string> }}
+ * @returns {{ params: Record<string, string>, extraParams: Record<string, any>, searchParams: import("./url.js").SearchParamsRecord, search: Record<string, unknown> }}
  */
 export function collectParams(start, stop = null) {
   let paramsStore = {};
   let extraParamsStore = {};
   let searchParamsStore = {};
+  const searchStore = {};
+  const declaredSearch = new Set();
 
   const getStateFromInstance = (instance) => {
     if (instance?.state && typeof instance.state === "object") {
@@ -28,6 +35,8 @@ export function collectParams(start, stop = null) {
         params: instance.state.params ?? {},
         extraParams: instance.state.extraParams ?? {},
         searchParams: instance.state.searchParams ?? {},
+        search: instance.state.search ?? {},
+        schema: instance.currentRoute?.search,
       };
     }
 
@@ -36,6 +45,7 @@ export function collectParams(start, stop = null) {
       params: instance?._currentParams ?? {},
       extraParams: instance?._currentExtraParams ?? {},
       searchParams: instance?._currentSearchParams ?? {},
+      search: {},
     };
   };
 
@@ -62,7 +72,7 @@ export function collectParams(start, stop = null) {
       return false;
     }
 
-    const { params, extraParams, searchParams } =
+    const { params, extraParams, searchParams, search, schema } =
       getStateFromInstance(instance);
 
     paramsStore = Object.entries(params)
@@ -71,6 +81,15 @@ export function collectParams(start, stop = null) {
 
     Object.assign(extraParamsStore, extraParams);
     Object.assign(searchParamsStore, searchParams);
+    for (const key of Object.keys(schema ?? {})) {
+      declaredSearch.add(key);
+      // An invalid value without a default is left out at this level, and
+      // then also replaces what an ancestor typed.
+      delete searchStore[key];
+      if (Object.hasOwn(search, key)) {
+        searchStore[key] = search[key];
+      }
+    }
 
     if (stopInstance && instance === stopInstance) {
       return true;
@@ -89,9 +108,16 @@ export function collectParams(start, stop = null) {
   // Start collecting from the top-router
   traverseRoutesToCollectParams(start, stop);
 
+  for (const [key, value] of Object.entries(searchParamsStore)) {
+    if (!declaredSearch.has(key)) {
+      searchStore[key] = value;
+    }
+  }
+
   return {
     params: paramsStore,
     extraParams: extraParamsStore,
     searchParams: searchParamsStore,
+    search: searchStore,
   };
 }
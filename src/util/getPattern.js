@@ -21,7 +21,13 @@ export function getPattern(route) {
     const scoreData = routerScorer.scoreRoute(route.path);
 
     pattern = {
-      ...compiled,
+      // Not spread: the regex of a route using a named matcher is built
+      // lazily, on first access.
+      get regex() {
+        return compiled.regex;
+      },
+      params: compiled.params,
+      nodes: compiled.nodes,
       score: scoreData.score,
       scoreBreakdown: scoreData.breakdown,
       specificity: scoreData.specificity,
@@ -29,6 +35,8 @@ export function getPattern(route) {
         const pathname = typeof input === "string" ? input : input.pathname;
         return compiled.regex.test(pathname);
       },
+      build: (params, options) =>
+        routerScorer.buildPath(compiled, params, options),
       exec: (input) => {
         const pathname = typeof input === "string" ? input : input.pathname;
         const matchResult = routerScorer.matchPathAdvanced(pathname, compiled);
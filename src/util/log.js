@@ -90,6 +90,38 @@ export function clearTrace() {
   ring.length = 0;
 }
 
+const LINE_RE = /^\+(\d+(?:\.\d+)?)ms {2}(?:\[nav#(\d+)\] )?\[([^\]]+)\] (\S+)(?: (.*))?$/;
+const FIELD_RE = /(\S+?)=(.*?)(?= \S+?=|$)/g;
+
+/**
+ * Parse trace text (the ring, or a trace pasted from another session) back
+ * into events. Lines that are not trace lines are skipped. Field values stay
+ * the strings they were printed as.
+ *
+ * @param {string} [text] - defaults to the current ring
+ * @returns {Array<{ time: number, navId: number | null, tag: string, action: string, fields: Record<string, string> }>}
+ */
+export function parseTrace(text = exportTrace()) {
+  const events = [];
+  for (const line of text.split("\n")) {
+    const match = LINE_RE.exec(line.trim());
+    if (!match) continue;
+    const [, time, navId, tag, action, rest = ""] = match;
+    const fields = {};
+    for (const [, key, value] of rest.matchAll(FIELD_RE)) {
+      fields[key] = value;
+    }
+    events.push({
+      time: Number(time),
+      navId: navId === undefined ? null : Number(navId),
+      tag,
+      action,
+      fields,
+    });
+  }
+  return events;
+}
+
 function formatFields(fields) {
   const parts = [];
   for (const key of Object.keys(fields)) {
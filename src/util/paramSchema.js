@@ -0,0 +1,123 @@
+/**
+ * Compiles the `params` schema of a RouteConfig into a single function that
+ * validates and coerces the raw string params produced by a route match.
+ *
+ * A schema maps param names to one of:
+ *   • a type name — "string", "int", "number" or "boolean"
+ *   • a RegExp the raw value must match (the value stays a string)
+ *   • a parser function `(raw) => value`; returning undefined or throwing
+ *     rejects the value
+ *   • an object `{ type?, pattern?, parse?, default? }` combining the above
+ *
+ * @example
+ * const coerce = compileParamSchema({
+ *   id: "int",
+ *   slug: /^[a-z-]+$/,
+ *   page: { type: "number", default: 1 },
+ * });
+ * coerce({ id: "42", slug: "hello-world" }); // → { id: 42, slug: "hello-world", page: 1 }
+ * coerce({ id: "abc", slug: "x" });          // → null
+ *
+ * Params that are not declared in the schema pass through untouched.
+ * A declared param that did not capture anything (optional segment) takes its
+ * `default` when one is given and is otherwise left as matched.
+ *
+ * @typedef {"string" | "int" | "number" | "boolean"} ParamType
+ * @typedef {ParamType | RegExp | ((raw: string) => unknown) | { type?: ParamType, pattern?: RegExp, parse?: (raw: string) => unknown, default?: unknown }} ParamSpec
+ * @typedef {Record<string, ParamSpec>} ParamSchema
+ *
+ * @param {ParamSchema | undefined} schema
+ * @returns {((params: Record<string, string>) => Record<string, unknown> | null) | null}
+ *   null when there is no schema; otherwise a function returning the coerced
+ *   params, or null when any param fails validation
+ *
+ * @throws {TypeError} if the schema names an unknown type
+ */
+export function compileParamSchema(schema) {
+  if (!schema) {
+    return null;
+  }
+
+  const entries = Object.entries(schema).map(([name, spec]) => [
+    name,
+    compileSpec(name, spec),
+  ]);
+
+  return (params) => {
+    const result = { ...params };
+
+    for (const [name, { parse, hasDefault, defaultValue }] of entries) {
+      const raw = params[name];
+
+      if (raw === undefined || raw === "") {
+        if (hasDefault) result[name] = defaultValue;
+        continue;
+      }
+
+      const value = parse(raw);
+      if (value === INVALID) {
+        return null;
+      }
+      result[name] = value;
+    }
+
+    return result;
+  };
+}
+
+export const INVALID = Symbol("invalid-param");
+
+/** Coercers from a raw string, by type name; they return INVALID on failure. */
+export const TYPES = {
+  string: (raw) => raw,
+  int: (raw) => (/^[-+]?\d+$/.test(raw) ? Number.parseInt(raw, 10) : INVALID),
+  number: (raw) => {
+    const value = raw.trim() === "" ? Number.NaN : Number(raw);
+    return Number.isFinite(value) ? value : INVALID;
+  },
+  boolean: (raw) => {
+    if (raw === "true" || raw === "1") return true;
+    if (raw === "false" || raw === "0") return false;
+    return INVALID;
+  },
+};
+
+function compileSpec(name, spec) {
+  if (typeof spec === "string" || spec instanceof RegExp) {
+    spec = spec instanceof RegExp ? { pattern: spec } : { type: spec };
+  } else if (typeof spec === "function") {
+    spec = { parse: spec };
+  } else if (!spec || typeof spec !== "object") {
+    throw new TypeError(`Invalid schema for route param "${name}"`);
+  }
+
+  const { type, pattern, parse } = spec;
+  if (type !== undefined && !Object.hasOwn(TYPES, type)) {
+    throw new TypeError(
+      `Unknown type "${type}" for route param "${name}". Expected one of ${Object.keys(TYPES).join(", ")}`,
+    );
+  }
+  const coerce = TYPES[type ?? "string"];
+
+  return {
+    hasDefault: Object.hasOwn(spec, "default"),
+    defaultValue: spec.default,
+    parse: (raw) => {
+      if (pattern) {
+        pattern.lastIndex = 0;
+        if (!pattern.test(raw)) return INVALID;
+      }
+
+      if (typeof parse === "function") {
+        try {
+          const value = parse(raw);
+          return value === undefined ? INVALID : value;
+        } catch {
+          return INVALID;
+        }
+      }
+
+      return coerce(raw);
+    },
+  };
+}
@@ -0,0 +1,277 @@
+/**
+ * Matchers registered with defineParam(), by name. A path refers to one as
+ * `:id<uuid>`.
+ *
+ * @type {Map<string, string>}
+ */
+const PARAM_MATCHERS = new Map();
+
+/**
+ * The parts of a route path, as parsePath() reads them.
+ *
+ * A segment is one `/`-separated piece of the path, made of static text and
+ * params. A group is an optional run of segments: `{/:year{/:month}}`, or a
+ * single segment marked with `?` (`/:lang?`, `/legacy?`).
+ *
+ * @typedef {{ type: "static", value: string, rest?: boolean }} StaticPart - `rest` for `prefix*`, the prefix followed by anything
+ * @typedef {{ type: "param", name: string, pattern: string | null, matcher: string | null, rest?: boolean }} ParamPart - `rest` for `:name*`
+ * @typedef {{ type: "wildcard" }} WildcardPart - `*`
+ * @typedef {StaticPart | ParamPart | WildcardPart} SegmentPart
+ * @typedef {{ type: "segment", parts: SegmentPart[] }} SegmentNode
+ * @typedef {{ type: "group", nodes: PathNode[] }} GroupNode
+ * @typedef {SegmentNode | GroupNode} PathNode
+ */
+
+/**
+ * Registers a named param matcher, usable in any route path as
+ * `:name<matcher>`. Patterns resolve their matchers on their first match, so
+ * a matcher has to be defined before then, not before the route is created.
+ *
+ * Anchors (`^`, `$`) are stripped and flags are ignored: the matcher only
+ * constrains the text of the param within its segment.
+ *
+ * @param {string} name
+ * @param {RegExp | string} matcher
+ * @throws {TypeError} if `name` is not a word or `matcher` is not a RegExp or string
+ */
+export function defineParam(name, matcher) {
+  if (!/^\w+$/.test(name)) {
+    throw new TypeError(`Invalid param matcher name "${name}"`);
+  }
+  if (!(matcher instanceof RegExp) && typeof matcher !== "string") {
+    throw new TypeError(`Param matcher "${name}" must be a RegExp or a string`);
+  }
+  const source = matcher instanceof RegExp ? matcher.source : matcher;
+  PARAM_MATCHERS.set(name, source.replace(/^\^/, "").replace(/(?<!\\)\$$/, ""));
+}
+
+/**
+ * The regex source a param matches.
+ *
+ * @param {ParamPart} part
+ * @returns {string}
+ * @throws {TypeError} if the part names a matcher nobody defined
+ */
+export function paramSource(part) {
+  if (part.pattern !== null) {
+    return nonCapturing(part.pattern);
+  }
+  if (part.matcher !== null) {
+    const source = PARAM_MATCHERS.get(part.matcher);
+    if (source === undefined) {
+      throw new TypeError(
+        `Unknown param matcher "${part.matcher}" for ":${part.name}"; register it with defineParam() first`,
+      );
+    }
+    return nonCapturing(source);
+  }
+  return part.rest ? "[^/].*" : "[^/]+";
+}
+
+/**
+ * Turns the capturing groups of a regex source into non-capturing ones, so
+ * that a constraint does not shift the groups params are read from.
+ *
+ * @param {string} source
+ * @returns {string}
+ */
+function nonCapturing(source) {
+  let result = "";
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      result += char + (source[i + 1] ?? "");
+      i++;
+    } else if (inClass) {
+      inClass = char !== "]";
+      result += char;
+    } else if (char === "[") {
+      inClass = true;
+      result += char;
+    } else if (char === "(" && source[i + 1] !== "?") {
+      result += "(?:";
+    } else if (char === "(" && source[i + 2] === "<" && !"=!".includes(source[i + 3])) {
+      // A named group: keep the grouping, drop the name.
+      result += "(?:";
+      i = source.indexOf(">", i);
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * Parses a route path into segments and optional groups.
+ *
+ * Surrounding whitespace is ignored, and so are empty segments (`//`, a
+ * trailing `/`). Slashes and braces inside a param's `(regex)` belong to the
+ * regex.
+ *
+ * @example
+ * parsePath("/archive{/:year{/:month}}");
+ * // → [segment "archive", group [segment ":year", group [segment ":month"]]]
+ *
+ * @param {string} path
+ * @returns {PathNode[]}
+ * @throws {TypeError} on unbalanced braces, an unbalanced `(regex)` or an
+ *   unclosed `<matcher>`
+ */
+export function parsePath(path) {
+  const root = [];
+  const stack = [root];
+  let text = "";
+
+  const flush = () => {
+    if (text) stack.at(-1).push(segmentNode(text));
+    text = "";
+  };
+
+  const source = path.trim();
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "(" && /:\w+$/.test(text)) {
+      const end = closingParen(source, i);
+      text += source.slice(i, end + 1);
+      i = end;
+    } else if (char === "/") {
+      flush();
+    } else if (char === "{") {
+      flush();
+      const group = { type: "group", nodes: [] };
+      stack.at(-1).push(group);
+      stack.push(group.nodes);
+    } else if (char === "}") {
+      flush();
+      if (stack.length === 1) {
+        throw new TypeError(`Unbalanced "}" in path "${path}"`);
+      }
+      stack.pop();
+    } else {
+      text += char;
+    }
+  }
+  flush();
+
+  if (stack.length > 1) {
+    throw new TypeError(`Unclosed "{" in path "${path}"`);
+  }
+  return root;
+}
+
+/**
+ * Reads one segment. A trailing `?` makes it a group of its own.
+ *
+ * @param {string} text
+ * @returns {PathNode}
+ */
+function segmentNode(text) {
+  if (text.endsWith("?")) {
+    return { type: "group", nodes: [segmentNode(text.slice(0, -1))] };
+  }
+  return { type: "segment", parts: segmentParts(text) };
+}
+
+/**
+ * @param {string} text - a segment, without its `?` marker
+ * @returns {SegmentPart[]}
+ */
+function segmentParts(text) {
+  if (text === "*") {
+    return [{ type: "wildcard" }];
+  }
+
+  const rest = text.endsWith("*");
+  const body = rest ? text.slice(0, -1) : text;
+
+  // A lone param takes the rest of the segment as its name, without the
+  // characters a name cannot hold (`:user-id` is `userid`).
+  if (/^:[^:(<]*\w[^:(<]*$/.test(body)) {
+    const name = body.slice(1).replace(/\W/g, "");
+    return [{ type: "param", name, pattern: null, matcher: null, rest }];
+  }
+  if (!/:\w/.test(body)) {
+    return [{ type: "static", value: body, rest }];
+  }
+
+  /** @type {SegmentPart[]} */
+  const parts = [];
+  let value = "";
+  for (let i = 0; i < text.length; ) {
+    const name = text[i] === ":" && text.slice(i + 1).match(/^\w+/)?.[0];
+    if (!name) {
+      value += text[i];
+      i++;
+      continue;
+    }
+
+    if (value) parts.push({ type: "static", value });
+    value = "";
+    i += name.length + 1;
+
+    /** @type {ParamPart} */
+    const part = { type: "param", name, pattern: null, matcher: null };
+    if (text[i] === "(") {
+      const end = closingParen(text, i);
+      part.pattern = text.slice(i + 1, end);
+      i = end + 1;
+    } else if (text[i] === "<") {
+      const end = text.indexOf(">", i);
+      if (end === -1) {
+        throw new TypeError(`Unclosed param matcher in "${text}"`);
+      }
+      part.matcher = text.slice(i + 1, end);
+      i = end + 1;
+    }
+    parts.push(part);
+  }
+  if (value) parts.push({ type: "static", value });
+  return parts;
+}
+
+/**
+ * @param {string} text
+ * @param {number} start - index of the opening paren
+ * @returns {number} index of the matching closing paren
+ */
+function closingParen(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text[i] === "(") depth++;
+    else if (text[i] === ")" && --depth === 0) return i;
+  }
+  throw new TypeError(`Unbalanced param regex in "${text}"`);
+}
+
+/**
+ * Whether a node is a segment of plain static text.
+ *
+ * @param {PathNode} node
+ * @returns {node is SegmentNode}
+ */
+export function isStaticSegment(node) {
+  return (
+    node.type === "segment" &&
+    node.parts.length === 1 &&
+    node.parts[0].type === "static" &&
+    !node.parts[0].rest
+  );
+}
+
+/**
+ * Whether a segment is constrained: a param restricted by a regex or a
+ * named matcher, or params sharing the segment with static text.
+ *
+ * @param {SegmentNode} node
+ */
+export function isConstrainedSegment(node) {
+  return (
+    node.parts.length > 1 ||
+    node.parts.some(
+      (part) =>
+        part.type === "param" && (part.pattern !== null || part.matcher !== null),
+    )
+  );
+}
@@ -0,0 +1,91 @@
+import { isStaticSegment } from "./pathSyntax.js";
+
+/**
+ * Returns the static segments every pathname a route matches starts with,
+ * from the path compileRoute() parsed: its leading plain static segments, up
+ * to the first param, wildcard, constrained segment or optional group.
+ *
+ * @param {import("./pathSyntax.js").PathNode[]} nodes
+ * @returns {string[]}
+ */
+export function staticPrefix(nodes) {
+  const prefix = [];
+  for (const node of nodes) {
+    if (!isStaticSegment(node)) break;
+    prefix.push(node.parts[0].value);
+  }
+  return prefix;
+}
+
+/**
+ * Splits a pathname the way compileRoute() patterns see it: one optional
+ * leading slash, then one entry per segment. Empty segments are kept, since
+ * `//a` does not match `/a`.
+ *
+ * @param {string} pathname
+ * @returns {string[]}
+ */
+function pathSegments(pathname) {
+  const path = pathname.startsWith("/") ? pathname.slice(1) : pathname;
+  return path === "" ? [] : path.split("/");
+}
+
+/**
+ * A trie of routes keyed by their static prefix. Looking up a pathname walks
+ * its segments and returns only the routes whose prefix it starts with, in
+ * the order they were given, so the caller tests a handful of regexes
+ * instead of every route.
+ *
+ * @template {{ pattern: { nodes?: import("./pathSyntax.js").PathNode[] } }} R
+ */
+export class RouteTrie {
+  /**
+   * @param {R[]} routes - in match order
+   */
+  constructor(routes) {
+    this.routes = routes;
+    this._root = { ranks: [], children: new Map() };
+
+    routes.forEach((route, rank) => {
+      const { nodes } = route.pattern;
+      // A pattern not built by compileRoute() may match anything.
+      const prefix = Array.isArray(nodes) ? staticPrefix(nodes) : [];
+      let node = this._root;
+      for (const segment of prefix) {
+        let child = node.children.get(segment);
+        if (!child) {
+          child = { ranks: [], children: new Map() };
+          node.children.set(segment, child);
+        }
+        node = child;
+      }
+      node.ranks.push(rank);
+    });
+  }
+
+  /**
+   * The routes that may match `pathname`, in match order.
+   *
+   * @param {string} pathname
+   * @returns {R[]}
+   */
+  candidates(pathname) {
+    let node = this._root;
+    let ranks = node.ranks;
+    let merged = false;
+
+    for (const segment of pathSegments(pathname)) {
+      node = node.children.get(segment);
+      if (!node) break;
+      if (node.ranks.length > 0) {
+        ranks = ranks.concat(node.ranks);
+        merged = true;
+      }
+    }
+
+    if (merged) {
+      ranks.sort((a, b) => a - b);
+    }
+    return ranks.map((rank) => this.routes[rank]);
+  }
+}
@@ -0,0 +1,148 @@
+import { INVALID, TYPES } from "./paramSchema.js";
+
+/**
+ * Compiles the `search` schema of a RouteConfig into a function that turns
+ * the raw search params of a URL into typed values.
+ *
+ * A schema maps search param names to one of:
+ *   • a type name — "string", "int", "number", "boolean" or "json"
+ *   • a parser function `(raw) => value`; returning undefined or throwing
+ *     rejects the value
+ *   • an object `{ type?, parse?, enum?, array?, default? }`: `enum` lists
+ *     the accepted raw values, `array: true` collects every occurrence of a
+ *     repeated key
+ *
+ * @example
+ * const parse = compileSearchSchema({
+ *   page: { type: "int", default: 1 },
+ *   tag: { type: "string", array: true },
+ *   sort: { enum: ["asc", "desc"], default: "asc" },
+ *   filter: "json",
+ * });
+ * parse({ tag: ["a", "b"], sort: "up", filter: '{"x":1}', q: "lit" });
+ * // → { page: 1, tag: ["a", "b"], sort: "asc", filter: { x: 1 }, q: "lit" }
+ *
+ * Unlike path params, a value that fails its schema never rejects the route:
+ * it is replaced by the `default`, or left out when there is none. Arrays
+ * drop the items that fail and default to `[]`. A repeated key declared
+ * without `array` takes its first value. Undeclared params pass through as
+ * read from the URL, after the declared ones: keys always come out in schema
+ * order, so serializing the result with buildHref() gives a stable URL.
+ *
+ * @typedef {import("./paramSchema.js").ParamType | "json"} SearchParamType
+ * @typedef {SearchParamType | ((raw: string) => unknown) | { type?: SearchParamType, parse?: (raw: string) => unknown, enum?: readonly string[], array?: boolean, default?: unknown }} SearchParamSpec
+ * @typedef {Record<string, SearchParamSpec>} SearchSchema
+ *
+ * @param {SearchSchema | undefined} schema
+ * @returns {((searchParams: import("./url.js").SearchParamsRecord) => Record<string, unknown>) | null}
+ *   null when there is no schema
+ *
+ * @throws {TypeError} if the schema names an unknown type, or has a default
+ *   that structuredClone() cannot copy (a function, a class instance)
+ */
+export function compileSearchSchema(schema) {
+  if (!schema) {
+    return null;
+  }
+
+  const entries = Object.entries(schema).map(([name, spec]) => [
+    name,
+    compileSpec(name, spec),
+  ]);
+
+  return (searchParams) => {
+    const result = {};
+
+    for (const [name, { parse, array, hasDefault, defaultValue }] of entries) {
+      const raw = searchParams[name];
+      const values = raw === undefined ? [] : [].concat(raw);
+
+      if (array) {
+        const parsed = values.map(parse).filter((value) => value !== INVALID);
+        if (parsed.length > 0 || !hasDefault) {
+          result[name] = parsed;
+        } else {
+          result[name] = structuredClone(defaultValue);
+        }
+        continue;
+      }
+
+      const value = values.length > 0 ? parse(values[0]) : INVALID;
+      if (value !== INVALID) {
+        result[name] = value;
+      } else if (hasDefault) {
+        result[name] = structuredClone(defaultValue);
+      }
+    }
+
+    for (const [name, raw] of Object.entries(searchParams)) {
+      if (!Object.hasOwn(schema, name)) {
+        result[name] = raw;
+      }
+    }
+    return result;
+  };
+}
+
+const SEARCH_TYPES = {
+  ...TYPES,
+  json: (raw) => {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return INVALID;
+    }
+  },
+};
+
+function compileSpec(name, spec) {
+  if (typeof spec === "string") {
+    spec = { type: spec };
+  } else if (typeof spec === "function") {
+    spec = { parse: spec };
+  } else if (!spec || typeof spec !== "object") {
+    throw new TypeError(`Invalid schema for search param "${name}"`);
+  }
+
+  const { type, parse, enum: allowed, array = false } = spec;
+  if (type !== undefined && !Object.hasOwn(SEARCH_TYPES, type)) {
+    throw new TypeError(
+      `Unknown type "${type}" for search param "${name}". Expected one of ${Object.keys(SEARCH_TYPES).join(", ")}`,
+    );
+  }
+  const coerce = SEARCH_TYPES[type ?? "string"];
+
+  // Every read gets its own copy of the default, so check now that it can
+  // be copied rather than fail on the first URL that needs it.
+  if (Object.hasOwn(spec, "default")) {
+    try {
+      structuredClone(spec.default);
+    } catch {
+      throw new TypeError(
+        `The default of search param "${name}" cannot be cloned; use plain data (strings, numbers, arrays, objects)`,
+      );
+    }
+  }
+
+  return {
+    array,
+    hasDefault: Object.hasOwn(spec, "default"),
+    defaultValue: spec.default,
+    parse: (raw) => {
+      if (allowed && !allowed.includes(raw)) {
+        return INVALID;
+      }
+
+      if (typeof parse === "function") {
+        try {
+          const value = parse(raw);
+          return value === undefined ? INVALID : value;
+        } catch {
+          return INVALID;
+        }
+      }
+
+      return coerce(raw);
+    },
+  };
+}
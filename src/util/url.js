@@ -1,6 +1,12 @@
 export const ORIGIN =
   location.origin || location.protocol + "//" + location.host;
 
+/**
+ * Search params read from a URL; repeated keys hold an array of values.
+ *
+ * @typedef {Record<string, string | string[]>} SearchParamsRecord
+ */
+
 /**
  * Strips the trailing slash from a pathname, preserving the root "/".
  *
@@ -51,7 +57,7 @@ export function canonicalizePath(pathname) {
  * Handles full URLs (http://...) and bare paths (/path?q=1#hash).
  *
  * @param {string} url
- * @returns {{ pathname: string, searchParams: Record<string, string>, hash: string }}
+ * @returns {{ pathname: string, searchParams: SearchParamsRecord, hash: string }}
  */
 export function parseUrl(url) {
   const parsed = new URL(url, ORIGIN);
@@ -60,7 +66,7 @@ export function parseUrl(url) {
     // the router treats "/foo" and "/foo/" as the same route. Strip here so
     // nothing downstream needs to handle both forms.
     pathname: canonicalizePath(parsed.pathname),
-    searchParams: Object.fromEntries(parsed.searchParams),
+    searchParams: searchParamsToObject(parsed.searchParams),
     hash: parsed.hash ? parsed.hash.slice(1) : "",
   };
 }
@@ -71,7 +77,7 @@ export function parseUrl(url) {
  *
  * @param {string} basePath - Current location path
  * @param {string} targetPath - Path to resolve
- * @returns {{ pathname: string, searchParams: Record<string, string>, hash: string }}
+ * @returns {{ pathname: string, searchParams: SearchParamsRecord, hash: string }}
  */
 export function resolveUrl(basePath, targetPath) {
   // Absolute target → parse directly, don't resolve against base
@@ -81,7 +87,7 @@ export function resolveUrl(basePath, targetPath) {
       // canonicalizePath: normalise here so every caller of resolveUrl
       // (goto, navigate, _onAnchorClick, _onPopState) receives a clean pathname.
       pathname: canonicalizePath(target.pathname),
-      searchParams: Object.fromEntries(target.searchParams),
+      searchParams: searchParamsToObject(target.searchParams),
       hash: target.hash ? target.hash.slice(1) : "",
     };
   }
@@ -95,24 +101,80 @@ export function resolveUrl(basePath, targetPath) {
     // (e.g. new URL('./', 'http://x/articles/') → '/articles/'). Normalise
     // for the same reason as the absolute branch above.
     pathname: canonicalizePath(target.pathname),
-    searchParams: Object.fromEntries(target.searchParams),
+    searchParams: searchParamsToObject(target.searchParams),
     hash: target.hash ? target.hash.slice(1) : "",
   };
 }
 
+/**
+ * Read URLSearchParams into a plain object. A key that appears more than once
+ * maps to an array of its values, in order:
+ *
+ * "?tag=a&tag=b&page=2"  →  { tag: ["a", "b"], page: "2" }
+ *
+ * `Object.fromEntries()` would keep only the last value.
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {SearchParamsRecord}
+ */
+export function searchParamsToObject(searchParams) {
+  const result = {};
+  for (const [key, value] of searchParams) {
+    result[key] = Object.hasOwn(result, key)
+      ? [].concat(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Serialize a search params object, the inverse of searchParamsToObject().
+ * Keys are written in the object's order. Typed values are accepted too:
+ *
+ *   • arrays repeat the key, one entry per item
+ *   • numbers and booleans are stringified
+ *   • other objects are written as JSON
+ *   • null and undefined drop the key
+ *
+ * @param {Record<string, unknown> | URLSearchParams} [searchParams]
+ * @returns {URLSearchParams}
+ */
+export function toSearchParams(searchParams) {
+  if (searchParams instanceof URLSearchParams) {
+    return new URLSearchParams(searchParams);
+  }
+
+  const result = new URLSearchParams();
+  const append = (key, value) => {
+    if (value === null || value === undefined) return;
+    result.append(
+      key,
+      typeof value === "object" ? JSON.stringify(value) : String(value),
+    );
+  };
+  for (const [key, value] of Object.entries(searchParams ?? {})) {
+    if (Array.isArray(value)) {
+      value.forEach((item) => append(key, item));
+    } else {
+      append(key, value);
+    }
+  }
+  return result;
+}
+
 /**
  * Build a href string from separate components.
- * Handles searchParams as an object (serializes via URLSearchParams).
+ * Handles searchParams as an object (serialized with toSearchParams).
  *
  * @param {string} pathname
- * @param {Record<string, string> | URLSearchParams} [searchParams]
+ * @param {Record<string, unknown> | URLSearchParams} [searchParams]
  * @param {string} [hash] - without the # prefix
  * @returns {string} e.g. "/client/orders?tab=1#section"
  */
 export function buildHref(pathname, searchParams, hash) {
   const url = new URL(pathname || "/", ORIGIN);
   if (searchParams && typeof searchParams === "object") {
-    const params = new URLSearchParams(searchParams);
+    const params = toSearchParams(searchParams);
     if (params.toString()) url.search = params.toString();
   }
   if (hash) url.hash = hash;
@@ -145,13 +207,91 @@ export function locationToHref(loc) {
   return canonicalizePath(url.pathname) + url.search + url.hash;
 }
 
+/**
+ * Normalise a `basePath` option: leading slash, no trailing slash, and ""
+ * for the root.
+ *
+ * "portal/"  →  "/portal"
+ * "/"        →  ""
+ *
+ * @param {string} [basePath]
+ * @returns {string}
+ */
+export function normalizeBasePath(basePath) {
+  if (!basePath) {
+    return "";
+  }
+  const path = canonicalizePath(
+    basePath.startsWith("/") ? basePath : "/" + basePath,
+  );
+  return path === "/" ? "" : path;
+}
+
+/**
+ * Remove `basePath` from the front of an href.
+ *
+ * stripBasePath("/portal/users?x=1", "/portal")  →  "/users?x=1"
+ * stripBasePath("/portal", "/portal")            →  "/"
+ * stripBasePath("/portals", "/portal")           →  null
+ *
+ * @param {string} href - absolute path, optionally with search and hash
+ * @param {string} basePath - normalised with normalizeBasePath
+ * @returns {string | null} null when `href` is outside `basePath`
+ */
+export function stripBasePath(href, basePath) {
+  if (!basePath) {
+    return href;
+  }
+  if (!href.startsWith(basePath)) {
+    return null;
+  }
+  const rest = href.slice(basePath.length);
+  if (rest === "") {
+    return "/";
+  }
+  if (rest.startsWith("/")) {
+    return rest;
+  }
+  // "/portal?x=1" or "/portal#top" address the base root.
+  return /^[?#]/.test(rest) ? "/" + rest : null;
+}
+
+/**
+ * Prepend `basePath` to an in-app href.
+ *
+ * withBasePath("/users", "/portal")  →  "/portal/users"
+ * withBasePath("/", "/portal")       →  "/portal/"
+ *
+ * @param {string} href - absolute in-app path, optionally with search and hash
+ * @param {string} basePath - normalised with normalizeBasePath
+ * @returns {string}
+ */
+export function withBasePath(href, basePath) {
+  return basePath + href;
+}
+
+/**
+ * Read the route carried by a hash-mode URL fragment as a canonical path
+ * string, e.g. "#/users/1?tab=x#top" → "/users/1?tab=x#top".
+ * An empty fragment (or one without the leading slash) is the root route.
+ *
+ * @param {string} hash - `location.hash`, with or without the leading "#"
+ * @returns {string}
+ */
+export function hashToHref(hash) {
+  const path = (hash || "").replace(/^#/, "");
+  return locationToHref(
+    new URL(path.startsWith("/") ? path : "/" + path, ORIGIN),
+  );
+}
+
 /**
  * Compare current browser location to a navigation target.
  * Order-independent searchParams comparison.
  *
  * @param {string} currentHref - Full URL (e.g. window.location.href)
  * @param {string} nextPathname - Target pathname
- * @param {Record<string, string>} [nextSearchParams] - Target search params
+ * @param {Record<string, unknown>} [nextSearchParams] - Target search params
  * @param {string} [nextHash] - Target hash (without #)
  * @returns {boolean} true if same location
  */
@@ -164,7 +304,7 @@ export function isSameLocation(
   const current = new URL(currentHref);
   const next = new URL(nextPathname || "/", current.origin);
   if (nextSearchParams && typeof nextSearchParams === "object") {
-    next.search = new URLSearchParams(nextSearchParams).toString();
+    next.search = toSearchParams(nextSearchParams).toString();
   }
   if (nextHash) next.hash = nextHash;
   current.searchParams.sort();
@@ -0,0 +1,52 @@
+/**
+ * The transition currently running, if any. Starting a second one would skip
+ * its animation, so commits made meanwhile (e.g. nested levels mounting)
+ * update in place instead.
+ *
+ * @type {ViewTransition | null}
+ */
+let running = null;
+
+/**
+ * Runs `update` inside `document.startViewTransition()` when the browser
+ * supports it, and right away otherwise.
+ *
+ * @param {() => Promise<void> | void} update - changes the DOM
+ * @param {string[]} [types] - view transition types (`:active-view-transition-type()`), where supported
+ * @returns {Promise<void>} settles once `update` has run; rejects when it throws
+ */
+export async function withViewTransition(update, types = []) {
+  if (
+    running ||
+    typeof document === "undefined" ||
+    typeof document.startViewTransition !== "function"
+  ) {
+    return update();
+  }
+
+  const transition = supportsTypes()
+    ? document.startViewTransition({ update, types })
+    : document.startViewTransition(update);
+  running = transition;
+  // A skipped transition rejects `ready`; the update itself still runs.
+  Promise.resolve(transition.ready).catch(() => {});
+  Promise.resolve(transition.finished)
+    .catch(() => {})
+    .then(() => {
+      if (running === transition) {
+        running = null;
+      }
+    });
+
+  await transition.updateCallbackDone;
+}
+
+/**
+ * @returns {boolean} whether `startViewTransition` takes `{ update, types }`
+ */
+function supportsTypes() {
+  return (
+    typeof ViewTransition !== "undefined" &&
+    "types" in ViewTransition.prototype
+  );
+}
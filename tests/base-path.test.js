@@ -0,0 +1,116 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+suite("Lit Router - Base path", () => {
+  suiteSetup(() => {
+    nestedRoutes("base-path-user", [
+      { path: "/", render: () => html`<div id="user-home"></div>` },
+      { path: "posts", render: () => html`<div id="user-posts"></div>` },
+    ]);
+
+    customElements.define(
+      "base-path-app",
+      class extends LitElement {
+        _router = new Router(
+          this,
+          [
+            { path: "/", render: () => html`<h1 id="home">Home</h1>` },
+            {
+              path: "/users/:id/*",
+              render: ({ params }) =>
+                html`<h1 id="user-${params.id}">User ${params.id}</h1>
+                  <base-path-user></base-path-user>`,
+            },
+          ],
+          { basePath: "/portal/" },
+        );
+
+        navigator = new Navigation(this);
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return this._router.outlet();
+        }
+      },
+    );
+  });
+
+  setup(() => {
+    history.replaceState(null, "", "/portal/");
+  });
+
+  teardown(() => {
+    history.replaceState(null, "", "/");
+  });
+
+  test("strips the base from the initial location", async () => {
+    history.replaceState(null, "", "/portal/users/3?tab=x");
+    const el = await fixture(html`<base-path-app></base-path-app>`);
+    await waitForElement(el, "#user-3");
+
+    expect(el._router.basePath).to.equal("/portal");
+    expect(el._router.pathname).to.equal("/users/3");
+    expect(el._router.searchParams).to.deep.equal({ tab: "x" });
+  });
+
+  test("navigate and Back keep the base in the browser URL", async () => {
+    const el = await fixture(html`<base-path-app></base-path-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/users/5");
+    await waitForElement(el, "#user-5");
+    expect(window.location.pathname).to.equal("/portal/users/5");
+
+    history.back();
+    await waitForUrl("/portal/");
+    await waitForElement(el, "#home");
+  });
+
+  test("buildUrl and Navigation.link include the base", async () => {
+    const el = await fixture(html`<base-path-app></base-path-app>`);
+    await el.navigator.navigate("/users/7");
+    await waitForElement(el, "base-path-user");
+
+    const child = el.querySelector("base-path-user");
+    expect(el._router.buildUrl("/users/1")).to.equal("/portal/users/1");
+    expect(child.navigator.link("./posts")).to.equal("/portal/users/7/posts");
+
+    await child.navigator.push("./posts");
+    await waitForUrl("/portal/users/7/posts");
+    await waitForElement(child, "#user-posts");
+  });
+
+  test("intercepts links inside the base only", async () => {
+    const el = await fixture(html`<base-path-app></base-path-app>`);
+    await waitForElement(el, "#home");
+
+    const inside = document.createElement("a");
+    inside.href = "/portal/users/9";
+    const outside = document.createElement("a");
+    outside.href = "/admin";
+    el.append(inside, outside);
+
+    inside.click();
+    await waitForElement(el, "#user-9");
+    expect(window.location.pathname).to.equal("/portal/users/9");
+
+    let routed = true;
+    outside.addEventListener("click", (e) => {
+      routed = e.defaultPrevented;
+      // Keep the test page from actually leaving.
+      e.preventDefault();
+    });
+    outside.click();
+    expect(routed).to.be.false;
+    expect(el._router.pathname).to.equal("/users/9");
+
+    inside.remove();
+    outside.remove();
+  });
+});
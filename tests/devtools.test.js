@@ -0,0 +1,165 @@
+import { expect, fixture, html, waitUntil } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import { summarizeNavigations } from "../src/contrib/lit-router-devtools.js";
+import { parseTrace } from "../src/util/log.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+const TRACE = [
+  "+1.0ms  [router] goto path=/users/7",
+  "+1.2ms  [nav#3] [routes:DEVTOOLS-APP] start cause=goto path=/users/7",
+  "+1.5ms  [nav#3] [routes:DEVTOOLS-APP] leave-start",
+  "+3.5ms  [nav#3] [routes:DEVTOOLS-APP] leave-end canLeave=true",
+  "+4.0ms  [nav#3] [routes:DEVTOOLS-APP] enter-start route=/users/*",
+  "+9.0ms  [nav#3] [routes:DEVTOOLS-APP] enter-end route=/users/* canEnter=∅",
+  "+9.5ms  [nav#1] [routes:DEVTOOLS-USERS] start cause=child-connected path=/7",
+  "+10.0ms  [nav#3] [routes:DEVTOOLS-APP] done path=/users/7 status=ok",
+  "+12.0ms  [nav#1] [routes:DEVTOOLS-USERS] done-superseded path=/7",
+].join("\n");
+
+suite("Lit Router - Devtools", () => {
+  let app;
+
+  suiteSetup(() => {
+    nestedRoutes("devtools-users", [
+      { path: "/", render: () => html`<p id="user-list"></p>` },
+      { path: "/:id", render: () => html`<p id="user"></p>` },
+      { path: "/new", render: () => html`<p id="user-new"></p>` },
+    ]);
+
+    customElements.define(
+      "devtools-strict",
+      class extends LitElement {
+        // No catch-all: other paths are not found.
+        _router = new Router(this, [{ path: "/", render: () => html`<p></p>` }], {
+          primary: false,
+        });
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return this._router.outlet();
+        }
+      },
+    );
+
+    customElements.define(
+      "devtools-app",
+      class extends LitElement {
+        _router = new Router(this, [
+          { path: "/", render: () => html`<h1 id="home"></h1>` },
+          {
+            path: "/users/*",
+            render: () => html`<devtools-users></devtools-users>`,
+          },
+          { path: "/*", render: () => html`<h1 id="not-found"></h1>` },
+        ]);
+
+        navigator = new Navigation(this);
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return this._router.outlet();
+        }
+      },
+    );
+  });
+
+  setup(async () => {
+    history.replaceState(null, "", "/users/7");
+    app = await fixture(html`<devtools-app></devtools-app>`);
+    await waitForElement(app, "#user");
+  });
+
+  test("summarizes navigations and guard timings per level", () => {
+    const [parent, child] = summarizeNavigations(parseTrace(TRACE));
+
+    expect(parent).to.include({
+      tag: "routes:DEVTOOLS-APP",
+      navId: 3,
+      path: "/users/7",
+      cause: "goto",
+      start: 1.2,
+      end: 10,
+      status: "ok",
+    });
+    expect(parent.guards).to.deep.equal({ leave: 2, enter: 5 });
+    expect(child.status).to.equal("superseded");
+  });
+
+  test("renders the level tree, timeline and scores", async () => {
+    const panel = await fixture(
+      html`<lit-router-devtools .trace=${TRACE}></lit-router-devtools>`,
+    );
+    expect(panel.router).to.equal(app._router);
+
+    const text = panel.shadowRoot.textContent.replace(/\s+/g, " ");
+    expect(text).to.include("devtools-app");
+    expect(text).to.include("devtools-users");
+    expect(text).to.include('params {"id":"7"}');
+    expect(text).to.include("guards leave 2.0ms enter 5.0ms");
+    expect(panel.shadowRoot.querySelectorAll(".bar")).to.have.length(2);
+    expect(
+      panel.shadowRoot.querySelector(".winner").textContent,
+    ).to.include("/users/*");
+  });
+
+  test("re-renders on navigation and navigates from the form", async () => {
+    const panel = await fixture(
+      html`<lit-router-devtools .trace=${""}></lit-router-devtools>`,
+    );
+
+    await app.navigator.navigate("/users");
+    await waitForElement(app, "#user-list");
+    await waitUntil(() =>
+      panel.shadowRoot.textContent
+        .replace(/\s+/g, " ")
+        .includes("devtools-users → / params {}"),
+    );
+
+    const input = panel.shadowRoot.querySelector("input");
+    input.value = "/users/new";
+    input.dispatchEvent(new Event("input"));
+    await panel.updateComplete;
+    panel.shadowRoot
+      .querySelector("form")
+      .dispatchEvent(new Event("submit", { cancelable: true }));
+
+    await waitForUrl("/users/new");
+    await waitForElement(app, "#user-new");
+  });
+
+  test("shows navigation failures and paths it cannot match", async () => {
+    const strict = await fixture(html`<devtools-strict></devtools-strict>`);
+    const panel = await fixture(
+      html`<lit-router-devtools
+        .router=${strict._router}
+        .trace=${""}
+      ></lit-router-devtools>`,
+    );
+    const form = panel.shadowRoot.querySelector("form");
+    const input = panel.shadowRoot.querySelector("input");
+    const errors = () =>
+      [...panel.shadowRoot.querySelectorAll(".error")].map((p) => p.textContent);
+
+    input.value = "/missing";
+    input.dispatchEvent(new Event("input"));
+    await panel.updateComplete;
+    form.dispatchEvent(new Event("submit", { cancelable: true }));
+    await waitUntil(() => errors().length > 0);
+    expect(errors()[0]).to.include("RouteNotFoundError");
+
+    // A protocol-relative URL with an invalid host
+    input.value = "//[";
+    input.dispatchEvent(new Event("input"));
+    await panel.updateComplete;
+    expect(errors()).to.have.length(1);
+    expect(errors()[0]).to.include("Cannot match //[");
+  });
+});
@@ -0,0 +1,172 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, RouteNotFoundError, Router } from "../src/index.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+suite("Lit Router - Error boundaries", () => {
+  let attempts;
+
+  suiteSetup(() => {
+    nestedRoutes("boundary-reports", [
+      { path: "/", render: () => html`<p id="reports-home"></p>` },
+      {
+        path: "broken",
+        enter: () => {
+          attempts++;
+          if (attempts === 1) throw new Error("reports exploded");
+        },
+        render: () => html`<p id="reports-broken"></p>`,
+      },
+    ]);
+
+    customElements.define(
+      "boundary-app",
+      class extends LitElement {
+        _router = new Router(
+          this,
+          [
+            { path: "/", render: () => html`<h1 id="home"></h1>` },
+            {
+              path: "/flaky",
+              enter: () => {
+                attempts++;
+                if (attempts === 1) throw new Error("first try fails");
+              },
+              errorRender: ({ retry }, error) =>
+                html`<p id="flaky-error">${error.message}</p>
+                  <button id="retry" @click=${retry}>Retry</button>`,
+              render: () => html`<h1 id="flaky"></h1>`,
+            },
+            {
+              path: "/users/:id",
+              load: () => Promise.reject(new Error("load failed")),
+              errorRender: ({ params }, error) =>
+                html`<p id="user-error">${params.id}: ${error.message}</p>`,
+              render: () => html`<h1 id="user"></h1>`,
+            },
+            {
+              path: "/render-crash",
+              render: () => {
+                attempts++;
+                if (attempts === 1) throw new Error("render failed");
+                return html`<h1 id="rendered"></h1>`;
+              },
+            },
+            {
+              path: "/reports/*",
+              errorRender: ({ retry }, error) =>
+                html`<p id="reports-error">${error.message}</p>
+                  <button id="retry" @click=${retry}>Retry</button>`,
+              render: () => html`<boundary-reports></boundary-reports>`,
+            },
+          ],
+          {
+            errorRender: ({ retry }, error) =>
+              html`<p id="app-error">${error.name}</p>
+                <button id="app-retry" @click=${retry}>Retry</button>`,
+          },
+        );
+
+        navigator = new Navigation(this);
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return this._router.outlet();
+        }
+      },
+    );
+  });
+
+  setup(() => {
+    attempts = 0;
+    history.replaceState(null, "", "/");
+  });
+
+  test("the level boundary renders a not-found location", async () => {
+    const el = await fixture(html`<boundary-app></boundary-app>`);
+    await waitForElement(el, "#home");
+
+    const result = await el.navigator.navigate("/nowhere");
+    await waitForElement(el, "#app-error");
+
+    expect(result.status).to.equal("not-found");
+    expect(result.error).to.be.instanceOf(RouteNotFoundError);
+    expect(el.querySelector("#app-error").textContent).to.equal(
+      "RouteNotFoundError",
+    );
+    expect(window.location.pathname).to.equal("/nowhere");
+    expect(el._router.pathname).to.equal("/nowhere");
+
+    await el.navigator.navigate("/");
+    await waitForElement(el, "#home");
+    expect(el.querySelector("#app-error")).to.be.null;
+  });
+
+  test("a route boundary catches enter errors and retries", async () => {
+    const el = await fixture(html`<boundary-app></boundary-app>`);
+    await waitForElement(el, "#home");
+
+    const result = await el.navigator.navigate("/flaky");
+    await waitForElement(el, "#flaky-error");
+
+    expect(result.status).to.equal("error");
+    expect(el.querySelector("#flaky-error").textContent).to.equal(
+      "first try fails",
+    );
+
+    el.querySelector("#retry").click();
+    await waitForElement(el, "#flaky");
+    expect(attempts).to.equal(2);
+    expect(el.querySelector("#flaky-error")).to.be.null;
+  });
+
+  test("loader errors receive the route context", async () => {
+    const el = await fixture(html`<boundary-app></boundary-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/users/4");
+    await waitForElement(el, "#user-error");
+
+    expect(el.querySelector("#user-error").textContent).to.equal(
+      "4: load failed",
+    );
+  });
+
+  test("render errors fall back to the level boundary", async () => {
+    const el = await fixture(html`<boundary-app></boundary-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/render-crash");
+    await waitForElement(el, "#app-error");
+
+    el.querySelector("#app-retry").click();
+    await waitForElement(el, "#rendered");
+  });
+
+  test("nested errors stop at the closest boundary above", async () => {
+    const el = await fixture(html`<boundary-app></boundary-app>`);
+    await waitForElement(el, "#home");
+    const events = [];
+    const onError = (e) => events.push(e);
+    window.addEventListener("lit-router-error", onError);
+
+    await el.navigator.navigate("/reports/broken");
+    await waitForElement(el, "#reports-error");
+    window.removeEventListener("lit-router-error", onError);
+
+    expect(el.querySelector("boundary-reports")).to.be.null;
+    expect(el.querySelector("#app-error")).to.be.null;
+    expect(events).to.have.length(0);
+    await waitForUrl("/reports/broken");
+
+    // Retrying renders the parent route again, which remounts the nested
+    // routes and reruns their navigation.
+    el.querySelector("#retry").click();
+    await waitForElement(el, "#reports-broken");
+    expect(el.querySelector("#reports-error")).to.be.null;
+  });
+});
@@ -0,0 +1,129 @@
+import { expect, fixture, html, waitUntil } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import { waitForElement } from "./test-utils/wait.js";
+
+const waitForLocationHash = (hash) =>
+  waitUntil(
+    () => window.location.hash === hash,
+    `location.hash should be "${hash}" but was "${window.location.hash}"`,
+    { timeout: 2000 },
+  );
+
+suite("Lit Router - Hash mode", () => {
+  suiteSetup(() => {
+    customElements.define(
+      "hash-mode-app",
+      class extends LitElement {
+        _router = new Router(
+          this,
+          [
+            { path: "/", render: () => html`<h1 id="home">Home</h1>` },
+            {
+              path: "/users/:id",
+              render: ({ params }) =>
+                html`<h1 id="user-${params.id}">User ${params.id}</h1>`,
+            },
+          ],
+          { mode: "hash" },
+        );
+
+        navigator = new Navigation(this);
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return this._router.outlet();
+        }
+      },
+    );
+  });
+
+  setup(() => {
+    history.replaceState(null, "", "/");
+  });
+
+  teardown(() => {
+    history.replaceState(null, "", "/");
+  });
+
+  test("reads the initial route from the fragment", async () => {
+    history.replaceState(null, "", "/#/users/3?tab=x");
+    const el = await fixture(html`<hash-mode-app></hash-mode-app>`);
+    await waitForElement(el, "#user-3");
+
+    expect(el._router.pathname).to.equal("/users/3");
+    expect(el._router.searchParams).to.deep.equal({ tab: "x" });
+  });
+
+  test("normalises an empty fragment to the root route", async () => {
+    const el = await fixture(html`<hash-mode-app></hash-mode-app>`);
+    await waitForElement(el, "#home");
+
+    expect(window.location.hash).to.equal("#/");
+  });
+
+  test("navigate writes the route into the fragment", async () => {
+    const el = await fixture(html`<hash-mode-app></hash-mode-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/users/5", {
+      searchParams: { tab: "posts" },
+      hash: "top",
+    });
+    await waitForElement(el, "#user-5");
+
+    expect(window.location.pathname).to.equal("/");
+    expect(window.location.hash).to.equal("#/users/5?tab=posts#top");
+    expect(el._router.hash).to.equal("top");
+  });
+
+  test("Back restores the previous route", async () => {
+    const el = await fixture(html`<hash-mode-app></hash-mode-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/users/1");
+    await el.navigator.navigate("/users/2");
+    await waitForElement(el, "#user-2");
+
+    history.back();
+    await waitForLocationHash("#/users/1");
+    await waitForElement(el, "#user-1");
+  });
+
+  test("changing location.hash navigates", async () => {
+    const el = await fixture(html`<hash-mode-app></hash-mode-app>`);
+    await waitForElement(el, "#home");
+
+    window.location.hash = "#/users/8";
+    await waitForElement(el, "#user-8");
+    expect(el._router.pathname).to.equal("/users/8");
+  });
+
+  test("intercepts #/ links and keeps plain fragments on the current route", async () => {
+    const el = await fixture(html`<hash-mode-app></hash-mode-app>`);
+    await waitForElement(el, "#home");
+
+    const link = document.createElement("a");
+    link.href = "#/users/9";
+    el.appendChild(link);
+    link.click();
+    await waitForElement(el, "#user-9");
+    expect(window.location.hash).to.equal("#/users/9");
+
+    link.setAttribute("href", "#bio");
+    link.click();
+    await waitForLocationHash("#/users/9#bio");
+    expect(el._router.hash).to.equal("bio");
+    link.remove();
+  });
+
+  test("buildUrl returns fragment hrefs", async () => {
+    const el = await fixture(html`<hash-mode-app></hash-mode-app>`);
+    await waitForElement(el, "#home");
+
+    expect(el._router.buildUrl("/users/4?tab=x")).to.equal("#/users/4?tab=x");
+  });
+});
@@ -0,0 +1,113 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import appRouter from "./test-utils/app-router.js";
+import { RouterNavigationErrorEvent } from "../src/index.js";
+import { sleep, waitForElement } from "./test-utils/wait.js";
+
+suite("Lit Router - Lazy route components", () => {
+  let renderedModule = null;
+  let importCalls = 0;
+
+  suiteSetup(() => {
+    appRouter("lazy-app", [
+      { path: "/", render: () => html`<h1>root</h1>` },
+      {
+        path: "/with-pending",
+        component: () => sleep(30).then(() => import("./test-utils/lazy-page.js")),
+        pending: html`<p id="pending">Loading…</p>`,
+        render: ({ module }) => {
+          renderedModule = module;
+          return html`<lazy-page></lazy-page>`;
+        },
+      },
+      {
+        path: "/without-pending",
+        component: () => {
+          importCalls++;
+          return sleep(30).then(() => import("./test-utils/lazy-page.js"));
+        },
+        render: () => html`<lazy-page></lazy-page>`,
+      },
+      {
+        path: "/broken",
+        component: () => Promise.reject(new Error("chunk failed")),
+        pending: html`<p id="pending">Loading…</p>`,
+        render: () => html`<h1>broken</h1>`,
+      },
+      {
+        path: "/nested/*",
+        component: () => import("./test-utils/lazy-nested.js"),
+        pending: () => html`<p id="pending">Loading…</p>`,
+        render: () => html`<lazy-nested></lazy-nested>`,
+      },
+    ]);
+  });
+
+  test("renders pending until the module resolves, then render with the module", async () => {
+    const el = await fixture(html`<lazy-app></lazy-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/with-pending");
+    await el.updateComplete;
+    expect(el.querySelector("#pending")).to.exist;
+
+    await waitForElement(el, "lazy-page h1");
+    expect(el.querySelector("#pending")).to.not.exist;
+    expect(renderedModule).to.have.property("LazyPage");
+  });
+
+  test("without pending, the navigation waits for the module before committing", async () => {
+    const el = await fixture(html`<lazy-app></lazy-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/without-pending");
+    await el.updateComplete;
+
+    expect(el.querySelector("lazy-page")).to.exist;
+  });
+
+  test("caches the resolved module", async () => {
+    const el = await fixture(html`<lazy-app></lazy-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/without-pending");
+    await el.navigator.navigate("/");
+    const calls = importCalls;
+    await el.navigator.navigate("/without-pending");
+
+    expect(importCalls).to.equal(calls);
+  });
+
+  test("reports import failures with RouterNavigationErrorEvent", async () => {
+    const el = await fixture(html`<lazy-app></lazy-app>`);
+    await el.updateComplete;
+
+    const errorEvent = new Promise((resolve) => {
+      el.addEventListener(
+        RouterNavigationErrorEvent.eventName,
+        (e) => {
+          e.preventDefault();
+          resolve(e);
+        },
+        { once: true },
+      );
+    });
+
+    await el.navigator.navigate("/broken");
+    const event = await errorEvent;
+    await el.updateComplete;
+
+    expect(event.error.message).to.equal("chunk failed");
+    expect(event.url).to.equal("/broken");
+    expect(el.querySelector("#pending")).to.not.exist;
+
+    await el.navigator.navigate("/");
+  });
+
+  test("lazy nested Routes receive their tailGroup once mounted", async () => {
+    const el = await fixture(html`<lazy-app></lazy-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/nested/child");
+    await waitForElement(el, "#lazy-nested-child");
+  });
+});
@@ -0,0 +1,167 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { MemoryHistory, Navigation, Router, createHistory } from "../src/index.js";
+import { waitForElement } from "./test-utils/wait.js";
+
+suite("Lit Router - Memory history", () => {
+  suite("MemoryHistory", () => {
+    test("starts at the last initial entry", () => {
+      const history = new MemoryHistory({ initialEntries: ["/", "/users/1/"] });
+
+      expect(history.location).to.equal("/users/1");
+      expect(history.index).to.equal(1);
+      expect(history.entries.map((e) => e.href)).to.deep.equal(["/", "/users/1"]);
+    });
+
+    test("push drops forward entries", () => {
+      const history = new MemoryHistory({
+        initialEntries: ["/a", "/b", "/c"],
+        initialIndex: 0,
+      });
+
+      history.push("/d", { n: 1 });
+
+      expect(history.entries).to.deep.equal([
+        { href: "/a", state: null },
+        { href: "/d", state: { n: 1 } },
+      ]);
+      expect(history.state).to.deep.equal({ n: 1 });
+    });
+
+    test("replace keeps the href when none is given", () => {
+      const history = new MemoryHistory({ initialEntries: ["/a?x=1"] });
+
+      history.replace(undefined, { kept: true });
+      expect(history.location).to.equal("/a?x=1");
+      expect(history.state).to.deep.equal({ kept: true });
+    });
+
+    test("go clamps to the stack and notifies listeners asynchronously", async () => {
+      const history = new MemoryHistory({ initialEntries: ["/a", "/b", "/c"] });
+      history.replace(undefined, { at: "c" });
+      const updates = [];
+      const unlisten = history.listen((update) => updates.push(update));
+
+      history.go(-5);
+      expect(history.location).to.equal("/a");
+      expect(updates).to.have.length(0);
+
+      await new Promise((r) => setTimeout(r, 0));
+      expect(updates).to.deep.equal([{ state: null }]);
+
+      history.forward();
+      history.go(10);
+      expect(history.location).to.equal("/c");
+      await new Promise((r) => setTimeout(r, 0));
+      expect(updates.at(-1)).to.deep.equal({ state: { at: "c" } });
+
+      unlisten();
+      history.back();
+      await new Promise((r) => setTimeout(r, 0));
+      expect(updates).to.have.length(3);
+    });
+
+    test("resolves links against the current entry", () => {
+      const history = new MemoryHistory({ initialEntries: ["/users/1?tab=x"] });
+      const anchor = document.createElement("a");
+
+      anchor.setAttribute("href", "#bio");
+      expect(history.hrefFromAnchor(anchor)).to.equal("/users/1?tab=x#bio");
+
+      anchor.setAttribute("href", "/settings");
+      expect(history.hrefFromAnchor(anchor)).to.equal("/settings");
+    });
+
+    test("createHistory accepts names, instances and the mode alias", () => {
+      const memory = new MemoryHistory();
+
+      expect(createHistory({ history: memory })).to.equal(memory);
+      expect(createHistory({ history: "memory" }).mode).to.equal("memory");
+      expect(createHistory({ mode: "hash" }).mode).to.equal("hash");
+      expect(createHistory({ basePath: "/portal" }).basePath).to.equal("/portal");
+      expect(() => createHistory({ history: "nope" })).to.throw(TypeError);
+    });
+  });
+
+  suite("Router", () => {
+    let history;
+
+    suiteSetup(() => {
+      customElements.define(
+        "memory-history-app",
+        class extends LitElement {
+          _router = new Router(
+            this,
+            [
+              { path: "/", render: () => html`<h1 id="home">Home</h1>` },
+              {
+                path: "/users/:id",
+                render: ({ params }) => html`<h1 id="user-${params.id}"></h1>`,
+              },
+            ],
+            { history },
+          );
+
+          navigator = new Navigation(this);
+
+          createRenderRoot() {
+            return this;
+          }
+
+          render() {
+            return html`${this._router.outlet()}<a href="/users/2">User 2</a>`;
+          }
+        },
+      );
+    });
+
+    setup(() => {
+      history = new MemoryHistory({ initialEntries: ["/users/1"] });
+      window.history.replaceState(null, "", "/outside");
+    });
+
+    teardown(() => {
+      window.history.replaceState(null, "", "/");
+    });
+
+    test("routes from the memory location without touching the URL", async () => {
+      const el = await fixture(html`<memory-history-app></memory-history-app>`);
+      await waitForElement(el, "#user-1");
+
+      await el.navigator.navigate("/users/3");
+      await waitForElement(el, "#user-3");
+
+      expect(window.location.pathname).to.equal("/outside");
+      expect(el._router.mode).to.equal("memory");
+      expect(history.entries.map((e) => e.href)).to.deep.equal([
+        "/users/1",
+        "/users/3",
+      ]);
+    });
+
+    test("back and forward navigate through the entries", async () => {
+      const el = await fixture(html`<memory-history-app></memory-history-app>`);
+      await waitForElement(el, "#user-1");
+      await el.navigator.navigate("/");
+      await waitForElement(el, "#home");
+
+      el.navigator.goback();
+      await waitForElement(el, "#user-1");
+      expect(history.location).to.equal("/users/1");
+
+      history.forward();
+      await waitForElement(el, "#home");
+    });
+
+    test("intercepts links into the memory history", async () => {
+      const el = await fixture(html`<memory-history-app></memory-history-app>`);
+      await waitForElement(el, "#user-1");
+
+      el.querySelector("a").click();
+      await waitForElement(el, "#user-2");
+
+      expect(history.location).to.equal("/users/2");
+      expect(window.location.pathname).to.equal("/outside");
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import appRouter from "./test-utils/app-router.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+suite("Lit Router - Multiple routers", () => {
+  suiteSetup(() => {
+    nestedRoutes("embedded-section", [
+      { path: "/", render: () => html`<p id="section-home"></p>` },
+      { path: "details", render: () => html`<p id="section-details"></p>` },
+    ]);
+
+    customElements.define(
+      "embedded-widget",
+      class extends LitElement {
+        _router = new Router(
+          this,
+          [
+            { path: "/", render: () => html`<p id="widget-home"></p>` },
+            {
+              path: "/section/*",
+              render: () => html`<embedded-section></embedded-section>`,
+            },
+          ],
+          { primary: false },
+        );
+
+        navigator = new Navigation(this);
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return html`<a id="widget-link" href="/section">Section</a>
+            ${this._router.outlet()}`;
+        }
+      },
+    );
+
+    appRouter("second-router-app", [
+      { path: "/", render: () => html`<p id="second-home"></p>` },
+      { path: "/other", render: () => html`<p id="second-other"></p>` },
+    ]);
+
+    customElements.define(
+      "claiming-router-app",
+      class extends LitElement {
+        _router = new Router(
+          this,
+          [{ path: "/", render: () => html`<p></p>` }],
+          { primary: true },
+        );
+      },
+    );
+
+    appRouter("multi-router-app", [
+      { path: "/", render: () => html`<h1 id="home">Home</h1>` },
+      {
+        path: "/embed",
+        render: () => html`<embedded-widget></embedded-widget>`,
+      },
+      { path: "/section", render: () => html`<h1 id="app-section"></h1>` },
+    ]);
+  });
+
+  setup(() => {
+    history.replaceState(null, "", "/embed");
+  });
+
+  test("controllers resolve to the nearest router", async () => {
+    const el = await fixture(html`<multi-router-app></multi-router-app>`);
+    await waitForElement(el, "embedded-widget");
+    const widget = el.querySelector("embedded-widget");
+    await waitForElement(widget, "#widget-home");
+
+    expect(el.navigator.router).to.equal(el._router);
+    expect(widget.navigator.router).to.equal(widget._router);
+    expect(widget._router.primary).to.be.false;
+    expect(widget._router.mode).to.equal("memory");
+    expect([...el._router._children]).to.not.include(widget._router);
+  });
+
+  test("a secondary router navigates without touching the URL", async () => {
+    const el = await fixture(html`<multi-router-app></multi-router-app>`);
+    await waitForElement(el, "embedded-widget");
+    const widget = el.querySelector("embedded-widget");
+    await waitForElement(widget, "#widget-home");
+
+    await widget.navigator.navigate("/section/details");
+    await waitForElement(widget, "#section-details");
+
+    const section = widget.querySelector("embedded-section");
+    expect(section.navigator.router).to.equal(widget._router);
+    expect(window.location.pathname).to.equal("/embed");
+    expect(el._router.pathname).to.equal("/embed");
+    expect(widget._router.pathname).to.equal("/section/details");
+  });
+
+  test("links go to the router whose host contains them", async () => {
+    const el = await fixture(html`<multi-router-app></multi-router-app>`);
+    await waitForElement(el, "embedded-widget");
+    const widget = el.querySelector("embedded-widget");
+    await waitForElement(widget, "#widget-home");
+
+    widget.querySelector("#widget-link").click();
+    await waitForElement(widget, "#section-home");
+    expect(widget._router.pathname).to.equal("/section");
+    expect(window.location.pathname).to.equal("/embed");
+
+    const outside = document.createElement("a");
+    outside.href = "/section";
+    el.appendChild(outside);
+    outside.click();
+    await waitForUrl("/section");
+    await waitForElement(el, "#app-section");
+    outside.remove();
+  });
+
+  test("routers that are siblings do not interfere", async () => {
+    const el = await fixture(html`<div>
+      <embedded-widget id="a"></embedded-widget>
+      <embedded-widget id="b"></embedded-widget>
+    </div>`);
+    const [a, b] = el.querySelectorAll("embedded-widget");
+    await waitForElement(a, "#widget-home");
+    await waitForElement(b, "#widget-home");
+
+    b.querySelector("#widget-link").click();
+    await waitForElement(b, "#section-home");
+
+    expect(a._router.pathname).to.equal("/");
+    expect(b._router.pathname).to.equal("/section");
+    expect(a.navigator.router).to.equal(a._router);
+    expect(b.navigator.router).to.equal(b._router);
+  });
+
+  test("a router connected while a primary one is becomes secondary", async () => {
+    const el = await fixture(html`<multi-router-app></multi-router-app>`);
+    await waitForElement(el, "embedded-widget");
+    const second = await fixture(html`<second-router-app></second-router-app>`);
+    await waitForElement(second, "#second-home");
+
+    expect(el._router.primary).to.be.true;
+    expect(second._router.primary).to.be.false;
+    expect(second._router.mode).to.equal("memory");
+
+    await second.navigator.navigate("/other");
+    await waitForElement(second, "#second-other");
+    expect(window.location.pathname).to.equal("/embed");
+    expect(el._router.pathname).to.equal("/embed");
+  });
+
+  test("an explicit second primary router throws when it connects", async () => {
+    const el = await fixture(html`<multi-router-app></multi-router-app>`);
+    await waitForElement(el, "embedded-widget");
+
+    const claiming = document.createElement("claiming-router-app");
+    expect(() => claiming._router.hostConnected()).to.throw(
+      TypeError,
+      /<multi-router-app> already owns the URL/,
+    );
+  });
+});
@@ -0,0 +1,113 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import appRouter from "./test-utils/app-router.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+import { UrlGenerationError } from "../src/index.js";
+
+suite("Lit Router - Named routes (urlFor / navigateTo)", () => {
+  suiteSetup(() => {
+    nestedRoutes("named-user", [
+      { name: "user-home", path: "/", render: () => html`<div id="user-home"></div>` },
+      { name: "user-posts", path: "posts/:postId?", render: () => html`<div id="user-posts"></div>` },
+    ]);
+
+    appRouter("named-app", [
+      { name: "home", path: "/", render: () => html`<h1>Home</h1>` },
+      { name: "article", path: "/article/:slug", render: () => html`<h1>Article</h1>` },
+      { name: "search", path: "/search/:query?", render: () => html`<h1>Search</h1>` },
+      { name: "files", path: "/files/:path*", render: () => html`<h1>Files</h1>` },
+      { name: "user", path: "/users/:id/*", render: () => html`<named-user></named-user>` },
+    ]);
+  });
+
+  test("builds a static route", async () => {
+    const el = await fixture(html`<named-app></named-app>`);
+    await el.updateComplete;
+
+    expect(el._router.urlFor("home")).to.equal("/");
+  });
+
+  test("substitutes and encodes required params", async () => {
+    const el = await fixture(html`<named-app></named-app>`);
+    await el.updateComplete;
+
+    expect(el._router.urlFor("article", { slug: "hello world" })).to.equal("/article/hello%20world");
+  });
+
+  test("drops optional params that are not given", async () => {
+    const el = await fixture(html`<named-app></named-app>`);
+    await el.updateComplete;
+
+    expect(el._router.urlFor("search")).to.equal("/search");
+    expect(el._router.urlFor("search", { query: "lit" })).to.equal("/search/lit");
+  });
+
+  test("keeps slashes of rest params", async () => {
+    const el = await fixture(html`<named-app></named-app>`);
+    await el.updateComplete;
+
+    expect(el._router.urlFor("files", { path: "docs/readme.md" })).to.equal("/files/docs/readme.md");
+  });
+
+  test("appends searchParams and hash", async () => {
+    const el = await fixture(html`<named-app></named-app>`);
+    await el.updateComplete;
+
+    const url = el._router.urlFor("article", { slug: "a" }, { searchParams: { tab: "1" }, hash: "top" });
+    expect(url).to.equal("/article/a?tab=1#top");
+  });
+
+  test("throws UrlGenerationError for unknown route names", async () => {
+    const el = await fixture(html`<named-app></named-app>`);
+    await el.updateComplete;
+
+    expect(() => el._router.urlFor("missing"))
+      .to.throw(UrlGenerationError)
+      .with.nested.property("metadata.reason", "unknown-route");
+  });
+
+  test("throws UrlGenerationError for missing required params", async () => {
+    const el = await fixture(html`<named-app></named-app>`);
+    await el.updateComplete;
+
+    expect(() => el._router.urlFor("article"))
+      .to.throw(UrlGenerationError)
+      .with.nested.property("metadata.param", "slug");
+  });
+
+  test("throws UrlGenerationError for params the route does not declare", async () => {
+    const el = await fixture(html`<named-app></named-app>`);
+    await el.updateComplete;
+
+    expect(() => el._router.urlFor("article", { slug: "a", page: 2 }))
+      .to.throw(UrlGenerationError)
+      .with.nested.property("metadata.reason", "unknown-param");
+  });
+
+  test("prefixes nested routes with the parent route path", async () => {
+    const el = await fixture(html`<named-app></named-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/users/7");
+    await waitForElement(el, "#user-home");
+
+    expect(el._router.urlFor("user-posts", { id: 42, postId: 3 })).to.equal("/users/42/posts/3");
+    // Parent params fall back to the currently matched values
+    expect(el._router.urlFor("user-posts")).to.equal("/users/7/posts");
+  });
+
+  test("navigateTo navigates to a named nested route", async () => {
+    const el = await fixture(html`<named-app></named-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/users/7");
+    await waitForElement(el, "#user-home");
+
+    await el.navigator.navigateTo("user-posts", { postId: 3 });
+    await waitForUrl("/users/7/posts/3");
+    await waitForElement(el, "#user-posts");
+
+    expect(el._router.params).to.deep.equal({ id: "7", postId: "3" });
+  });
+});
@@ -0,0 +1,136 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import appRouter from "./test-utils/app-router.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { sleep, waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+suite("Lit Router - Navigation blocking", () => {
+  suiteSetup(() => {
+    nestedRoutes("blocking-form", [
+      { path: "/", render: () => html`<form id="form"></form>` },
+    ]);
+
+    appRouter("blocking-app", [
+      { path: "/", render: () => html`<h1 id="home">Home</h1>` },
+      { path: "/form", render: () => html`<blocking-form></blocking-form>` },
+      { path: "/other", render: () => html`<h1 id="other">Other</h1>` },
+    ]);
+  });
+
+  test("a blocker returning true cancels programmatic navigation", async () => {
+    const el = await fixture(html`<blocking-app></blocking-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/form");
+
+    const transitions = [];
+    const unblock = el._router.addBlocker((transition) => {
+      transitions.push(transition);
+      return true;
+    });
+
+    await el.navigator.navigate("/other");
+    expect(window.location.pathname).to.equal("/form");
+    expect(el.querySelector("#form")).to.exist;
+    expect(transitions).to.deep.equal([
+      { currentUrl: "/form", nextUrl: "/other", action: "push" },
+    ]);
+
+    unblock();
+    await el.navigator.navigate("/other");
+    await waitForElement(el, "#other");
+    expect(window.location.pathname).to.equal("/other");
+  });
+
+  test("async blockers are awaited", async () => {
+    const el = await fixture(html`<blocking-app></blocking-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/form");
+
+    const unblock = el._router.addBlocker(async () => {
+      await sleep(10);
+      return true;
+    });
+
+    await el.navigator.navigate("/other");
+    expect(window.location.pathname).to.equal("/form");
+
+    unblock();
+  });
+
+  test("addBlocker rejects non-function predicates", async () => {
+    const el = await fixture(html`<blocking-app></blocking-app>`);
+    await el.updateComplete;
+
+    expect(() => el._router.addBlocker(null)).to.throw(TypeError);
+  });
+
+  test("a blocked popstate restores the previous URL and keeps the view", async () => {
+    const el = await fixture(html`<blocking-app></blocking-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/");
+    await el.navigator.navigate("/form");
+    await waitForElement(el, "#form");
+
+    const actions = [];
+    const unblock = el._router.addBlocker(({ action }) => {
+      actions.push(action);
+      return true;
+    });
+
+    history.back();
+    await sleep(50);
+
+    expect(actions).to.deep.equal(["pop"]);
+    await waitForUrl("/form");
+    expect(el.querySelector("#form")).to.exist;
+    expect(el._router.pathname).to.equal("/form");
+
+    unblock();
+    history.back();
+    await waitForUrl("/");
+    await waitForElement(el, "#home");
+  });
+
+  test("Navigation.block is removed when its host disconnects", async () => {
+    const el = await fixture(html`<blocking-app></blocking-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/form");
+
+    const form = el.querySelector("blocking-form");
+    let calls = 0;
+    form.navigator.block(() => {
+      calls++;
+      // Blocks only once, so the next attempt disconnects the form.
+      return calls === 1;
+    });
+
+    await el.navigator.navigate("/other");
+    expect(window.location.pathname).to.equal("/form");
+
+    await el.navigator.navigate("/other");
+    await waitForElement(el, "#other");
+
+    await el.navigator.navigate("/");
+    expect(calls).to.equal(2);
+  });
+
+  test("beforeunload is prevented only by beforeUnload blockers", async () => {
+    const el = await fixture(html`<blocking-app></blocking-app>`);
+    await el.updateComplete;
+
+    const unblockPlain = el._router.addBlocker(() => true);
+    let event = new Event("beforeunload", { cancelable: true });
+    window.dispatchEvent(event);
+    expect(event.defaultPrevented).to.be.false;
+
+    const unblockUnload = el._router.addBlocker(
+      ({ action }) => action === "unload",
+      { beforeUnload: true },
+    );
+    event = new Event("beforeunload", { cancelable: true });
+    window.dispatchEvent(event);
+    expect(event.defaultPrevented).to.be.true;
+
+    unblockPlain();
+    unblockUnload();
+  });
+});
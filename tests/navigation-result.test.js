@@ -0,0 +1,195 @@
+import { expect, fixture, html, waitUntil } from "@open-wc/testing";
+import {
+  NavigationResult,
+  RouteNotFoundError,
+  RouterNavigationErrorEvent,
+} from "../src/index.js";
+import appRouter from "./test-utils/app-router.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { sleep, waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+suite("Lit Router - Navigation result", () => {
+  let el;
+
+  suiteSetup(() => {
+    nestedRoutes("result-account", [
+      { path: "/", render: () => html`<p id="account-home"></p>` },
+      {
+        path: "settings",
+        name: "settings",
+        render: () => html`<p id="account-settings"></p>`,
+      },
+    ]);
+
+    appRouter("result-app", [
+      { path: "/", name: "home", render: () => html`<h1 id="home"></h1>` },
+      {
+        path: "/account/*",
+        name: "account",
+        render: () => html`<result-account></result-account>`,
+      },
+      { path: "/old-about", redirect: "/about" },
+      { path: "/about", render: () => html`<h1 id="about"></h1>` },
+      {
+        path: "/private",
+        enter: () => false,
+        render: () => html`<h1 id="private"></h1>`,
+      },
+      {
+        path: "/members",
+        enter: () => {
+          el.navigator.navigate("/about");
+          return false;
+        },
+        render: () => html`<h1 id="members"></h1>`,
+      },
+    ]);
+  });
+
+  setup(async () => {
+    history.replaceState(null, "", "/");
+    el = await fixture(html`<result-app></result-app>`);
+    await waitForElement(el, "#home");
+  });
+
+  test("a committed navigation reports the URL and active routes", async () => {
+    const result = await el.navigator.navigate("/account/settings?tab=2");
+    await waitForElement(el, "#account-settings");
+
+    expect(result).to.be.instanceOf(NavigationResult);
+    expect(result.status).to.equal("committed");
+    expect(result.url).to.equal("/account/settings?tab=2");
+    expect(result.routes[0].name).to.equal("account");
+    expect(result.redirects).to.deep.equal([]);
+    expect(result.navId).to.be.a("number");
+    expect(result.timing.duration).to.be.at.least(0);
+    expect(result.timing.end).to.be.at.least(result.timing.start);
+  });
+
+  test("redirect hops are listed", async () => {
+    const result = await el.navigator.navigate("/old-about");
+
+    expect(result.status).to.equal("committed");
+    expect(result.url).to.equal("/about");
+    expect(result.redirects).to.deep.equal(["/old-about"]);
+  });
+
+  test("navigating to the current URL is a noop", async () => {
+    const result = await el.navigator.navigate("/");
+
+    expect(result.status).to.equal("noop");
+    expect(result.routes.map((r) => r.name)).to.deep.equal(["home"]);
+  });
+
+  test("guards and blockers cancel", async () => {
+    const guarded = await el.navigator.navigate("/private");
+    expect(guarded.status).to.equal("cancelled");
+    expect(guarded.routes).to.deep.equal([]);
+
+    const unblock = el.navigator.block(() => true);
+    const blocked = await el.navigator.navigate("/about");
+    unblock();
+
+    expect(blocked.status).to.equal("cancelled");
+    expect(blocked.navId).to.be.null;
+    expect(window.location.pathname).to.equal("/");
+  });
+
+  test("a redirect from an enter guard supersedes the navigation", async () => {
+    const result = await el.navigator.navigate("/members");
+    await waitForElement(el, "#about");
+
+    expect(result.status).to.equal("superseded");
+  });
+
+  test("a newer navigation supersedes an older one", async () => {
+    const first = el.navigator.navigate("/account/settings");
+    const second = el.navigator.navigate("/about");
+
+    expect((await first).status).to.equal("superseded");
+    expect((await second).status).to.equal("committed");
+  });
+
+  test("failures resolve with the error and leave the URL", async () => {
+    const result = await el.navigator.navigate("/missing");
+
+    expect(result.status).to.equal("not-found");
+    expect(result.url).to.equal("/missing");
+    expect(result.error).to.be.instanceOf(RouteNotFoundError);
+    expect(window.location.pathname).to.equal("/");
+  });
+
+  test("push and pop return the result", async () => {
+    await el.navigator.navigate("/account");
+    await waitForElement(el, "#account-home");
+    const account = el.querySelector("result-account");
+
+    const pushed = await el.navigator.push("./settings");
+    expect(pushed.status).to.equal("committed");
+    expect(pushed.url).to.equal("/account/settings");
+
+    const popped = await account.navigator.pop();
+    expect(popped.status).to.equal("committed");
+    expect(popped.url).to.equal("/account");
+
+    const root = await el.navigator.pop();
+    expect(root.status).to.equal("noop");
+  });
+
+  test("Back onto a failing or guarded entry puts the current one back", async () => {
+    const errors = [];
+    const onError = (e) => {
+      e.preventDefault();
+      errors.push(e.error);
+    };
+    el.addEventListener(RouterNavigationErrorEvent.eventName, onError);
+    try {
+      // Entries the router made, rewritten to URLs it cannot show.
+      await el.navigator.navigate("/about");
+      history.replaceState(history.state, "", "/missing");
+      await el.navigator.navigate("/account");
+      await waitForElement(el, "#account-home");
+
+      history.back();
+      await waitUntil(() => errors.length === 1, "no error reported");
+      expect(errors[0]).to.be.instanceOf(RouteNotFoundError);
+      await waitForUrl("/account");
+      expect(el._router.pathname).to.equal("/account");
+
+      await el.navigator.navigate("/about");
+      history.replaceState(history.state, "", "/private");
+      await el.navigator.navigate("/account");
+      await waitForElement(el, "#account-home");
+
+      history.back();
+      await sleep(50);
+      await waitForUrl("/account");
+      expect(el._router.pathname).to.equal("/account");
+      expect(el.querySelector("#account-home")).to.exist;
+      expect(errors).to.have.length(1);
+    } finally {
+      el.removeEventListener(RouterNavigationErrorEvent.eventName, onError);
+    }
+  });
+
+  test("a failing initial navigation is reported on the host", async () => {
+    el.remove();
+    history.replaceState(null, "", "/missing");
+    const reported = new Promise((resolve) => {
+      window.addEventListener(
+        RouterNavigationErrorEvent.eventName,
+        (e) => {
+          e.preventDefault();
+          resolve(e);
+        },
+        { once: true },
+      );
+    });
+    el = await fixture(html`<result-app></result-app>`);
+
+    const event = await reported;
+    expect(event.target).to.equal(el);
+    expect(event.error).to.be.instanceOf(RouteNotFoundError);
+    expect(event.url).to.equal("/missing");
+  });
+});
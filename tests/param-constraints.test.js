@@ -0,0 +1,92 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import appRouter from "./test-utils/app-router.js";
+import { Route } from "../src/index.js";
+
+const UUID = "0b6f9c2e-3d1a-4c59-9d6e-1f2a3b4c5d6e";
+
+suite("Lit Router - Param constraints", () => {
+  let el;
+
+  suiteSetup(() => {
+    appRouter("constraints-app", [
+      { name: "home", path: "/", render: () => html`<h1>home</h1>` },
+      // Declared first: the constrained route must still win for digits.
+      { name: "post-slug", path: "/post/:slug", render: () => html`<h1>post-slug</h1>` },
+      { name: "post-id", path: "/post/:id(\\d+)", render: () => html`<h1>post-id</h1>` },
+      { name: "file", path: "/file/:name.:ext(json|xml)", render: () => html`<h1>file</h1>` },
+      { name: "order", path: "/orders/:id<uuid>", render: () => html`<h1>order</h1>` },
+      { name: "archive", path: "/archive/:year(\\d{4})?", render: () => html`<h1>archive</h1>` },
+      { name: "fallback", path: "/*", render: () => html`<h1>fallback</h1>` },
+    ]);
+  });
+
+  setup(async () => {
+    history.replaceState(null, "", "/");
+    el = await fixture(html`<constraints-app></constraints-app>`);
+    // Matchers may be defined after the routes, before they are tested.
+    el._router.defineParam("uuid", /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    await el.updateComplete;
+  });
+
+  const visit = async (pathname) => {
+    await el.navigator.navigate(pathname);
+    await el.updateComplete;
+    return el.querySelector("h1").innerText;
+  };
+
+  test("a regex-constrained param beats a plain one", async () => {
+    expect(await visit("/post/42")).to.equal("post-id");
+    expect(el._router.params).to.deep.equal({ id: "42" });
+
+    expect(await visit("/post/hello")).to.equal("post-slug");
+    expect(el._router.params).to.deep.equal({ slug: "hello" });
+  });
+
+  test("params can share a segment with static text", async () => {
+    expect(await visit("/file/report.v2.json")).to.equal("file");
+    expect(el._router.params).to.deep.equal({ name: "report.v2", ext: "json" });
+
+    expect(await visit("/file/report.txt")).to.equal("fallback");
+  });
+
+  test("named matchers constrain params", async () => {
+    expect(await visit(`/orders/${UUID}`)).to.equal("order");
+    expect(el._router.params).to.deep.equal({ id: UUID });
+
+    expect(await visit("/orders/123")).to.equal("fallback");
+  });
+
+  test("a constrained param can be optional", async () => {
+    expect(await visit("/archive")).to.equal("archive");
+    expect(await visit("/archive/2024")).to.equal("archive");
+    expect(el._router.params).to.deep.equal({ year: "2024" });
+
+    expect(await visit("/archive/24")).to.equal("fallback");
+  });
+
+  test("named routes build URLs from composite segments", () => {
+    expect(el._router.urlFor("file", { name: "report", ext: "xml" })).to.equal(
+      "/file/report.xml",
+    );
+    expect(el._router.urlFor("archive")).to.equal("/archive");
+  });
+
+  test("constrained params score between plain params and static segments", () => {
+    const score = (path) => new Route({ path, render: () => null }).pattern.score;
+
+    expect(score("/post/:id(\\d+)")).to.be.greaterThan(score("/post/:slug"));
+    expect(score("/post/:id<uuid>")).to.equal(score("/post/:id(\\d+)"));
+    expect(score("/post/new")).to.be.greaterThan(score("/post/:id(\\d+)"));
+    expect(score("/post/:id(\\d+)/:tab")).to.be.greaterThan(
+      score("/post/:id(\\d+)"),
+    );
+  });
+
+  test("an unknown matcher fails when the route is first tested", () => {
+    const route = new Route({ path: "/items/:id<nope>", render: () => null });
+    expect(() => route.testPathname("/items/1")).to.throw(
+      TypeError,
+      /Unknown param matcher "nope"/,
+    );
+  });
+});
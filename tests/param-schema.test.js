@@ -0,0 +1,75 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import appRouter from "./test-utils/app-router.js";
+
+suite("Lit Router - Route param schemas", () => {
+  let enterParams = null;
+  let renderParams = null;
+
+  suiteSetup(() => {
+    appRouter("schema-app", [
+      { name: "home", path: "/", render: () => html`<h1>home</h1>` },
+      {
+        name: "user",
+        path: "/user/:id",
+        params: { id: "int" },
+        enter: ({ params }) => { enterParams = params; },
+        render: ({ params }) => { renderParams = params; return html`<h1>user</h1>`; },
+      },
+      { name: "user-slug", path: "/user/:slug", params: { slug: /^[a-z-]+$/ }, render: () => html`<h1>user-slug</h1>` },
+      { name: "list", path: "/list/:page?", params: { page: { type: "number", default: 1 } }, render: () => html`<h1>list</h1>` },
+      { name: "fallback", path: "/*", render: () => html`<h1>fallback</h1>` },
+    ]);
+  });
+
+  setup(() => {
+    enterParams = null;
+    renderParams = null;
+  });
+
+  test("hands typed params to enter, render and Router.params", async () => {
+    const el = await fixture(html`<schema-app></schema-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/user/42");
+    await el.updateComplete;
+
+    expect(el.querySelector("h1").innerText).to.equal("user");
+    expect(enterParams).to.deep.equal({ id: 42 });
+    expect(renderParams).to.deep.equal({ id: 42 });
+    expect(el._router.params).to.deep.equal({ id: 42 });
+  });
+
+  test("skips routes whose params fail validation", async () => {
+    const el = await fixture(html`<schema-app></schema-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/user/abc");
+    await el.updateComplete;
+
+    expect(el.querySelector("h1").innerText).to.equal("user-slug");
+    expect(el._router.params).to.deep.equal({ slug: "abc" });
+  });
+
+  test("falls through to the next candidate when no schema accepts the params", async () => {
+    const el = await fixture(html`<schema-app></schema-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/user/Not_Valid");
+    await el.updateComplete;
+
+    expect(el.querySelector("h1").innerText).to.equal("fallback");
+  });
+
+  test("applies defaults to missing optional params", async () => {
+    const el = await fixture(html`<schema-app></schema-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/list");
+    await el.updateComplete;
+    expect(el._router.params).to.deep.equal({ page: 1 });
+
+    await el.navigator.navigate("/list/3");
+    await el.updateComplete;
+    expect(el._router.params).to.deep.equal({ page: 3 });
+  });
+});
@@ -0,0 +1,180 @@
+import { expect } from "@open-wc/testing";
+import { getPattern, routerScorer } from "../src/util/getPattern.js";
+
+/**
+ * The examples of PATH-SPEC.md, one row per pattern and pathname: the params
+ * the pattern extracts, or null when it must not match.
+ */
+const MATRIX = [
+  // Root Route
+  [" ", "/", {}],
+  ["", "/", {}],
+  ["/", "/", {}],
+  ["/", "/about", null],
+
+  // Static Segments
+  ["/about", "/about", {}],
+  ["/about", "/about/", {}],
+  ["/about", "/about/license", null],
+  ["/about/license", "/about/license", {}],
+  ["/contact/", "/contact", {}],
+
+  // Dynamic Segments
+  ["/user/:userId", "/user/123", { userId: "123" }],
+  ["/user/:userId", "/user", null],
+  ["/post/:article_title", "/post/lit-router-docs", { article_title: "lit-router-docs" }],
+  ["/user/:userId/profile", "/user/123/profile", { userId: "123" }],
+  [
+    "/:postId/sections/:sectionId/edit",
+    "/08372/sections/1253/edit",
+    { postId: "08372", sectionId: "1253" },
+  ],
+
+  // Optional Parameters
+  ["/search/:query?", "/search", { query: "" }],
+  ["/search/:query?", "/search/react", { query: "react" }],
+  ["/search/:query?", "/searchreact", null],
+  ["/dashboard/:widget?/details", "/dashboard/funnel/details", { widget: "funnel" }],
+  ["/dashboard/:widget?/details", "/dashboard/details", { widget: "" }],
+  ["/dashboard/:widget?/details", "/dashboarddetails", null],
+
+  // Optional Segments (Static)
+  ["/dashboard/legacy?", "/dashboard", {}],
+  ["/dashboard/legacy?", "/dashboard/legacy", {}],
+  ["/dashboard/legacy?", "/dashboardlegacy", null],
+  ["/module/legacy?/link", "/module/link", {}],
+  ["/module/legacy?/link", "/module/legacy/link", {}],
+  ["/another/optional?/segment", "/another/segment", {}],
+  ["/another/optional?/segment", "/another/optional/segment", {}],
+
+  // Optional Groups
+  ["/:lang?/docs/:page", "/docs/intro", { lang: "", page: "intro" }],
+  ["/:lang?/docs/:page", "/en/docs/intro", { lang: "en", page: "intro" }],
+  ["/:lang?/docs/:page", "/en/fr/docs/intro", null],
+  ["/archive{/:year{/:month}}", "/archive", { year: "", month: "" }],
+  ["/archive{/:year{/:month}}", "/archive/2024", { year: "2024", month: "" }],
+  ["/archive{/:year{/:month}}", "/archive/2024/05", { year: "2024", month: "05" }],
+  ["/archive{/:year{/:month}}", "/archive/2024/05/01", null],
+  ["/shop{/category/:slug}/items", "/shop/items", { slug: "" }],
+  ["/shop{/category/:slug}/items", "/shop/category/tools/items", { slug: "tools" }],
+  ["/shop{/category/:slug}/items", "/shop/tools/items", null],
+  ["{/:lang}/blog/:post", "/fr/blog/hello", { lang: "fr", post: "hello" }],
+  ["{/:lang}/blog/:post", "/blog/hello", { lang: "", post: "hello" }],
+  ["/:a?/:b?/end", "/end", { a: "", b: "" }],
+  ["/:a?/:b?/end", "/x/end", { a: "x", b: "" }],
+  ["/:a?/:b?/end", "/x/y/end", { a: "x", b: "y" }],
+
+  // Param Constraints
+  ["/user/:id(\\d+)", "/user/42", { id: "42" }],
+  ["/user/:id(\\d+)", "/user/bob", null],
+  ["/file/:name.:ext(json|xml)", "/file/report.v2.json", { name: "report.v2", ext: "json" }],
+  ["/file/:name.:ext(json|xml)", "/file/report.txt", null],
+  ["/archive/:year(\\d{4})?", "/archive", { year: "" }],
+  ["/archive/:year(\\d{4})?", "/archive/2024", { year: "2024" }],
+  ["/archive/:year(\\d{4})?", "/archive/24", null],
+
+  // Wildcard Segments
+  [
+    "/post/:postId/*",
+    "/post/1230/getting-started/lit",
+    { postId: "1230", 0: "/getting-started/lit" },
+  ],
+  ["/landing/articles/*", "/landing/articles/a/b", { 0: "/a/b" }],
+  ["/landing/articles/*", "/landing/articles", { 0: "" }],
+  [
+    "*/license",
+    "/lit-router/packages/router/license",
+    { 0: "/lit-router/packages/router" },
+  ],
+
+  // Catch-All Routes
+  ["*", "/anything/at/all", { 0: "/anything/at/all" }],
+  ["/*", "/", { 0: "/" }],
+  ["/:catchAll*", "/missing/page", { catchAll: "missing/page" }],
+  ["/files/:rest*", "/files/a", { rest: "a" }],
+  ["/files/:rest*", "/files", null],
+];
+
+suite("PATH-SPEC conformance", () => {
+  for (const [path, pathname, expected] of MATRIX) {
+    const label = expected
+      ? `"${path}" matches "${pathname}"`
+      : `"${path}" does not match "${pathname}"`;
+
+    test(label, () => {
+      const match = getPattern({ path }).exec(pathname);
+      expect(match?.pathname.groups ?? null).to.deep.equal(expected);
+    });
+  }
+
+  suite("building paths", () => {
+    const build = (path, params) => getPattern({ path }).build(params).pathname;
+
+    test("keeps an optional group only when all its params are given", () => {
+      expect(build("/archive{/:year{/:month}}", {})).to.equal("/archive");
+      expect(build("/archive{/:year{/:month}}", { year: "2024" })).to.equal(
+        "/archive/2024",
+      );
+      expect(
+        build("/archive{/:year{/:month}}", { year: "2024", month: "05" }),
+      ).to.equal("/archive/2024/05");
+      expect(build("/archive{/:year{/:month}}", { month: "05" })).to.equal(
+        "/archive",
+      );
+    });
+
+    test("fills optional params in any position", () => {
+      expect(build("/:lang?/docs/:page", { page: "intro" })).to.equal(
+        "/docs/intro",
+      );
+      expect(build("/:lang?/docs/:page", { lang: "en", page: "intro" })).to.equal(
+        "/en/docs/intro",
+      );
+    });
+
+    test("drops optional static segments", () => {
+      expect(build("/module/legacy?/link", {})).to.equal("/module/link");
+      expect(build("/shop{/category/:slug}/items", { slug: "tools" })).to.equal(
+        "/shop/category/tools/items",
+      );
+    });
+  });
+
+  suite("precedence", () => {
+    const rank = (...paths) =>
+      paths
+        .map((path) => ({ path, score: routerScorer.scoreRoute(path).score }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ path }) => path);
+
+    test("follows static > dynamic > optional > wildcard > catch-all", () => {
+      expect(
+        rank("/*", "/docs/*", "/docs/:page?", "/docs/:page", "/docs/intro"),
+      ).to.deep.equal([
+        "/docs/intro",
+        "/docs/:page",
+        "/docs/:page?",
+        "/docs/*",
+        "/*",
+      ]);
+    });
+
+    test("scores every segment of an optional group as optional", () => {
+      expect(rank("/docs{/guide/:page}", "/docs/guide/:page")).to.deep.equal([
+        "/docs/guide/:page",
+        "/docs{/guide/:page}",
+      ]);
+      expect(rank("/docs/legacy?", "/docs/legacy")).to.deep.equal([
+        "/docs/legacy",
+        "/docs/legacy?",
+      ]);
+    });
+
+    test("ranks a mid-path optional below its required form", () => {
+      expect(rank("/:lang?/docs/:page", "/:lang/docs/:page")).to.deep.equal([
+        "/:lang/docs/:page",
+        "/:lang?/docs/:page",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { expect, fixture, html, waitUntil } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import { waitForElement } from "./test-utils/wait.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+suite("Lit Router - Pending state", () => {
+  let release;
+
+  suiteSetup(() => {
+    const routes = [
+      { path: "/", render: () => html`<h1 id="home"></h1>` },
+      {
+        path: "/slow",
+        load: () => new Promise((resolve) => (release = resolve)),
+        render: () => html`<h1 id="slow"></h1>`,
+      },
+      {
+        path: "/timed/:ms",
+        load: ({ params }) => sleep(Number(params.ms)),
+        render: () => html`<h1 id="timed"></h1>`,
+      },
+    ];
+
+    const define = (name, options) =>
+      customElements.define(
+        name,
+        class extends LitElement {
+          _router = new Router(this, routes);
+
+          navigator = new Navigation(this, options);
+
+          /** @type {string[]} */
+          states = [];
+
+          createRenderRoot() {
+            return this;
+          }
+
+          updated() {
+            if (this.states.at(-1) !== this.navigator.state) {
+              this.states.push(this.navigator.state);
+            }
+          }
+
+          render() {
+            return html`<span id="state">${this.navigator.state}</span>
+              ${this._router.outlet()}`;
+          }
+        },
+      );
+
+    define("pending-app");
+    define("pending-delayed-app", { pendingDelay: 50, pendingMinDuration: 200 });
+  });
+
+  setup(() => {
+    release = null;
+    history.replaceState(null, "", "/");
+  });
+
+  test("is loading while guards and loaders run", async () => {
+    const el = await fixture(html`<pending-app></pending-app>`);
+    await waitForElement(el, "#home");
+    expect(el.navigator.state).to.equal("idle");
+    expect(el.navigator.pendingLocation).to.be.null;
+
+    const navigation = el.navigator.navigate("/slow?tab=1");
+    await el.updateComplete;
+
+    expect(el.navigator.state).to.equal("loading");
+    expect(el.navigator.pendingLocation).to.equal("/slow?tab=1");
+    expect(el._router.navigationState).to.equal("loading");
+    expect(el.querySelector("#state").textContent).to.equal("loading");
+
+    await waitUntil(() => release, "loader should run");
+    release();
+    await navigation;
+    await el.updateComplete;
+
+    expect(el.navigator.state).to.equal("idle");
+    expect(el.navigator.pendingLocation).to.be.null;
+    expect(el.querySelector("#state").textContent).to.equal("idle");
+  });
+
+  test("navigations started with submit are submitting", async () => {
+    const el = await fixture(html`<pending-app></pending-app>`);
+    await waitForElement(el, "#home");
+
+    const navigation = el.navigator.navigate("/slow", { submit: true });
+    expect(el.navigator.state).to.equal("submitting");
+
+    await waitUntil(() => release, "loader should run");
+    release();
+    await navigation;
+    expect(el.navigator.state).to.equal("idle");
+    expect(el._router.extraParams).to.not.have.property("submit");
+  });
+
+  test("a newer navigation keeps the state pending", async () => {
+    const el = await fixture(html`<pending-app></pending-app>`);
+    await waitForElement(el, "#home");
+
+    const first = el.navigator.navigate("/slow");
+    const second = el.navigator.navigate("/timed/10");
+    expect(el.navigator.pendingLocation).to.equal("/timed/10");
+
+    await first;
+    expect(el.navigator.state).to.equal("loading");
+    await second;
+    expect(el.navigator.state).to.equal("idle");
+  });
+
+  test("pendingDelay hides navigations that settle quickly", async () => {
+    const el = await fixture(html`<pending-delayed-app></pending-delayed-app>`);
+    await waitForElement(el, "#home");
+    el.states = [];
+
+    await el.navigator.navigate("/timed/0");
+    await sleep(80);
+
+    expect(el.states).to.not.include("loading");
+    expect(el.navigator.state).to.equal("idle");
+  });
+
+  test("pendingMinDuration keeps a shown indicator up", async () => {
+    const el = await fixture(html`<pending-delayed-app></pending-delayed-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/timed/100");
+    // Shown at ~50ms, the navigation ends at ~100ms: held until ~250ms.
+    expect(el.navigator.state).to.equal("loading");
+
+    await sleep(300);
+    expect(el.navigator.state).to.equal("idle");
+    expect(el.states.slice(-2)).to.deep.equal(["loading", "idle"]);
+  });
+});
@@ -0,0 +1,280 @@
+import { expect, fixture, html, waitUntil } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import "../src/contrib/lit-router-link.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { sleep, waitForElement } from "./test-utils/wait.js";
+
+suite("Lit Router - Prefetching", () => {
+  let loads;
+  let signals;
+  let imports;
+  let el;
+
+  const load =
+    (name) =>
+    ({ params, signal }) => {
+      loads.push(`${name} ${JSON.stringify(params)}`);
+      signals.push(signal);
+      return sleep(10).then(() => `${name} data`);
+    };
+
+  suiteSetup(() => {
+    nestedRoutes("prefetch-users", [
+      { path: "/", render: () => html`<p id="user-list"></p>` },
+      {
+        path: "/:id",
+        load: load("user"),
+        render: () => html`<p id="user"></p>`,
+      },
+    ]);
+
+    const routes = [
+      { path: "/", render: () => html`<h1 id="home"></h1>` },
+      {
+        path: "/posts",
+        load: load("posts"),
+        render: () => html`<h1 id="posts"></h1>`,
+      },
+      {
+        path: "/users/*",
+        load: load("users"),
+        render: () => html`<prefetch-users></prefetch-users>`,
+      },
+      {
+        path: "/lazy",
+        component: () => {
+          imports++;
+          return import("./test-utils/lazy-page.js");
+        },
+        render: () => html`<lazy-page></lazy-page>`,
+      },
+      { path: "/old-posts", redirect: "/posts" },
+    ];
+
+    const define = (name, options) =>
+      customElements.define(
+        name,
+        class extends LitElement {
+          _router = new Router(this, routes, options);
+
+          navigator = new Navigation(this);
+
+          createRenderRoot() {
+            return this;
+          }
+
+          render() {
+            return html`<a id="posts-link" href="/posts">Posts</a>
+              <a id="ignored-link" href="/posts" prefetch="none">Posts</a>
+              <lit-router-link id="viewport-link" to="/posts" prefetch="viewport"
+                >Posts</lit-router-link
+              >
+              ${this._router.outlet()}`;
+          }
+        },
+      );
+
+    define("prefetch-app", { prefetch: { mode: "intent", ttl: 200 } });
+    define("prefetch-off-app");
+  });
+
+  setup(async () => {
+    loads = [];
+    signals = [];
+    imports = 0;
+    history.replaceState(null, "", "/");
+    el = await fixture(html`<prefetch-app></prefetch-app>`);
+    await waitForElement(el, "#home");
+  });
+
+  test("prefetch runs the loader and the navigation reuses it", async () => {
+    await el._router.prefetch("/posts");
+    expect(loads).to.deep.equal(["posts {}"]);
+
+    await el.navigator.navigate("/posts");
+    await waitForElement(el, "#posts");
+    expect(loads).to.deep.equal(["posts {}"]);
+    expect(el._router.data).to.equal("posts data");
+  });
+
+  test("repeated prefetches of a URL are deduplicated", async () => {
+    const first = el._router.prefetch("/posts");
+    const second = el._router.prefetch("/posts#top");
+    expect(second).to.equal(first);
+    await first;
+
+    await el._router.prefetch("/posts");
+    expect(loads).to.have.length(1);
+  });
+
+  test("a navigation reuses a prefetch only for the same extra params", async () => {
+    await el._router.prefetch("/posts", { from: "nav" });
+    await el.navigator.navigate("/posts", { from: "nav" });
+    await waitForElement(el, "#posts");
+    expect(loads).to.have.length(1);
+
+    await el.navigator.navigate("/");
+    await el._router.prefetch("/posts");
+    await el.navigator.navigate("/posts", { from: "footer" });
+    await waitForElement(el, "#posts");
+    expect(loads).to.have.length(3);
+  });
+
+  test("other navigations keep a prefetch, reaching it drops it", async () => {
+    const first = el._router.prefetch("/posts");
+    await el.navigator.navigate("/users/1");
+    await waitForElement(el, "#user");
+    expect(el._router.prefetch("/posts")).to.equal(first);
+
+    await el.navigator.navigate("/posts");
+    await waitForElement(el, "#posts");
+    expect(el._router.prefetch("/posts")).not.to.equal(first);
+  });
+
+  test("an unused prefetch expires after its ttl", async () => {
+    await el._router.prefetch("/posts");
+    await sleep(250);
+    expect(signals[0].aborted).to.be.true;
+
+    await el.navigator.navigate("/posts");
+    await waitForElement(el, "#posts");
+    expect(loads).to.have.length(2);
+    expect(signals[1].aborted).to.be.false;
+  });
+
+  test("a prefetch taken by a navigation is never expired", async () => {
+    await el._router.prefetch("/posts");
+    await el.navigator.navigate("/posts");
+    await sleep(250);
+    expect(signals[0].aborted).to.be.false;
+  });
+
+  test("disconnecting the router aborts unused prefetches", async () => {
+    await el._router.prefetch("/posts");
+    el.remove();
+    expect(signals[0].aborted).to.be.true;
+  });
+
+  test("nested levels are warmed with the params of the whole chain", async () => {
+    await el.navigator.navigate("/users");
+    await waitForElement(el, "#user-list");
+    loads = [];
+
+    await el._router.prefetch("/users/7");
+    // The parent's data is already loaded for these params.
+    expect(loads).to.deep.equal(['user {"id":"7"}']);
+
+    await el.navigator.navigate("/users/7");
+    await waitForElement(el, "#user");
+    expect(loads).to.deep.equal(['user {"id":"7"}']);
+  });
+
+  test("lazy components are imported ahead of time", async () => {
+    await el._router.prefetch("/lazy");
+    expect(imports).to.equal(1);
+    expect(customElements.get("lazy-page")).to.exist;
+
+    await el.navigator.navigate("/lazy");
+    await waitForElement(el, "lazy-page h1");
+    expect(imports).to.equal(1);
+  });
+
+  test("redirecting routes are not warmed", async () => {
+    await el._router.prefetch("/old-posts");
+    expect(loads).to.deep.equal([]);
+  });
+
+  test("hovering a link prefetches it after the intent delay", async () => {
+    const link = el.querySelector("#posts-link");
+    link.dispatchEvent(new MouseEvent("mouseover", { bubbles: true, composed: true }));
+    link.dispatchEvent(new MouseEvent("mouseout", { bubbles: true, composed: true }));
+    await sleep(80);
+    expect(loads).to.deep.equal([]);
+
+    link.dispatchEvent(new MouseEvent("mouseover", { bubbles: true, composed: true }));
+    await waitUntil(() => loads.length === 1, "hover should prefetch");
+    expect(loads).to.deep.equal(["posts {}"]);
+  });
+
+  test("focusing a link prefetches it at once", async () => {
+    el.querySelector("#posts-link").dispatchEvent(
+      new FocusEvent("focusin", { bubbles: true, composed: true }),
+    );
+    // No intent delay: the loader starts on the next microtask.
+    await Promise.resolve();
+    expect(loads).to.deep.equal(["posts {}"]);
+  });
+
+  test('links with prefetch="none" are left alone', async () => {
+    el.querySelector("#ignored-link").dispatchEvent(
+      new FocusEvent("focusin", { bubbles: true, composed: true }),
+    );
+    await sleep(80);
+    expect(loads).to.deep.equal([]);
+  });
+
+  test("without the option links are not prefetched", async () => {
+    el.remove();
+    const off = await fixture(html`<prefetch-off-app></prefetch-off-app>`);
+    await waitForElement(off, "#home");
+
+    off.querySelector("#posts-link").dispatchEvent(
+      new FocusEvent("focusin", { bubbles: true, composed: true }),
+    );
+    await sleep(80);
+    expect(loads).to.deep.equal([]);
+  });
+
+  suite("viewport", () => {
+    let observed;
+    let callback;
+    let OriginalObserver;
+
+    suiteSetup(() => {
+      OriginalObserver = globalThis.IntersectionObserver;
+      globalThis.IntersectionObserver = class {
+        constructor(cb) {
+          callback = cb;
+        }
+
+        observe(target) {
+          observed.add(target);
+        }
+
+        unobserve(target) {
+          observed.delete(target);
+        }
+
+        disconnect() {
+          observed.clear();
+        }
+      };
+    });
+
+    suiteTeardown(() => {
+      globalThis.IntersectionObserver = OriginalObserver;
+    });
+
+    setup(async () => {
+      observed = new Set();
+      history.replaceState(null, "", "/");
+      loads = [];
+      el = await fixture(html`<prefetch-app></prefetch-app>`);
+      await waitForElement(el, "#home");
+      await el.querySelector("#viewport-link").updateComplete;
+    });
+
+    test("a link entering the viewport is prefetched once", async () => {
+      const anchor = el
+        .querySelector("#viewport-link")
+        .shadowRoot.querySelector("a");
+      expect(observed.has(anchor)).to.be.true;
+
+      callback([{ target: anchor, isIntersecting: true }]);
+      await Promise.resolve();
+      expect(loads).to.deep.equal(["posts {}"]);
+      expect(observed.has(anchor)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import { RedirectLoopError, RouterNavigationErrorEvent } from "../src/index.js";
+import appRouter from "./test-utils/app-router.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+suite("Lit Router - Redirect routes", () => {
+  suiteSetup(() => {
+    nestedRoutes("redirect-settings", [
+      { path: "/", redirect: "profile" },
+      { path: "profile", render: () => html`<p id="settings-profile"></p>` },
+      { path: "legacy/*", redirect: "/docs/*" },
+    ]);
+
+    appRouter("redirect-app", [
+      { path: "/", render: () => html`<h1 id="home">Home</h1>` },
+      { path: "/old-users/:id", redirect: "/users/:id" },
+      {
+        path: "/users/:id",
+        render: ({ params }) => html`<h1 id="user-${params.id}"></h1>`,
+      },
+      { path: "/guide/*", redirect: "/docs/*" },
+      {
+        path: "/docs/*",
+        render: () => html`<h1 id="docs"></h1>`,
+      },
+      {
+        path: "/search/:term",
+        redirect: ({ params }) => `/docs/search?q=${params.term}`,
+      },
+      {
+        path: "/settings/*",
+        render: () => html`<redirect-settings></redirect-settings>`,
+      },
+      { path: "/loop-a", redirect: "/loop-b" },
+      { path: "/loop-b", redirect: "/loop-a" },
+    ]);
+  });
+
+  setup(() => {
+    history.replaceState(null, "", "/");
+  });
+
+  test("fills matched params into the target", async () => {
+    const el = await fixture(html`<redirect-app></redirect-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/old-users/7?tab=posts");
+    await waitForElement(el, "#user-7");
+
+    expect(el._router.pathname).to.equal("/users/7");
+    expect(window.location.pathname).to.equal("/users/7");
+    expect(window.location.search).to.equal("?tab=posts");
+  });
+
+  test("passes the matched tail to a wildcard target", async () => {
+    const el = await fixture(html`<redirect-app></redirect-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/guide/getting-started/install#npm");
+    await waitForElement(el, "#docs");
+
+    expect(window.location.pathname).to.equal("/docs/getting-started/install");
+    expect(window.location.hash).to.equal("#npm");
+  });
+
+  test("function targets build the whole href", async () => {
+    const el = await fixture(html`<redirect-app></redirect-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/search/lit");
+    await waitForElement(el, "#docs");
+
+    expect(window.location.pathname).to.equal("/docs/search");
+    expect(el._router.searchParams).to.deep.equal({ q: "lit" });
+  });
+
+  test("the redirected URL never enters the history", async () => {
+    const el = await fixture(html`<redirect-app></redirect-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/users/1");
+    await waitForElement(el, "#user-1");
+    await el.navigator.navigate("/old-users/2");
+    await waitForElement(el, "#user-2");
+
+    history.back();
+    await waitForElement(el, "#user-1");
+    expect(window.location.pathname).to.equal("/users/1");
+  });
+
+  test("replaces the URL when the page loads on a redirect", async () => {
+    history.replaceState(null, "", "/old-users/5");
+    const el = await fixture(html`<redirect-app></redirect-app>`);
+    await waitForElement(el, "#user-5");
+    await waitForUrl("/users/5");
+
+    expect(history.state.index).to.equal(0);
+  });
+
+  test("nested routes redirect relative to their parent", async () => {
+    const el = await fixture(html`<redirect-app></redirect-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/settings");
+    await waitForElement(el, "#settings-profile");
+    await waitForUrl("/settings/profile");
+
+    history.back();
+    await waitForElement(el, "#home");
+  });
+
+  test("nested routes can redirect to an absolute target", async () => {
+    const el = await fixture(html`<redirect-app></redirect-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/settings/legacy/routing");
+    await waitForElement(el, "#docs");
+    await waitForUrl("/docs/routing");
+  });
+
+  test("a redirect cycle fails with RedirectLoopError", async () => {
+    const el = await fixture(html`<redirect-app></redirect-app>`);
+    await waitForElement(el, "#home");
+
+    const result = await el._router.navigate("/loop-a");
+    const { error } = result;
+
+    expect(result.status).to.equal("error");
+    expect(error).to.be.instanceOf(RedirectLoopError);
+    expect(error.metadata.chain).to.deep.equal(["/loop-a", "/loop-b"]);
+    expect(error.metadata.redirectTo).to.equal("/loop-a");
+    expect(window.location.pathname).to.equal("/");
+  });
+
+  test("Back onto a redirect cycle reports RedirectLoopError", async () => {
+    const el = await fixture(html`<redirect-app></redirect-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/users/1");
+    // The entry the router made for /users/1 now leads into the cycle.
+    history.replaceState(history.state, "", "/loop-a");
+    await el.navigator.navigate("/users/2");
+    await waitForElement(el, "#user-2");
+
+    const reported = new Promise((resolve) => {
+      el.addEventListener(
+        RouterNavigationErrorEvent.eventName,
+        (e) => {
+          e.preventDefault();
+          resolve(e);
+        },
+        { once: true },
+      );
+    });
+    history.back();
+
+    const { error } = await reported;
+    expect(error).to.be.instanceOf(RedirectLoopError);
+    expect(error.metadata.chain).to.deep.equal(["/loop-a", "/loop-b"]);
+    await waitForUrl("/users/2");
+    expect(el.querySelector("#user-2")).to.exist;
+  });
+});
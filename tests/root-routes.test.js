@@ -76,18 +76,14 @@ suite("Lit Router - Match special paths & exact paths", () => {
     expect(el.querySelector("h1").innerText).to.equal("exact");
   });
 
-  test("navigating to an unmatched path throws RouteNotFoundError and clears the DOM", async () => {
+  test("navigating to an unmatched path fails with RouteNotFoundError and clears the DOM", async () => {
     const el = await fixture(html`<my-app></my-app>`);
     await el.updateComplete;
 
-    let caughtError = null;
-    try {
-      await el.navigator.navigate("/unknown");
-    } catch (err) {
-      caughtError = err;
-    }
+    const result = await el.navigator.navigate("/unknown");
+    const caughtError = result.error;
 
-    expect(caughtError).to.not.be.null;
+    expect(result.status).to.equal("not-found");
     expect(caughtError.name).to.equal("RouteNotFoundError");
     expect(caughtError.metadata.targetPath).to.equal("/unknown");
 
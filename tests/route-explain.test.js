@@ -0,0 +1,177 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Route, Router } from "../src/index.js";
+import { RoutesSet } from "../src/RoutesSet.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { waitForElement } from "./test-utils/wait.js";
+
+const routesSet = (configs) => {
+  const routes = new RoutesSet();
+  for (const config of configs) {
+    routes.add(new Route({ render: () => null, ...config }));
+  }
+  return routes;
+};
+
+suite("Lit Router - Route explanations", () => {
+  suite("RoutesSet.explain", () => {
+    test("lists every route in the order matchRoute tries them", () => {
+      const routes = routesSet([
+        { path: "/*" },
+        { path: "/posts/:slug" },
+        { path: "/posts/new" },
+      ]);
+
+      const explained = routes.explain("/posts/new");
+      expect(explained.map(({ path }) => path)).to.deep.equal(
+        routes.getSortedRoutes().map(({ path }) => path),
+      );
+      expect(explained.map(({ path }) => path)).to.deep.equal([
+        "/posts/new",
+        "/posts/:slug",
+        "/*",
+      ]);
+      expect(explained.filter(({ selected }) => selected)).to.have.length(1);
+      expect(explained[0].selected).to.be.true;
+      expect(explained[0].route).to.equal(routes.matchRoute("/posts/new"));
+    });
+
+    test("reports score, breakdown, specificity and declaration index", () => {
+      const routes = routesSet([{ path: "/posts/:slug" }, { path: "/posts/new" }]);
+      const [staticRoute, dynamicRoute] = routes.explain("/posts/new");
+
+      expect(staticRoute.index).to.equal(1);
+      expect(dynamicRoute.index).to.equal(0);
+      expect(staticRoute.score).to.be.greaterThan(dynamicRoute.score);
+      expect(staticRoute.scoreBreakdown).to.include({ staticSegments: 2 });
+      expect(dynamicRoute.scoreBreakdown).to.include({
+        staticSegments: 1,
+        dynamicSegments: 1,
+      });
+      expect(staticRoute.specificity).to.equal(1);
+      expect(dynamicRoute.specificity).to.equal(0.5);
+    });
+
+    test("ties are broken by declaration index", () => {
+      const routes = routesSet([{ path: "/b/:id" }, { path: "/a/:id" }]);
+      const explained = routes.explain("/a/1");
+
+      expect(explained.map(({ index }) => index)).to.deep.equal([0, 1]);
+      expect(explained[0].score).to.equal(explained[1].score);
+      expect(explained[1].selected).to.be.true;
+    });
+
+    test("reports params and tail of matching routes", () => {
+      const routes = routesSet([
+        { path: "/users/:id/*" },
+        { path: "/about" },
+      ]);
+      const [users, about] = routes.explain("/users/7/posts");
+
+      expect(users).to.include({ matched: true, tailGroup: "/posts" });
+      expect(users.params).to.deep.equal({ id: "7" });
+      expect(about).to.include({
+        matched: false,
+        params: null,
+        tailGroup: null,
+        selected: false,
+      });
+    });
+
+    test("a param schema can reject a route whose regex matched", () => {
+      const routes = routesSet([
+        { path: "/items/:id", params: { id: "int" } },
+        { path: "/items/:slug/edit" },
+        { path: "/*" },
+      ]);
+      const byPath = Object.fromEntries(
+        routes.explain("/items/abc").map((entry) => [entry.path, entry]),
+      );
+
+      expect(byPath["/items/:id"]).to.include({
+        matched: true,
+        params: null,
+        selected: false,
+      });
+      expect(byPath["/*"].selected).to.be.true;
+    });
+  });
+
+  suite("Router.explainUrl", () => {
+    let el;
+
+    suiteSetup(() => {
+      nestedRoutes("explain-users", [
+        { path: "/", render: () => html`<p id="user-list"></p>` },
+        { path: "/:id", render: () => html`<p id="user"></p>` },
+        { path: "/new", render: () => html`<p id="user-new"></p>` },
+      ]);
+
+      customElements.define(
+        "explain-app",
+        class extends LitElement {
+          _router = new Router(this, [
+            { path: "/", render: () => html`<h1 id="home"></h1>` },
+            {
+              path: "/users/*",
+              render: () => html`<explain-users></explain-users>`,
+            },
+            { path: "/*", render: () => html`<h1 id="not-found"></h1>` },
+          ]);
+
+          createRenderRoot() {
+            return this;
+          }
+
+          render() {
+            return this._router.outlet();
+          }
+        },
+      );
+    });
+
+    setup(async () => {
+      history.replaceState(null, "", "/users/7");
+      el = await fixture(html`<explain-app></explain-app>`);
+      await waitForElement(el, "#user");
+    });
+
+    test("explains each mounted level with the tail of its parent", () => {
+      const chain = el._router.explainUrl("/users/new?tab=1#top");
+
+      expect(chain.map(({ level }) => level._host.localName)).to.deep.equal([
+        "explain-app",
+        "explain-users",
+      ]);
+      expect(chain.map(({ pathname }) => pathname)).to.deep.equal([
+        "/users/new",
+        "/new",
+      ]);
+      expect(chain.map(({ route }) => route.path)).to.deep.equal([
+        "/users/*",
+        "/new",
+      ]);
+      expect(chain[1].candidates.map(({ path, matched }) => [path, matched]))
+        .to.deep.equal([
+          ["/new", true],
+          ["/", false],
+          ["/:id", true],
+        ]);
+    });
+
+    test("stops below a route the page does not render", () => {
+      const chain = el._router.explainUrl("/elsewhere");
+
+      expect(chain).to.have.length(1);
+      expect(chain[0].route.path).to.equal("/*");
+      expect(chain[0].candidates.find(({ selected }) => selected).path).to.equal(
+        "/*",
+      );
+    });
+
+    test("resolves relative URLs against the current location", () => {
+      const [, users] = el._router.explainUrl("new");
+      expect(users.pathname).to.equal("/new");
+    });
+  });
+});
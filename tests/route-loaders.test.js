@@ -0,0 +1,218 @@
+import { expect, fixture, html, waitUntil } from "@open-wc/testing";
+import { LitElement } from "lit";
+import appRouter from "./test-utils/app-router.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { Navigation } from "../src/index.js";
+import { sleep, waitForElement } from "./test-utils/wait.js";
+
+suite("Lit Router - Route data loaders", () => {
+  let events = [];
+  let slowSignal = null;
+
+  suiteSetup(() => {
+    customElements.define(
+      "loader-page",
+      class extends LitElement {
+        navigator = new Navigation(this);
+        constructor() {
+          super();
+          this.addEventListener(Navigation.event, () => this.requestUpdate());
+        }
+        createRenderRoot() {
+          return this;
+        }
+        render() {
+          return html`<p>${this.navigator.data?.title}</p>`;
+        }
+      },
+    );
+
+    const userRoutes = [
+      {
+        path: "posts",
+        load: async ({ params }) => {
+          events.push(`child-start:${params.id}`);
+          await sleep(30);
+          events.push("child-end");
+          return ["post"];
+        },
+        render: ({ data }) => html`<div id="posts">${data.length}</div>`,
+      },
+    ];
+    nestedRoutes("loader-user", userRoutes);
+
+    appRouter("loader-app", [
+      { path: "/", render: () => html`<h1>root</h1>` },
+      {
+        path: "/article/:id",
+        load: async ({ params }) => ({ title: `Article ${params.id}` }),
+        render: ({ data }) => html`<h1>${data.title}</h1><loader-page></loader-page>`,
+      },
+      {
+        path: "/results",
+        load: async ({ searchParams }) => {
+          events.push(`results:${searchParams.q}`);
+          return { title: `Results for ${searchParams.q}` };
+        },
+        render: ({ data }) => html`<h1>${data.title}</h1>`,
+      },
+      {
+        path: "/slow",
+        load: ({ signal }) => {
+          slowSignal = signal;
+          return sleep(50).then(() => ({ title: "slow" }));
+        },
+        render: () => html`<h1>slow</h1>`,
+      },
+      {
+        path: "/broken",
+        load: async () => {
+          throw new Error("load failed");
+        },
+        render: () => html`<h1>broken</h1>`,
+      },
+      {
+        path: "/users/:id/*",
+        load: async ({ params }) => {
+          events.push(`parent-start:${params.id}`);
+          await sleep(30);
+          events.push("parent-end");
+          return { id: params.id };
+        },
+        children: userRoutes,
+        render: () => html`<loader-user></loader-user>`,
+      },
+      {
+        path: "/team/:id/*",
+        load: async ({ params }) => {
+          events.push(`parent-start:${params.id}`);
+          await sleep(30);
+          events.push("parent-end");
+          return { id: params.id };
+        },
+        render: () => html`<loader-user></loader-user>`,
+      },
+    ]);
+  });
+
+  setup(() => {
+    history.replaceState(null, "", "/");
+    events = [];
+    slowSignal = null;
+  });
+
+  test("passes the loader result to render as ctx.data", async () => {
+    const el = await fixture(html`<loader-app></loader-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/article/7");
+    await el.updateComplete;
+
+    expect(el.querySelector("h1").innerText).to.equal("Article 7");
+    expect(el._router.data).to.deep.equal({ title: "Article 7" });
+  });
+
+  test("exposes the loader result as navigation.data", async () => {
+    const el = await fixture(html`<loader-app></loader-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/article/8");
+    await waitForElement(el, "loader-page p");
+    await waitUntil(
+      () => el.querySelector("loader-page p").innerText === "Article 8",
+      "loader-page should render the loader data",
+    );
+  });
+
+  test("runs the loader again when only the search params change", async () => {
+    const el = await fixture(html`<loader-app></loader-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/results?q=lit");
+    await el.navigator.navigate("/results?q=router");
+    await el.updateComplete;
+
+    expect(el.querySelector("h1").innerText).to.equal("Results for router");
+    expect(el._router.data).to.deep.equal({ title: "Results for router" });
+
+    // The hash is not part of what the loader depends on.
+    await el.navigator.navigate("/results?q=router#top");
+    expect(events).to.deep.equal(["results:lit", "results:router"]);
+  });
+
+  test("aborts the loader signal when a newer navigation supersedes it", async () => {
+    const el = await fixture(html`<loader-app></loader-app>`);
+    await el.updateComplete;
+
+    const slow = el.navigator.navigate("/slow");
+    await sleep(0);
+    await el.navigator.navigate("/article/1");
+    await slow;
+    await el.updateComplete;
+
+    expect(slowSignal.aborted).to.be.true;
+    expect(el.querySelector("h1").innerText).to.equal("Article 1");
+  });
+
+  test("fails the navigation when the loader throws", async () => {
+    const el = await fixture(html`<loader-app></loader-app>`);
+    await el.updateComplete;
+
+    const { status, error } = await el.navigator.navigate("/broken");
+    expect(status).to.equal("error");
+    expect(error).to.be.instanceOf(Error);
+    expect(error.message).to.equal("load failed");
+  });
+
+  test("runs the loader of a child mounted by the navigation in parallel when the route declares its children", async () => {
+    const el = await fixture(html`<loader-app></loader-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/users/1/posts");
+    await waitForElement(el, "#posts");
+
+    // The mounted child picks up the call started with the parent's instead
+    // of loading again.
+    expect(events).to.deep.equal([
+      "parent-start:1",
+      "child-start:1",
+      "parent-end",
+      "child-end",
+    ]);
+    expect(el.querySelector("#posts").innerText).to.equal("1");
+  });
+
+  test("runs the loader of a child mounted by the navigation after the parent's without declared children", async () => {
+    const el = await fixture(html`<loader-app></loader-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/team/1/posts");
+    await waitForElement(el, "#posts");
+
+    // The child level does not exist until the parent renders it.
+    expect(events).to.deep.equal([
+      "parent-start:1",
+      "parent-end",
+      "child-start:1",
+      "child-end",
+    ]);
+  });
+
+  test("runs parent and child loaders in parallel when the child is reused", async () => {
+    const el = await fixture(html`<loader-app></loader-app>`);
+    await el.updateComplete;
+
+    await el.navigator.navigate("/users/1/posts");
+    await waitForElement(el, "#posts");
+
+    events = [];
+    await el.navigator.navigate("/users/2/posts");
+    await waitForElement(el, "#posts");
+
+    // The child loader receives the params of the whole chain and starts
+    // before the parent loader settles.
+    expect(events.indexOf("child-start:2")).to.be.lessThan(events.indexOf("parent-end"));
+    expect(events.filter((e) => e.startsWith("child-start"))).to.deep.equal(["child-start:2"]);
+    expect(el._router.data).to.deep.equal({ id: "2" });
+  });
+});
@@ -0,0 +1,194 @@
+import { expect, fixture, html, waitUntil } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { flushNavigation, waitForElement } from "./test-utils/wait.js";
+
+const metaContent = (name) =>
+  document.head.querySelector(`meta[name="${name}"]`)?.getAttribute("content");
+
+const waitForTitle = (title) =>
+  waitUntil(
+    () => document.title === title,
+    `title should be "${title}" but was "${document.title}"`,
+  );
+
+suite("Lit Router - Route meta", () => {
+  const routes = [
+    { path: "/", render: () => html`<h1 id="home"></h1>` },
+    {
+      path: "/account/*",
+      meta: { title: "Account", description: "Your account" },
+      render: () => html`<meta-account></meta-account>`,
+    },
+    {
+      path: "/users/:id",
+      load: ({ params }) => ({ name: `User ${params.id}` }),
+      meta: ({ data, params }) => ({ title: data.name, author: params.id }),
+      render: () => html`<h1 id="user"></h1>`,
+    },
+    {
+      path: "/search",
+      meta: ({ searchParams }) => ({ title: `Search ${searchParams.q ?? ""}` }),
+      render: () => html`<h1 id="search"></h1>`,
+    },
+    {
+      path: "/keywords",
+      meta: { keywords: "routing, lit" },
+      render: () => html`<h1 id="keywords"></h1>`,
+    },
+  ];
+
+  let originalTitle;
+  let staticTag;
+
+  suiteSetup(() => {
+    nestedRoutes("meta-account", [
+      { path: "/", render: () => html`<p id="account-home"></p>` },
+      {
+        path: "settings",
+        meta: { title: "Settings" },
+        render: () => html`<p id="account-settings"></p>`,
+      },
+    ]);
+
+    const define = (name, options) =>
+      customElements.define(
+        name,
+        class extends LitElement {
+          _router = new Router(this, routes, options);
+
+          navigator = new Navigation(this);
+
+          createRenderRoot() {
+            return this;
+          }
+
+          render() {
+            return this._router.outlet();
+          }
+        },
+      );
+
+    define("meta-app", {
+      meta: {
+        titleTemplate: "%s · Test",
+        defaults: { title: "Test", description: "A test app" },
+      },
+    });
+    define("meta-plain-app");
+  });
+
+  setup(() => {
+    originalTitle = document.title;
+    staticTag = document.createElement("meta");
+    staticTag.setAttribute("name", "keywords");
+    staticTag.setAttribute("content", "static");
+    document.head.append(staticTag);
+    history.replaceState(null, "", "/");
+  });
+
+  teardown(() => {
+    staticTag.remove();
+    document.title = originalTitle;
+  });
+
+  test("defaults apply where no route sets meta", async () => {
+    const el = await fixture(html`<meta-app></meta-app>`);
+    await waitForElement(el, "#home");
+    await waitForTitle("Test");
+
+    expect(el._router.meta).to.deep.equal({
+      title: "Test",
+      description: "A test app",
+    });
+    expect(metaContent("description")).to.equal("A test app");
+  });
+
+  test("nested routes merge meta root to leaf", async () => {
+    const el = await fixture(html`<meta-app></meta-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/account/settings");
+    await waitForElement(el, "#account-settings");
+    await waitForTitle("Settings · Test");
+
+    expect(el._router.meta).to.deep.equal({
+      title: "Settings · Test",
+      description: "Your account",
+    });
+    expect(metaContent("description")).to.equal("Your account");
+
+    await el.navigator.navigate("/account");
+    await waitForTitle("Account · Test");
+  });
+
+  test("meta functions receive params and loader data", async () => {
+    const el = await fixture(html`<meta-app></meta-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/users/7");
+    await waitForTitle("User 7 · Test");
+    expect(metaContent("author")).to.equal("7");
+
+    await el.navigator.navigate("/");
+    await waitForTitle("Test");
+    expect(document.head.querySelector('meta[name="author"]')).to.be.null;
+  });
+
+  test("meta follows search param changes", async () => {
+    const el = await fixture(html`<meta-app></meta-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/search?q=lit");
+    await waitForElement(el, "#search");
+    await waitForTitle("Search lit · Test");
+
+    await el.navigator.navigate("/search?q=router");
+    await waitForTitle("Search router · Test");
+
+    el._router.replaceState({ searchParams: { q: "meta" } });
+    await waitForTitle("Search meta · Test");
+    expect(el._router.meta.title).to.equal("Search meta · Test");
+  });
+
+  test("a render that throws keeps the previous meta", async () => {
+    const el = await fixture(html`<meta-app></meta-app>`);
+    await waitForElement(el, "#home");
+    await waitForTitle("Test");
+
+    const updateComplete = Promise.reject(new Error("render failed"));
+    await el._router._meta.schedule({ _host: { updateComplete } });
+
+    expect(el._router.meta.title).to.equal("Test");
+    expect(document.title).to.equal("Test");
+  });
+
+  test("tags already in the page are updated and restored", async () => {
+    const el = await fixture(html`<meta-app></meta-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/keywords");
+    await waitUntil(() => metaContent("keywords") === "routing, lit");
+    expect(
+      document.head.querySelectorAll('meta[name="keywords"]'),
+    ).to.have.length(1);
+
+    await el.navigator.navigate("/");
+    await waitUntil(() => metaContent("keywords") === "static");
+  });
+
+  test("without the option the document is left alone", async () => {
+    document.title = "Untouched";
+    const el = await fixture(html`<meta-plain-app></meta-plain-app>`);
+    await waitForElement(el, "#home");
+
+    await el.navigator.navigate("/users/3");
+    await waitForElement(el, "#user");
+    await waitUntil(() => el._router.meta.title === "User 3");
+    await flushNavigation(el);
+
+    expect(document.title).to.equal("Untouched");
+    expect(document.head.querySelector('meta[name="author"]')).to.be.null;
+  });
+});
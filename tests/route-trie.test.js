@@ -0,0 +1,172 @@
+import { expect } from "@open-wc/testing";
+import { Route } from "../src/index.js";
+import { RoutesSet } from "../src/RoutesSet.js";
+
+/**
+ * getSortedRoutes() as it was before routes were indexed.
+ */
+function referenceSort(set) {
+  const routes = [...set];
+
+  return routes.sort((a, b) => {
+    const scoreDiff = b.pattern.score - a.pattern.score;
+    if (scoreDiff !== 0) return scoreDiff;
+
+    const specificityDiff = b.pattern.specificity - a.pattern.specificity;
+    if (specificityDiff !== 0) return specificityDiff;
+
+    return routes.indexOf(a) - routes.indexOf(b);
+  });
+}
+
+/**
+ * matchRoute() as it was before routes were indexed: try each regex in
+ * sorted order.
+ */
+function referenceMatch(sorted, pathname) {
+  return sorted.find((route) => route.testPathname({ pathname }));
+}
+
+/** A route table the size of a large admin app: 404 routes. */
+function adminRoutes() {
+  const paths = ["/", "/:lang?/home", "/:page", "/*"];
+  for (let i = 0; i < 40; i++) {
+    const section = `/section${i}`;
+    paths.push(
+      section,
+      `${section}/new`,
+      `${section}/:id`,
+      `${section}/:id/edit`,
+      `${section}/:id/:tab?`,
+      `${section}/*`,
+      `${section}/items/:itemId`,
+      `${section}/reports/:year/:month?`,
+      `${section}/settings?`,
+      `${section}/:id/files/:rest*`,
+    );
+  }
+
+  const routes = new RoutesSet();
+  for (const path of paths) {
+    routes.add(
+      new Route({
+        path,
+        params: path === "/section0/:id" ? { id: "int" } : undefined,
+        render: () => null,
+      }),
+    );
+  }
+  return routes;
+}
+
+function adminPathnames() {
+  const pathnames = [
+    "/",
+    "",
+    "/home",
+    "/en/home",
+    "/enhome",
+    "/unknown",
+    "/unknown/deep/path",
+    "//section1",
+  ];
+  for (let i = 0; i < 40; i++) {
+    const section = `/section${i}`;
+    pathnames.push(
+      section,
+      `${section}/`,
+      `${section}/new`,
+      `section${i}/new`,
+      `${section}/42`,
+      `${section}/abc`,
+      `${section}/42/edit`,
+      `${section}/42/posts`,
+      `${section}/items/9`,
+      `${section}/reports/2024`,
+      `${section}/reports/2024/05`,
+      `${section}/settings`,
+      `${section}/42/files/a/b.txt`,
+      `${section}x`,
+      `${section}/a/b/c/d`,
+    );
+  }
+  return pathnames;
+}
+
+/** Counts the routes whose regex `fn` tests. */
+function countTests(fn) {
+  const { testPathname } = Route.prototype;
+  let count = 0;
+  Route.prototype.testPathname = function (...args) {
+    count++;
+    return testPathname.apply(this, args);
+  };
+  try {
+    fn();
+  } finally {
+    Route.prototype.testPathname = testPathname;
+  }
+  return count;
+}
+
+suite("Lit Router - Route matching at scale", () => {
+  test("matches like sorting and scanning every route", () => {
+    const routes = adminRoutes();
+    const sorted = referenceSort(routes);
+    expect(routes.size).to.equal(404);
+    expect(routes.getSortedRoutes()).to.deep.equal(sorted);
+
+    for (const pathname of adminPathnames()) {
+      expect(routes.matchRoute(pathname), pathname).to.equal(
+        referenceMatch(sorted, pathname),
+      );
+    }
+  });
+
+  test("keeps declaration order for routes with the same score", () => {
+    const routes = new RoutesSet();
+    const first = new Route({ path: "/b/:id", render: () => null });
+    const second = new Route({ path: "/:kind/1", render: () => null });
+    routes.add(first);
+    routes.add(second);
+
+    expect(first.pattern.score).to.equal(second.pattern.score);
+    expect(routes.matchRoute("/b/1")).to.equal(first);
+    expect(routes.getSortedRoutes()).to.deep.equal([first, second]);
+  });
+
+  test("sees routes added and deleted after a match", () => {
+    const routes = adminRoutes();
+    const before = routes.matchRoute("/section3/audit");
+    expect(before.path).to.equal("/section3/:id/:tab?");
+
+    const audit = new Route({ path: "/section3/audit", render: () => null });
+    routes.add(audit);
+    expect(routes.matchRoute("/section3/audit")).to.equal(audit);
+
+    routes.delete(audit);
+    expect(routes.matchRoute("/section3/audit")).to.equal(before);
+
+    routes.clear();
+    expect(routes.matchRoute("/section3/audit")).to.be.undefined;
+  });
+
+  test("tests a fraction of the routes per match and sorts them once", () => {
+    const routes = adminRoutes();
+    const sorted = referenceSort(routes);
+    const trie = routes._compile();
+
+    let reference = 0;
+    let indexed = 0;
+    for (const pathname of adminPathnames()) {
+      const scanned = countTests(() => referenceMatch(sorted, pathname));
+      const looked = countTests(() => routes.matchRoute(pathname));
+      expect(looked, pathname).to.be.at.most(scanned);
+      reference += scanned;
+      indexed += looked;
+    }
+
+    expect(indexed * 5).to.be.below(reference);
+    expect(routes._compile()).to.equal(trie);
+  });
+});
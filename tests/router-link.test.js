@@ -0,0 +1,189 @@
+import { expect, fixture, html, waitUntil } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import { LitRouterLink } from "../src/contrib/lit-router-link.js";
+import { UrlGenerationError } from "../src/errors/index.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+const anchorOf = (link) => link.shadowRoot.querySelector("a");
+
+suite("Lit Router - Link element", () => {
+  let el;
+
+  suiteSetup(() => {
+    nestedRoutes("link-users", [
+      {
+        path: "/",
+        render: () =>
+          html`<p id="user-list"></p>
+            <lit-router-link id="to-new" to="./new">New</lit-router-link>`,
+      },
+      { path: "/new", render: () => html`<p id="user-new"></p>` },
+      {
+        path: "/:id",
+        render: () =>
+          html`<p id="user"></p>
+            <lit-router-link id="to-list" to="../">All users</lit-router-link>`,
+      },
+    ]);
+
+    customElements.define(
+      "link-app",
+      class extends LitElement {
+        _router = new Router(this, [
+          { path: "/", render: () => html`<h1 id="home"></h1>` },
+          {
+            path: "/users/*",
+            render: () => html`<link-users></link-users>`,
+          },
+          { path: "/about", render: () => html`<h1 id="about"></h1>` },
+          {
+            path: "/search/:query?",
+            render: () => html`<h1 id="search"></h1>`,
+          },
+        ]);
+
+        navigator = new Navigation(this);
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return html`<nav>
+              <lit-router-link id="home-link" to="/" exact>Home</lit-router-link>
+              <lit-router-link id="users-link" to="/users">Users</lit-router-link>
+              <lit-router-link
+                id="user-link"
+                to="/users/:id?tab=posts"
+                .params=${{ id: 7 }}
+                .searchParams=${{ page: 2 }}
+                hash="top"
+                >User 7</lit-router-link
+              >
+            </nav>
+            ${this._router.outlet()}`;
+        }
+      },
+    );
+  });
+
+  setup(async () => {
+    history.replaceState(null, "", "/");
+    el = await fixture(html`<link-app></link-app>`);
+    await waitForElement(el, "#home");
+  });
+
+  test("renders a real anchor with the built href", async () => {
+    const link = el.querySelector("#user-link");
+    await link.updateComplete;
+
+    expect(link).to.be.instanceOf(LitRouterLink);
+    expect(anchorOf(link).getAttribute("href")).to.equal(
+      "/users/7?tab=posts&page=2#top",
+    );
+    expect(anchorOf(link).querySelector("slot")).to.exist;
+  });
+
+  test("marks the current page and its ancestors", async () => {
+    const home = el.querySelector("#home-link");
+    const users = el.querySelector("#users-link");
+    await users.updateComplete;
+
+    expect(home.hasAttribute("active")).to.be.true;
+    expect(anchorOf(home).getAttribute("aria-current")).to.equal("page");
+    expect(users.hasAttribute("active")).to.be.false;
+
+    await el.navigator.navigate("/users");
+    await waitForElement(el, "#user-list");
+    await users.updateComplete;
+
+    expect(home.hasAttribute("active")).to.be.false;
+    expect(home.hasAttribute("active-descendant")).to.be.true;
+    expect(anchorOf(home).hasAttribute("aria-current")).to.be.false;
+    expect(users.hasAttribute("active")).to.be.true;
+    expect(users.hasAttribute("active-descendant")).to.be.false;
+    expect(anchorOf(users).getAttribute("aria-current")).to.equal("page");
+
+    await el.navigator.navigate("/users/3");
+    await waitForElement(el, "#user");
+    await users.updateComplete;
+
+    expect(users.hasAttribute("active")).to.be.true;
+    expect(users.hasAttribute("active-descendant")).to.be.true;
+    expect(anchorOf(users).hasAttribute("aria-current")).to.be.false;
+  });
+
+  test("does not treat a shared prefix as an ancestor", async () => {
+    const users = el.querySelector("#users-link");
+    users.to = "/us";
+    await el.navigator.navigate("/users");
+    await waitForElement(el, "#user-list");
+    await users.updateComplete;
+
+    expect(users.hasAttribute("active")).to.be.false;
+    expect(users.hasAttribute("active-descendant")).to.be.false;
+  });
+
+  test("compares routes, not pathnames", async () => {
+    const users = el.querySelector("#users-link");
+    users.to = "/search";
+    await el.navigator.navigate("/search/lit");
+    await waitForElement(el, "#search");
+    await users.updateComplete;
+
+    // The same optional-param route with another value is a sibling page.
+    expect(users.hasAttribute("active")).to.be.false;
+    expect(users.hasAttribute("active-descendant")).to.be.false;
+
+    users.to = "/search/lit/";
+    await users.updateComplete;
+    expect(users.hasAttribute("active")).to.be.true;
+    expect(anchorOf(users).getAttribute("aria-current")).to.equal("page");
+
+    users.to = "/users/3";
+    await el.navigator.navigate("/users/new");
+    await waitForElement(el, "#user-new");
+    await users.updateComplete;
+    expect(users.hasAttribute("active")).to.be.false;
+  });
+
+  test("relative targets resolve against the enclosing Routes scope", async () => {
+    await el.navigator.navigate("/users");
+    await waitForElement(el, "#to-new");
+    const toNew = el.querySelector("#to-new");
+    await toNew.updateComplete;
+    expect(anchorOf(toNew).getAttribute("href")).to.equal("/users/new");
+
+    await el.navigator.navigate("/users/5");
+    await waitForElement(el, "#to-list");
+    const toList = el.querySelector("#to-list");
+    await toList.updateComplete;
+    expect(anchorOf(toList).getAttribute("href")).to.equal("/users");
+  });
+
+  test("clicking the anchor navigates through the router", async () => {
+    const users = el.querySelector("#users-link");
+    await users.updateComplete;
+    anchorOf(users).click();
+
+    await waitForUrl("/users");
+    await waitForElement(el, "#user-list");
+    await waitUntil(() => users.hasAttribute("active"));
+  });
+
+  test("a missing param throws a UrlGenerationError", async () => {
+    const link = el.querySelector("#user-link");
+    link.params = {};
+    let error;
+    try {
+      link.target;
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(UrlGenerationError);
+    expect(error.metadata).to.include({ param: "id", reason: "missing-param" });
+    link.params = { id: 7 };
+  });
+});
@@ -141,4 +141,23 @@ suite("collectParams", () => {
     const result = collectParams(root);
     expect(result.searchParams).to.deep.equal({ theme: "dark", view: "list", page: "1" });
   });
+
+  test("search keeps the typed values of the levels declaring them", () => {
+    const searchParams = { page: "2", debug: "1", ref: "mail" };
+    const root = makeInstance({
+      searchParams,
+      search: { page: 2, debug: "1", ref: "mail" },
+    });
+    root.currentRoute = { search: { page: "int" } };
+    const child = makeInstance({
+      searchParams,
+      search: { debug: true, page: "2", ref: "mail" },
+    });
+    child.currentRoute = { search: { debug: "boolean" } };
+    root._children.add(child);
+
+    const result = collectParams(root);
+    expect(result.search).to.deep.equal({ page: 2, debug: true, ref: "mail" });
+    expect(result.searchParams).to.deep.equal(searchParams);
+  });
 });
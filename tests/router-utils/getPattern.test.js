@@ -94,4 +94,26 @@ suite("getPattern", () => {
     expect(pattern.test("settings")).to.be.true;
     expect(pattern.test("/settings")).to.be.true;
   });
+
+  test("build() substitutes params back into the path", () => {
+    const pattern = getPattern(makeRoute("/user/:id/:tab?"));
+
+    expect(pattern.build({ id: "42" })).to.deep.equal({
+      pathname: "/user/42",
+      used: ["id"],
+      missing: [],
+    });
+    expect(pattern.build({ id: "42", tab: "info" }).pathname).to.equal("/user/42/info");
+  });
+
+  test("build() reports missing required params", () => {
+    const pattern = getPattern(makeRoute("/user/:id"));
+    expect(pattern.build({}).missing).to.deep.equal(["id"]);
+  });
+
+  test("build() drops a trailing wildcard when trailingWildcard is false", () => {
+    const pattern = getPattern(makeRoute("/app/:org/*"));
+    expect(pattern.build({ org: "acme" }, { trailingWildcard: false }).pathname).to.equal("/app/acme");
+    expect(pattern.build({ org: "acme", 0: "a/b" }).pathname).to.equal("/app/acme/a/b");
+  });
 });
@@ -1,5 +1,11 @@
 import { expect } from "@open-wc/testing";
-import { diff, exportTrace, clearTrace, isTracing } from "../../src/util/log.js";
+import {
+  diff,
+  exportTrace,
+  clearTrace,
+  isTracing,
+  parseTrace,
+} from "../../src/util/log.js";
 
 suite("log utilities", () => {
   suite("diff", () => {
@@ -77,6 +83,43 @@ suite("log utilities", () => {
     });
   });
 
+  suite("parseTrace", () => {
+    test("reads time, nav id, tag, action and fields", () => {
+      const [event] = parseTrace(
+        "+12.4ms  [nav#7] [routes:HOME-APP] match route=/users/:id tail=/",
+      );
+      expect(event).to.deep.equal({
+        time: 12.4,
+        navId: 7,
+        tag: "routes:HOME-APP",
+        action: "match",
+        fields: { route: "/users/:id", tail: "/" },
+      });
+    });
+
+    test("events outside a navigation have no nav id", () => {
+      const [event] = parseTrace("+3.0ms  [router] goto path=/a");
+      expect(event.navId).to.be.null;
+      expect(event.tag).to.equal("router");
+    });
+
+    test("keeps spaces inside field values", () => {
+      const [event] = parseTrace(
+        "+1.0ms  [router] redirect-loop chain=/a → /b to=/a",
+      );
+      expect(event.fields).to.deep.equal({ chain: "/a → /b", to: "/a" });
+    });
+
+    test("skips lines that are not trace lines", () => {
+      const events = parseTrace(
+        "copied from console\n+1.0ms  [router] popstate-compensated\n",
+      );
+      expect(events).to.have.length(1);
+      expect(events[0].action).to.equal("popstate-compensated");
+      expect(events[0].fields).to.deep.equal({});
+    });
+  });
+
   suite("isTracing", () => {
     test("isTracing returns a boolean", () => {
       expect(isTracing()).to.be.a("boolean");
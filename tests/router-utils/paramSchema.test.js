@@ -0,0 +1,61 @@
+import { expect } from "@open-wc/testing";
+import { compileParamSchema } from "../../src/util/paramSchema.js";
+
+suite("compileParamSchema", () => {
+  test("returns null when there is no schema", () => {
+    expect(compileParamSchema(undefined)).to.be.null;
+  });
+
+  test("coerces int, number and boolean types", () => {
+    const coerce = compileParamSchema({ id: "int", ratio: "number", flag: "boolean" });
+    expect(coerce({ id: "42", ratio: "1.5", flag: "true" })).to.deep.equal({
+      id: 42,
+      ratio: 1.5,
+      flag: true,
+    });
+  });
+
+  test("rejects values that do not match their type", () => {
+    const coerce = compileParamSchema({ id: "int" });
+    expect(coerce({ id: "abc" })).to.be.null;
+    expect(coerce({ id: "4.2" })).to.be.null;
+  });
+
+  test("validates against a RegExp and keeps the string value", () => {
+    const coerce = compileParamSchema({ slug: /^[a-z-]+$/ });
+    expect(coerce({ slug: "hello-world" })).to.deep.equal({ slug: "hello-world" });
+    expect(coerce({ slug: "Hello" })).to.be.null;
+  });
+
+  test("uses parser functions and rejects undefined or thrown results", () => {
+    const coerce = compileParamSchema({
+      day: (raw) => (["mon", "tue"].includes(raw) ? raw.toUpperCase() : undefined),
+      json: (raw) => JSON.parse(raw),
+    });
+    expect(coerce({ day: "mon", json: "1" })).to.deep.equal({ day: "MON", json: 1 });
+    expect(coerce({ day: "sun", json: "1" })).to.be.null;
+    expect(coerce({ day: "mon", json: "{" })).to.be.null;
+  });
+
+  test("applies defaults to params that captured nothing", () => {
+    const coerce = compileParamSchema({ page: { type: "number", default: 1 } });
+    expect(coerce({ page: "" })).to.deep.equal({ page: 1 });
+    expect(coerce({})).to.deep.equal({ page: 1 });
+    expect(coerce({ page: "3" })).to.deep.equal({ page: 3 });
+  });
+
+  test("combines pattern and type in the object form", () => {
+    const coerce = compileParamSchema({ year: { type: "int", pattern: /^\d{4}$/ } });
+    expect(coerce({ year: "2024" })).to.deep.equal({ year: 2024 });
+    expect(coerce({ year: "24" })).to.be.null;
+  });
+
+  test("passes undeclared params through untouched", () => {
+    const coerce = compileParamSchema({ id: "int" });
+    expect(coerce({ id: "1", other: "x" })).to.deep.equal({ id: 1, other: "x" });
+  });
+
+  test("throws a TypeError for unknown types", () => {
+    expect(() => compileParamSchema({ id: "uuid" })).to.throw(TypeError);
+  });
+});
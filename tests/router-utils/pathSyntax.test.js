@@ -0,0 +1,136 @@
+import { expect } from "@open-wc/testing";
+import {
+  defineParam,
+  paramSource,
+  parsePath,
+} from "../../src/util/pathSyntax.js";
+
+const param = (name, overrides = {}) => ({
+  type: "param",
+  name,
+  pattern: null,
+  matcher: null,
+  ...overrides,
+});
+const segment = (...parts) => ({ type: "segment", parts });
+const group = (...nodes) => ({ type: "group", nodes });
+const text = (value) => ({ type: "static", value, rest: false });
+
+suite("pathSyntax", () => {
+  suite("parsePath", () => {
+    test("reads static segments, params and wildcards", () => {
+      expect(parsePath("/users/:id/*")).to.deep.equal([
+        segment(text("users")),
+        segment(param("id", { rest: false })),
+        segment({ type: "wildcard" }),
+      ]);
+    });
+
+    test("ignores empty segments and surrounding whitespace", () => {
+      expect(parsePath("  /users//:id/ ")).to.deep.equal(parsePath("/users/:id"));
+      expect(parsePath(" ")).to.deep.equal([]);
+      expect(parsePath("/")).to.deep.equal([]);
+    });
+
+    test("reads rest params and static prefixes", () => {
+      expect(parsePath("/:path*/img*")).to.deep.equal([
+        segment(param("path", { rest: true })),
+        segment({ type: "static", value: "img", rest: true }),
+      ]);
+    });
+
+    test("keeps underscores and drops other non-word characters of names", () => {
+      expect(parsePath("/:article_title/:user-id")).to.deep.equal([
+        segment(param("article_title", { rest: false })),
+        segment(param("userid", { rest: false })),
+      ]);
+    });
+
+    test("turns a segment marked with ? into a group", () => {
+      expect(parsePath("/:lang?/docs/legacy?")).to.deep.equal([
+        group(segment(param("lang", { rest: false }))),
+        segment(text("docs")),
+        group(segment(text("legacy"))),
+      ]);
+    });
+
+    test("reads nested brace groups", () => {
+      expect(parsePath("/archive{/:year{/:month}}")).to.deep.equal([
+        segment(text("archive")),
+        group(
+          segment(param("year", { rest: false })),
+          group(segment(param("month", { rest: false }))),
+        ),
+      ]);
+    });
+
+    test("reads groups of several segments", () => {
+      expect(parsePath("/shop{/category/:slug}/items")).to.deep.equal([
+        segment(text("shop")),
+        group(
+          segment(text("category")),
+          segment(param("slug", { rest: false })),
+        ),
+        segment(text("items")),
+      ]);
+    });
+
+    test("reads regex constraints, with their slashes and braces", () => {
+      expect(parsePath("/:id(\\d+)/:d(\\d{2}/\\d{2})")).to.deep.equal([
+        segment(param("id", { pattern: "\\d+" })),
+        segment(param("d", { pattern: "\\d{2}/\\d{2}" })),
+      ]);
+      expect(parsePath("/:v((a|b)+)")).to.deep.equal([
+        segment(param("v", { pattern: "(a|b)+" })),
+      ]);
+    });
+
+    test("reads named matchers and optional constrained params", () => {
+      expect(parsePath("/:id<uuid>?")).to.deep.equal([
+        group(segment(param("id", { matcher: "uuid" }))),
+      ]);
+    });
+
+    test("reads several params mixed with static text", () => {
+      expect(parsePath("/:name.:ext(json|xml)/v:version")).to.deep.equal([
+        segment(
+          param("name"),
+          { type: "static", value: "." },
+          param("ext", { pattern: "json|xml" }),
+        ),
+        segment({ type: "static", value: "v" }, param("version")),
+      ]);
+    });
+
+    test("throws on malformed paths", () => {
+      expect(() => parsePath("/:id(\\d+")).to.throw(TypeError);
+      expect(() => parsePath("/:id<uuid")).to.throw(TypeError);
+      expect(() => parsePath("/a{/:b")).to.throw(TypeError);
+      expect(() => parsePath("/a}/b")).to.throw(TypeError);
+    });
+  });
+
+  suite("paramSource", () => {
+    test("makes the groups of a constraint non-capturing", () => {
+      expect(paramSource(param("v", { pattern: "(a|b)(?<c>c)[(]" }))).to.equal(
+        "(?:a|b)(?:c)[(]",
+      );
+    });
+
+    test("resolves named matchers without their anchors", () => {
+      defineParam("hex", /^[0-9a-f]+$/i);
+      expect(paramSource(param("id", { matcher: "hex" }))).to.equal("[0-9a-f]+");
+    });
+
+    test("throws for an unknown matcher", () => {
+      expect(() => paramSource(param("id", { matcher: "missing" }))).to.throw(
+        TypeError,
+      );
+    });
+
+    test("rejects invalid definitions", () => {
+      expect(() => defineParam("not a name", /x/)).to.throw(TypeError);
+      expect(() => defineParam("num", 42)).to.throw(TypeError);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { expect } from "@open-wc/testing";
+import { parsePath } from "../../src/util/pathSyntax.js";
+import { RouteTrie, staticPrefix } from "../../src/util/routeTrie.js";
+
+const prefixOf = (path) => staticPrefix(parsePath(path));
+const route = (path) => ({ path, pattern: { nodes: parsePath(path) } });
+
+suite("routeTrie", () => {
+  suite("staticPrefix", () => {
+    test("keeps the static segments before the first param", () => {
+      expect(prefixOf("/admin/users/:id/edit")).to.deep.equal([
+        "admin",
+        "users",
+      ]);
+    });
+
+    test("stops at wildcards and optional groups", () => {
+      expect(prefixOf("/files/*")).to.deep.equal(["files"]);
+      expect(prefixOf("/files/:rest*")).to.deep.equal(["files"]);
+      expect(prefixOf("/en?/docs")).to.deep.equal([]);
+      expect(prefixOf("/archive{/:year}/all")).to.deep.equal(["archive"]);
+      expect(prefixOf("/img*")).to.deep.equal([]);
+    });
+
+    test("stops at constrained and composite segments", () => {
+      expect(prefixOf("/post/:id(\\d+)")).to.deep.equal(["post"]);
+      expect(prefixOf("/api/v:version/users")).to.deep.equal(["api"]);
+    });
+
+    test("keeps a segment followed by an optional one", () => {
+      expect(prefixOf("/docs/:page?")).to.deep.equal(["docs"]);
+    });
+
+    test("is empty for the root path", () => {
+      expect(prefixOf("/")).to.deep.equal([]);
+    });
+  });
+
+  suite("RouteTrie", () => {
+    const routes = [
+      route("/admin/users/new"),
+      route("/admin/users/:id"),
+      route("/admin/*"),
+      route("/blog/:slug"),
+      route("/:page"),
+      { path: "custom", pattern: {} },
+    ];
+    const trie = new RouteTrie(routes);
+    const paths = (pathname) =>
+      trie.candidates(pathname).map(({ path }) => path);
+
+    test("returns the routes along the pathname in the given order", () => {
+      expect(paths("/admin/users/new")).to.deep.equal([
+        "/admin/users/new",
+        "/admin/users/:id",
+        "/admin/*",
+        "/:page",
+        "custom",
+      ]);
+    });
+
+    test("skips routes whose prefix the pathname does not start with", () => {
+      expect(paths("/admin/users/7")).to.deep.equal([
+        "/admin/users/:id",
+        "/admin/*",
+        "/:page",
+        "custom",
+      ]);
+      expect(paths("/blog/hello")).to.deep.equal([
+        "/blog/:slug",
+        "/:page",
+        "custom",
+      ]);
+      expect(paths("/administrator")).to.deep.equal(["/:page", "custom"]);
+    });
+
+    test("accepts pathnames without a leading slash", () => {
+      expect(paths("blog")).to.deep.equal(["/blog/:slug", "/:page", "custom"]);
+    });
+
+    test("does not collapse empty segments", () => {
+      expect(paths("//admin")).to.deep.equal(["/:page", "custom"]);
+    });
+  });
+});
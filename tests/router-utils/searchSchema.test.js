@@ -0,0 +1,91 @@
+import { expect } from "@open-wc/testing";
+import { compileSearchSchema } from "../../src/util/searchSchema.js";
+
+suite("compileSearchSchema", () => {
+  test("returns null when there is no schema", () => {
+    expect(compileSearchSchema(undefined)).to.be.null;
+  });
+
+  test("coerces int, number, boolean and json types", () => {
+    const parse = compileSearchSchema({
+      page: "int",
+      ratio: "number",
+      open: "boolean",
+      filter: "json",
+    });
+    expect(
+      parse({ page: "2", ratio: "0.5", open: "1", filter: '{"tags":["a"]}' }),
+    ).to.deep.equal({ page: 2, ratio: 0.5, open: true, filter: { tags: ["a"] } });
+  });
+
+  test("replaces invalid or missing values with the default", () => {
+    const parse = compileSearchSchema({
+      page: { type: "int", default: 1 },
+      filter: { type: "json", default: {} },
+    });
+    expect(parse({ page: "x", filter: "{" })).to.deep.equal({ page: 1, filter: {} });
+    expect(parse({})).to.deep.equal({ page: 1, filter: {} });
+  });
+
+  test("drops invalid values that have no default", () => {
+    const parse = compileSearchSchema({ page: "int" });
+    expect(parse({ page: "x" })).to.deep.equal({});
+  });
+
+  test("checks enums against the raw value", () => {
+    const parse = compileSearchSchema({
+      sort: { enum: ["asc", "desc"], default: "asc" },
+    });
+    expect(parse({ sort: "desc" })).to.deep.equal({ sort: "desc" });
+    expect(parse({ sort: "up" })).to.deep.equal({ sort: "asc" });
+  });
+
+  test("collects repeated keys into arrays", () => {
+    const parse = compileSearchSchema({
+      tag: { type: "string", array: true },
+      id: { type: "int", array: true },
+    });
+    expect(parse({ tag: ["a", "b"], id: "3" })).to.deep.equal({
+      tag: ["a", "b"],
+      id: [3],
+    });
+    expect(parse({ id: ["1", "x", "2"] })).to.deep.equal({ tag: [], id: [1, 2] });
+  });
+
+  test("takes the first value of a repeated key declared without array", () => {
+    const parse = compileSearchSchema({ page: "int" });
+    expect(parse({ page: ["2", "5"] })).to.deep.equal({ page: 2 });
+  });
+
+  test("uses parser functions and rejects undefined or thrown results", () => {
+    const parse = compileSearchSchema({
+      day: { parse: (raw) => (raw === "mon" ? 1 : undefined), default: 0 },
+      date: (raw) => {
+        if (Number.isNaN(Date.parse(raw))) throw new Error("bad date");
+        return raw;
+      },
+    });
+    expect(parse({ day: "mon", date: "2024-01-02" })).to.deep.equal({
+      day: 1,
+      date: "2024-01-02",
+    });
+    expect(parse({ day: "sun", date: "soon" })).to.deep.equal({ day: 0 });
+  });
+
+  test("does not share default objects between results", () => {
+    const parse = compileSearchSchema({ tag: { array: true, default: ["all"] } });
+    parse({}).tag.push("mutated");
+    expect(parse({}).tag).to.deep.equal(["all"]);
+  });
+
+  test("keeps schema order and passes undeclared params through", () => {
+    const parse = compileSearchSchema({ page: { type: "int", default: 1 }, q: "string" });
+    const result = parse({ ref: "home", q: "lit", tag: ["a", "b"] });
+    expect(result).to.deep.equal({ page: 1, q: "lit", ref: "home", tag: ["a", "b"] });
+    expect(Object.keys(result)).to.deep.equal(["page", "q", "ref", "tag"]);
+  });
+
+  test("throws a TypeError for unknown types", () => {
+    expect(() => compileSearchSchema({ id: "date" })).to.throw(TypeError);
+  });
+});
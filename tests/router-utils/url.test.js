@@ -7,6 +7,11 @@ import {
   locationToHref,
   isSameLocation,
   joinPaths,
+  normalizeBasePath,
+  stripBasePath,
+  withBasePath,
+  searchParamsToObject,
+  toSearchParams,
 } from "../../src/util/url.js";
 
 suite("url utilities", () => {
@@ -56,6 +61,11 @@ suite("url utilities", () => {
       expect(r.pathname).to.equal("/articles");
     });
 
+    test("keeps every value of a repeated key", () => {
+      const r = parseUrl("/posts?tag=a&page=2&tag=b");
+      expect(r.searchParams).to.deep.equal({ tag: ["a", "b"], page: "2" });
+    });
+
     test("handles empty search and hash placeholders", () => {
       const r = parseUrl("/path?");
       expect(r.pathname).to.equal("/path");
@@ -121,6 +131,31 @@ suite("url utilities", () => {
       const sp = new URLSearchParams({ a: "1", b: "2" });
       expect(buildHref("/list", sp)).to.equal("/list?a=1&b=2");
     });
+
+    test("repeats the key for array values", () => {
+      expect(buildHref("/posts", { tag: ["a", "b"], page: "2" })).to.equal(
+        "/posts?tag=a&tag=b&page=2",
+      );
+    });
+
+    test("serializes typed values", () => {
+      expect(
+        buildHref("/list", { page: 2, open: true, filter: { x: 1 }, gone: null }),
+      ).to.equal("/list?page=2&open=true&filter=%7B%22x%22%3A1%7D");
+    });
+  });
+
+  suite("searchParamsToObject / toSearchParams", () => {
+    test("round-trip repeated keys", () => {
+      const params = new URLSearchParams("tag=a&tag=b&q=lit");
+      const record = searchParamsToObject(params);
+      expect(record).to.deep.equal({ tag: ["a", "b"], q: "lit" });
+      expect(toSearchParams(record).toString()).to.equal("tag=a&tag=b&q=lit");
+    });
+
+    test("toSearchParams accepts no input", () => {
+      expect(toSearchParams(undefined).toString()).to.equal("");
+    });
   });
 
   suite("locationToHref", () => {
@@ -201,4 +236,37 @@ suite("url utilities", () => {
       expect(joinPaths("/app/flow/step", "edit")).to.equal("/app/flow/step/edit");
     });
   });
+
+  suite("base paths", () => {
+    test("normalizeBasePath adds the leading and drops the trailing slash", () => {
+      expect(normalizeBasePath("portal/")).to.equal("/portal");
+      expect(normalizeBasePath("/portal")).to.equal("/portal");
+    });
+
+    test("normalizeBasePath maps the root to an empty base", () => {
+      expect(normalizeBasePath("/")).to.equal("");
+      expect(normalizeBasePath(undefined)).to.equal("");
+    });
+
+    test("stripBasePath removes the base", () => {
+      expect(stripBasePath("/portal/users?x=1", "/portal")).to.equal("/users?x=1");
+      expect(stripBasePath("/portal", "/portal")).to.equal("/");
+      expect(stripBasePath("/portal?x=1#top", "/portal")).to.equal("/?x=1#top");
+    });
+
+    test("stripBasePath returns null outside the base", () => {
+      expect(stripBasePath("/other", "/portal")).to.be.null;
+      expect(stripBasePath("/portals/a", "/portal")).to.be.null;
+    });
+
+    test("stripBasePath is a no-op without a base", () => {
+      expect(stripBasePath("/users", "")).to.equal("/users");
+    });
+
+    test("withBasePath prepends the base", () => {
+      expect(withBasePath("/users?x=1", "/portal")).to.equal("/portal/users?x=1");
+      expect(withBasePath("/", "/portal")).to.equal("/portal/");
+      expect(withBasePath("/users", "")).to.equal("/users");
+    });
+  });
 });
@@ -0,0 +1,193 @@
+import { expect, fixture, html, waitUntil } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import appRouter from "./test-utils/app-router.js";
+import { waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+const waitForScroll = (y, container = window) =>
+  waitUntil(
+    () => (container === window ? window.scrollY : container.scrollTop) === y,
+    `scroll position should be ${y}`,
+    { timeout: 2000 },
+  );
+
+suite("Lit Router - Scroll restoration", () => {
+  suiteSetup(() => {
+    customElements.define(
+      "scroll-shadow-section",
+      class extends LitElement {
+        render() {
+          return html`<section id="details"></section>`;
+        }
+      },
+    );
+
+    appRouter("scroll-app", [
+      { path: "/", render: () => html`<h1 id="home">Home</h1>` },
+      { path: "/list", render: () => html`<h1 id="list">List</h1>` },
+      {
+        path: "/tabs/:tab",
+        scroll: "preserve",
+        render: () => html`<h1 id="tabs">Tabs</h1>`,
+      },
+      {
+        path: "/manual",
+        scroll: false,
+        render: () => html`<h1 id="manual">Manual</h1>`,
+      },
+      {
+        path: "/article",
+        render: () => html`<scroll-shadow-section></scroll-shadow-section>`,
+      },
+    ]);
+
+    customElements.define(
+      "scroll-container-app",
+      class extends LitElement {
+        _router = new Router(
+          this,
+          [
+            { path: "/", render: () => html`<h1 id="home">Home</h1>` },
+            { path: "/list", render: () => html`<h1 id="list">List</h1>` },
+          ],
+          { scrollContainer: () => this.querySelector("main") },
+        );
+
+        navigator = new Navigation(this);
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return html`<main>${this._router.outlet()}</main>`;
+        }
+      },
+    );
+  });
+
+  setup(() => {
+    window.scrollTo(0, 0);
+  });
+
+  test("programmatic navigation scrolls to the top", async () => {
+    const el = await fixture(html`<scroll-app></scroll-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/");
+
+    window.scrollTo(0, 500);
+    await el.navigator.navigate("/list");
+    await waitForScroll(0);
+  });
+
+  test("Back restores the position the entry was left at", async () => {
+    const el = await fixture(html`<scroll-app></scroll-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/");
+
+    window.scrollTo(0, 320);
+    await el.navigator.navigate("/list");
+    await waitForScroll(0);
+
+    window.scrollTo(0, 40);
+    history.back();
+    await waitForUrl("/");
+    await waitForScroll(320);
+
+    history.forward();
+    await waitForUrl("/list");
+    await waitForScroll(40);
+  });
+
+  test("the position is saved into history.state before pushing", async () => {
+    const el = await fixture(html`<scroll-app></scroll-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/");
+
+    window.scrollTo(0, 210);
+    await el.navigator.navigate("/list");
+
+    history.back();
+    await waitForUrl("/");
+    expect(history.state.scroll).to.deep.equal({ x: 0, y: 210 });
+  });
+
+  test('scroll: "preserve" keeps the current position', async () => {
+    const el = await fixture(html`<scroll-app></scroll-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/tabs/a");
+
+    window.scrollTo(0, 150);
+    await el.navigator.navigate("/tabs/b");
+    await waitForElement(el, "#tabs");
+    await new Promise((r) => requestAnimationFrame(() => setTimeout(r, 20)));
+    expect(window.scrollY).to.equal(150);
+  });
+
+  test("scroll: false leaves the position untouched", async () => {
+    const el = await fixture(html`<scroll-app></scroll-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/");
+
+    window.scrollTo(0, 90);
+    await el.navigator.navigate("/manual");
+    await waitForElement(el, "#manual");
+    await new Promise((r) => requestAnimationFrame(() => setTimeout(r, 20)));
+    expect(window.scrollY).to.equal(90);
+  });
+
+  test("a render that throws leaves the position untouched", async () => {
+    const el = await fixture(html`<scroll-app></scroll-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/");
+
+    window.scrollTo(0, 60);
+    Object.defineProperty(el, "updateComplete", {
+      value: Promise.reject(new Error("render failed")),
+      configurable: true,
+    });
+    try {
+      await el._router._scroll.afterNavigation({ action: "push" });
+    } finally {
+      delete el.updateComplete;
+    }
+    expect(window.scrollY).to.equal(60);
+  });
+
+  test("scrolls the hash target into view, inside shadow roots too", async () => {
+    const el = await fixture(html`<scroll-app></scroll-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/");
+
+    const scrolled = [];
+    const original = Element.prototype.scrollIntoView;
+    Element.prototype.scrollIntoView = function () {
+      scrolled.push(this.id);
+    };
+
+    try {
+      await el.navigator.navigate("/article", { hash: "details" });
+      await waitUntil(() => scrolled.length > 0, "hash target not scrolled");
+      expect(scrolled).to.deep.equal(["details"]);
+    } finally {
+      Element.prototype.scrollIntoView = original;
+    }
+  });
+
+  test("a custom scroll container is saved and restored", async () => {
+    // This router has no "/article" route to start from.
+    history.replaceState(null, "", "/");
+    const el = await fixture(html`<scroll-container-app></scroll-container-app>`);
+    await el.updateComplete;
+    await el.navigator.navigate("/");
+
+    const main = el.querySelector("main");
+    main.scrollTo({ top: 75 });
+    await el.navigator.navigate("/list");
+    await waitForScroll(0, main);
+
+    history.back();
+    await waitForUrl("/");
+    await waitForScroll(75, main);
+  });
+});
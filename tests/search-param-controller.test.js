@@ -0,0 +1,172 @@
+import { expect, fixture, html, waitUntil } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router, SearchParamController } from "../src/index.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { sleep, waitForElement } from "./test-utils/wait.js";
+
+suite("Lit Router - SearchParamController", () => {
+  let el;
+  let panel;
+
+  suiteSetup(() => {
+    customElements.define(
+      "filter-panel",
+      class extends LitElement {
+        page = new SearchParamController(this, "page", {
+          type: Number,
+          default: 1,
+        });
+
+        tags = new SearchParamController(this, "tag", { type: Array });
+
+        query = new SearchParamController(this, "q", { debounce: 50 });
+
+        sort = new SearchParamController(this, "sort", { history: "push" });
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return html`<span id="page">${this.page.value}</span>`;
+        }
+      },
+    );
+
+    nestedRoutes("filter-section", [
+      { path: "/", render: () => html`<filter-panel></filter-panel>` },
+      { path: "/sub", render: () => html`<filter-panel></filter-panel>` },
+    ]);
+
+    customElements.define(
+      "filter-app",
+      class extends LitElement {
+        _router = new Router(this, [
+          { path: "/", render: () => html`<h1 id="home"></h1>` },
+          {
+            path: "/list/*",
+            render: () => html`<filter-section></filter-section>`,
+          },
+        ]);
+
+        navigator = new Navigation(this);
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return this._router.outlet();
+        }
+      },
+    );
+  });
+
+  setup(async () => {
+    history.replaceState(null, "", "/list?page=3&tag=a&tag=b&keep=1");
+    el = await fixture(html`<filter-app></filter-app>`);
+    await waitForElement(el, "filter-panel");
+    panel = el.querySelector("filter-panel");
+    await panel.updateComplete;
+  });
+
+  test("reads typed values from the URL", () => {
+    expect(panel.page.value).to.equal(3);
+    expect(panel.tags.value).to.deep.equal(["a", "b"]);
+    expect(panel.query.value).to.be.undefined;
+    expect(panel.querySelector("#page").textContent).to.equal("3");
+  });
+
+  test("writes only its own key", async () => {
+    const length = history.length;
+    panel.page.value = 4;
+    expect(panel.page.value).to.equal(4);
+
+    await waitUntil(() => window.location.search.includes("page=4"));
+    expect(window.location.search).to.equal("?page=4&tag=a&tag=b&keep=1");
+    expect(history.length).to.equal(length);
+    expect(el.navigator.searchParams.keep).to.equal("1");
+    await panel.updateComplete;
+    expect(panel.querySelector("#page").textContent).to.equal("4");
+  });
+
+  test("keeps the part of the pathname matched below the router", async () => {
+    // Only one router may own the URL: drop the one setup() made.
+    el.remove();
+    history.replaceState(null, "", "/list/sub?page=3");
+    el = await fixture(html`<filter-app></filter-app>`);
+    await waitForElement(el, "filter-panel");
+    panel = el.querySelector("filter-panel");
+    await panel.updateComplete;
+    expect(panel.page.value).to.equal(3);
+
+    panel.page.value = 5;
+    await waitUntil(() => window.location.search.includes("page=5"));
+    expect(window.location.pathname).to.equal("/list/sub");
+    expect(el._router.url).to.equal("/list/sub?page=5");
+  });
+
+  test("writing the default removes the key", async () => {
+    panel.page.value = 1;
+    await waitUntil(() => !window.location.search.includes("page"));
+    expect(window.location.search).to.equal("?tag=a&tag=b&keep=1");
+    expect(panel.page.value).to.equal(1);
+  });
+
+  test("writes made together share one history update", async () => {
+    const updates = [];
+    const unsubscribe = el._router.subscribe(({ eventName }) => {
+      if (eventName === "location-changed") updates.push(window.location.search);
+    });
+    updates.length = 0;
+
+    panel.page.value = 2;
+    panel.tags.value = ["c"];
+    await waitUntil(() => updates.length > 0);
+    await sleep(20);
+    unsubscribe();
+
+    expect(updates).to.deep.equal(["?page=2&tag=c&keep=1"]);
+  });
+
+  test("debounced writes wait for the input to settle", async () => {
+    panel.query.value = "l";
+    panel.query.value = "li";
+    panel.query.value = "lit";
+    expect(panel.query.value).to.equal("lit");
+    await sleep(20);
+    expect(window.location.search).to.not.include("q=");
+
+    await waitUntil(() => window.location.search.includes("q=lit"));
+  });
+
+  test("history push adds an entry", async () => {
+    const length = history.length;
+    panel.sort.value = "top";
+
+    await waitUntil(() => window.location.search.includes("sort=top"));
+    expect(history.length).to.equal(length + 1);
+  });
+
+  test("a blocked push reads the URL back", async () => {
+    const unblock = el.navigator.block(() => true);
+    try {
+      panel.sort.value = "top";
+      expect(panel.sort.value).to.equal("top");
+
+      await waitUntil(() => panel.sort.value === undefined);
+      expect(window.location.search).not.to.include("sort=");
+    } finally {
+      unblock();
+    }
+  });
+
+  test("follows navigations made elsewhere", async () => {
+    await el.navigator.navigate("/list?page=7");
+    await panel.updateComplete;
+
+    expect(panel.page.value).to.equal(7);
+    expect(panel.tags.value).to.deep.equal([]);
+    expect(panel.querySelector("#page").textContent).to.equal("7");
+  });
+});
@@ -0,0 +1,166 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import { compileSearchSchema } from "../src/util/searchSchema.js";
+import nestedRoutes from "./test-utils/nested-routes.js";
+import { waitForElement } from "./test-utils/wait.js";
+
+suite("Lit Router - Search schemas", () => {
+  let entered;
+  let rendered;
+  let el;
+
+  const postsSearch = {
+    page: { type: "int", default: 1 },
+    tag: { type: "string", array: true },
+    sort: { enum: ["new", "top"], default: "new" },
+    draft: { type: "boolean", default: false },
+    filter: "json",
+  };
+
+  suiteSetup(() => {
+    nestedRoutes("search-settings", [
+      {
+        path: "/",
+        search: { tab: { enum: ["profile", "billing"], default: "profile" } },
+        render: ({ searchParams }) => {
+          rendered = searchParams;
+          return html`<p id="settings"></p>`;
+        },
+      },
+    ]);
+
+    customElements.define(
+      "search-app",
+      class extends LitElement {
+        _router = new Router(this, [
+          { path: "/", render: () => html`<h1 id="home"></h1>` },
+          {
+            path: "/posts",
+            search: postsSearch,
+            enter: ({ searchParams }) => {
+              entered = searchParams;
+            },
+            render: ({ searchParams }) => {
+              rendered = searchParams;
+              return html`<h1 id="posts"></h1>`;
+            },
+          },
+          {
+            path: "/settings/*",
+            search: { debug: { type: "boolean", default: false } },
+            render: () => html`<search-settings></search-settings>`,
+          },
+        ]);
+
+        navigator = new Navigation(this);
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return this._router.outlet();
+        }
+      },
+    );
+  });
+
+  setup(async () => {
+    entered = null;
+    rendered = null;
+    history.replaceState(null, "", "/");
+    el = await fixture(html`<search-app></search-app>`);
+    await waitForElement(el, "#home");
+  });
+
+  test("enter, render and Navigation see typed values", async () => {
+    await el.navigator.navigate(
+      '/posts?tag=lit&page=3&tag=router&draft=true&filter={"by":"me"}',
+    );
+    await waitForElement(el, "#posts");
+
+    const expected = {
+      page: 3,
+      tag: ["lit", "router"],
+      sort: "new",
+      draft: true,
+      filter: { by: "me" },
+    };
+    expect(entered).to.deep.equal(expected);
+    expect(rendered).to.deep.equal(expected);
+    expect(el.navigator.searchParams).to.deep.equal(expected);
+  });
+
+  test("invalid and missing values fall back to defaults", async () => {
+    await el.navigator.navigate("/posts?page=abc&sort=old&ref=mail");
+    await waitForElement(el, "#posts");
+
+    expect(el.navigator.searchParams).to.deep.equal({
+      page: 1,
+      tag: [],
+      sort: "new",
+      draft: false,
+      ref: "mail",
+    });
+    // Defaults are not written into the URL.
+    expect(window.location.search).to.equal("?page=abc&sort=old&ref=mail");
+    expect(el._router.url).to.equal("/posts?page=abc&sort=old&ref=mail");
+  });
+
+  test("typed values serialize back into the URL", async () => {
+    await el.navigator.navigate("/posts?tag=a");
+    await waitForElement(el, "#posts");
+
+    el.navigator.searchParams = {
+      ...el.navigator.searchParams,
+      page: 2,
+      tag: ["a", "b"],
+    };
+
+    expect(window.location.search).to.equal(
+      "?page=2&tag=a&tag=b&sort=new&draft=false",
+    );
+    expect(el.navigator.searchParams.page).to.equal(2);
+    expect(el.navigator.searchParams.tag).to.deep.equal(["a", "b"]);
+  });
+
+  test("navigate accepts typed search params", async () => {
+    await el.navigator.navigate("/posts", {
+      searchParams: { tag: ["x", "y"], page: 4, filter: { by: "me" } },
+    });
+    await waitForElement(el, "#posts");
+
+    expect(window.location.search).to.equal(
+      "?tag=x&tag=y&page=4&filter=%7B%22by%22%3A%22me%22%7D",
+    );
+    expect(el.navigator.searchParams.filter).to.deep.equal({ by: "me" });
+    expect(el.navigator.searchParams.tag).to.deep.equal(["x", "y"]);
+  });
+
+  test("nested levels merge their schemas", async () => {
+    await el.navigator.navigate("/settings?debug=1&tab=billing");
+    await waitForElement(el, "#settings");
+
+    expect(el.navigator.searchParams).to.deep.equal({
+      debug: true,
+      tab: "billing",
+    });
+    expect(rendered).to.deep.equal(el.navigator.searchParams);
+
+    await el.navigator.navigate("/settings?tab=nope");
+    expect(el.navigator.searchParams).to.deep.equal({
+      debug: false,
+      tab: "profile",
+    });
+  });
+
+  test("a default that cannot be cloned is rejected when declared", () => {
+    expect(() =>
+      compileSearchSchema({ sort: { default: () => "new" } }),
+    ).to.throw(TypeError, /default of search param "sort" cannot be cloned/);
+    expect(() =>
+      compileSearchSchema({ tags: { array: true, default: ["a"] } }),
+    ).not.to.throw();
+  });
+});
@@ -0,0 +1,10 @@
+import { html } from "lit";
+import nestedRoutes from "./nested-routes.js";
+
+/**
+ * Lazily imported nested Routes host used by the lazy route tests.
+ */
+export default nestedRoutes("lazy-nested", [
+  { path: "/", render: () => html`<div id="lazy-nested-root"></div>` },
+  { path: "child", render: () => html`<div id="lazy-nested-child"></div>` },
+]);
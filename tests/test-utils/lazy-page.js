@@ -0,0 +1,16 @@
+import { LitElement, html } from "lit";
+
+/**
+ * Lazily imported page used by the lazy route tests.
+ */
+export class LazyPage extends LitElement {
+  createRenderRoot() {
+    return this;
+  }
+
+  render() {
+    return html`<h1>Lazy page</h1>`;
+  }
+}
+
+customElements.define("lazy-page", LazyPage);
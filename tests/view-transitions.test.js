@@ -0,0 +1,130 @@
+import { expect, fixture, html } from "@open-wc/testing";
+import { LitElement } from "lit";
+import { Navigation, Router } from "../src/index.js";
+import { waitForElement, waitForUrl } from "./test-utils/wait.js";
+
+suite("Lit Router - View transitions", () => {
+  /** @type {Array<{ direction: string, before: boolean, after: boolean }>} */
+  let transitions;
+  let el;
+  const original = document.startViewTransition;
+
+  /** Stands in for the browser API, noting what the DOM looked like around the update. */
+  const stubStartViewTransition = () => {
+    document.startViewTransition = (arg) => {
+      const update = typeof arg === "function" ? arg : arg.update;
+      const entry = {
+        direction: el?.navigator.direction,
+        before: Boolean(el?.querySelector("#about")),
+        after: false,
+      };
+      transitions.push(entry);
+      const updateCallbackDone = Promise.resolve()
+        .then(update)
+        .then(() => {
+          entry.after = Boolean(el?.querySelector("#about"));
+        });
+      return {
+        updateCallbackDone,
+        ready: updateCallbackDone,
+        finished: updateCallbackDone,
+      };
+    };
+  };
+
+  suiteSetup(() => {
+    customElements.define(
+      "transition-app",
+      class extends LitElement {
+        _router = new Router(
+          this,
+          [
+            { path: "/", render: () => html`<h1 id="home"></h1>` },
+            { path: "/about", render: () => html`<h1 id="about"></h1>` },
+            {
+              path: "/settings",
+              viewTransitions: false,
+              render: () => html`<h1 id="settings"></h1>`,
+            },
+          ],
+          { viewTransitions: true },
+        );
+
+        navigator = new Navigation(this);
+
+        createRenderRoot() {
+          return this;
+        }
+
+        render() {
+          return this._router.outlet();
+        }
+      },
+    );
+  });
+
+  setup(async () => {
+    el = null;
+    transitions = [];
+    stubStartViewTransition();
+    history.replaceState(null, "", "/");
+    el = await fixture(html`<transition-app></transition-app>`);
+    await waitForElement(el, "#home");
+    transitions = [];
+  });
+
+  teardown(() => {
+    if (original) {
+      document.startViewTransition = original;
+    } else {
+      delete document.startViewTransition;
+    }
+  });
+
+  test("the route change renders inside the transition", async () => {
+    const result = await el.navigator.navigate("/about");
+
+    expect(result.status).to.equal("committed");
+    expect(transitions).to.have.length(1);
+    expect(transitions[0]).to.include({
+      direction: "push",
+      before: false,
+      after: true,
+    });
+  });
+
+  test("the direction follows history", async () => {
+    await el.navigator.navigate("/about");
+    await el.navigator.navigate("/", { replace: true });
+    expect(el.navigator.direction).to.equal("replace");
+
+    await el.navigator.navigate("/about");
+    history.back();
+    await waitForUrl("/");
+    await waitForElement(el, "#home");
+
+    expect(transitions.map((t) => t.direction)).to.deep.equal([
+      "push",
+      "replace",
+      "push",
+      "back",
+    ]);
+  });
+
+  test("a route can opt out", async () => {
+    await el.navigator.navigate("/settings");
+    await waitForElement(el, "#settings");
+
+    expect(transitions).to.have.length(0);
+  });
+
+  test("browsers without the API update directly", async () => {
+    document.startViewTransition = undefined;
+
+    const result = await el.navigator.navigate("/about");
+    await waitForElement(el, "#about");
+
+    expect(result.status).to.equal("committed");
+    expect(transitions).to.have.length(0);
+  });
+});